@@ -9,8 +9,9 @@ import createError from "http-errors";
 import http from "http";
 import compression, { filter as defaultCompressionFilter } from "compression";
 import helmet from "helmet";
+import jwt from "jsonwebtoken";
 import { Server as SocketIOServer } from "socket.io";
-import { setIO, roomKey, saveAndEmitSystemForClients } from "./src/lib/io.js";
+import { setIO, roomKey, saveAndEmitSystemForClients, emitRoomMessage } from "./src/lib/io.js";
 import path from "path";
 import { fileURLToPath } from "url";
 
@@ -19,12 +20,19 @@ import { connectDB } from "./src/lib/db.js";
 import "./src/lib/passport.js";
 import routes from "./src/routes/index.js";
 import { ChatRoom } from "./src/models/ChatRoom.js";
-import { Message } from "./src/models/Message.js";
 import { User } from "./src/models/User.js";
 import { ProjectRequest } from "./src/models/ProjectRequest.js";
 import { initGridFS } from "./src/lib/gridfs.js";
+import { captureRawBody } from "./src/middleware/intake.middleware.js";
 import * as projectService from "./src/services/project.service.js";
-import { ONLINE_WINDOW_MS } from "./src/services/pm-selection.service.js";
+import * as taskService from "./src/services/task.service.js";
+import * as presence from "./src/services/presence.service.js";
+import * as standbyQueue from "./src/services/standby-queue.service.js";
+import * as chatService from "./src/services/chat.service.js";
+import * as readReceipts from "./src/services/read-receipt.service.js";
+import { reconcileWorkload } from "./src/services/workload.service.js";
+import { startLeaderElection, stopLeaderElection, isLeader, leaderOnly } from "./src/lib/leader.js";
+import { attachClusterAdapter } from "./src/lib/socket-adapter.js";
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -134,8 +142,8 @@ app.use((req, res, next) => {
 });
 
 // ---------- Light middleware ----------
-app.use(express.urlencoded({ extended: true, limit: "100kb" }));
-app.use(express.json({ limit: "1mb" }));
+app.use(express.urlencoded({ extended: true, limit: "100kb", verify: captureRawBody }));
+app.use(express.json({ limit: "1mb", verify: captureRawBody }));
 app.use(cookieParser());
 if (config.env !== "production") app.use(morgan("dev"));
 
@@ -173,21 +181,13 @@ app.use(passport.session());
 await connectDB();
 initGridFS();
 
+// Cluster-wide jobs below run on the lease holder only (see src/lib/leader.js)
+startLeaderElection();
+// heartbeats, idle policy and stale-connection reaping (see src/services/presence.service.js)
+presence.startPresence();
+
 // ---------- Background maintenance (non-blocking) ----------
 (async () => {
-  try {
-    await User.updateMany(
-      {
-        online: true,
-        $or: [
-          { lastActive: { $exists: false } },
-          { lastActive: { $lt: new Date(Date.now() - ONLINE_WINDOW_MS) } },
-        ],
-      },
-      { $set: { online: false } }
-    ).catch(() => {});
-  } catch {}
-
   try {
     await Promise.allSettled([
       (await import("./src/models/User.js")).User.syncIndexes(),
@@ -196,9 +196,23 @@ initGridFS();
       (await import("./src/models/ProjectRequest.js")).ProjectRequest.syncIndexes(),
       (await import("./src/models/Notification.js")).Notification.syncIndexes(),
       (await import("./src/models/Task.js")).Task.syncIndexes(),
+      (await import("./src/models/ProjectStatusHistory.js")).ProjectStatusHistory.syncIndexes(),
+      (await import("./src/models/Milestone.js")).Milestone.syncIndexes(),
+      (await import("./src/models/ChangeRequest.js")).ChangeRequest.syncIndexes(),
+      (await import("./src/models/IntakeReceipt.js")).IntakeReceipt.syncIndexes(),
+      (await import("./src/models/IntakeForm.js")).IntakeForm.syncIndexes(),
+      (await import("./src/models/AssignmentPolicy.js")).AssignmentPolicy.syncIndexes(),
       (await import("./src/models/RefreshToken.js")).RefreshToken.syncIndexes(),
     ]);
   } catch {}
+
+  // requests created before priority lanes keep their arrival order in the standby queue
+  try {
+    await ProjectRequest.updateMany(
+      { queueAt: null },
+      [{ $set: { queueAt: "$createdAt", priority: { $ifNull: ["$priority", "normal"] } } }]
+    );
+  } catch {}
 })();
 
 // ---------- Routes ----------
@@ -217,8 +231,29 @@ const io = new SocketIOServer(server, {
   pingTimeout: 20_000,
   cors: { origin: ALLOWLIST, credentials: true },
 });
+// leader-only jobs emit to (and look for) sockets on every instance
+await attachClusterAdapter(io);
 setIO(io);
 
+// Identity comes only from a verified access token (auth.token, Bearer header or the `at`
+// cookie); anonymous sockets still connect but get no user/staff rooms.
+function socketAccessToken(handshake) {
+  const bearer = /^Bearer\s+(.+)$/i.exec(handshake?.headers?.authorization || "")?.[1];
+  const cookie = /(?:^|;\s*)at=([^;]+)/.exec(handshake?.headers?.cookie || "")?.[1];
+  return handshake?.auth?.token || bearer || (cookie ? decodeURIComponent(cookie) : null);
+}
+io.use((socket, next) => {
+  socket.data.userId = null;
+  const token = socketAccessToken(socket.handshake);
+  if (!token) return next();
+  try {
+    const payload = jwt.verify(token, config.jwt.accessSecret);
+    const id = payload?.id || payload?._id || payload?.sub || null;
+    socket.data.userId = id ? String(id) : null;
+  } catch {}
+  next();
+});
+
 // ======== FAST PATH: single-flight assignment scheduler ========
 const assignScheduler = {
   running: false,
@@ -227,10 +262,17 @@ const assignScheduler = {
   minGapMs: 600,
 };
 
+// Local triggers (PM connects, presence pings) only act on the leader; on other
+// instances the leader's periodic nudge picks the same work up within a few seconds.
 async function runAssignOnce() {
+  if (!isLeader()) return;
   try {
     await projectService.autoAssignFromStandby();
   } catch {}
+  // positions move whenever the head is taken (or someone joins/leaves the queue)
+  try {
+    await standbyQueue.broadcastQueuePositions();
+  } catch {}
 }
 
 function scheduleAssign() {
@@ -266,92 +308,89 @@ function scheduleAssign() {
   });
 }
 
-// Presence bookkeeping
-const FORCE_LOGOUT_IDLE_MS = 5 * 60 * 1000;
-const IDLE_SWEEP_INTERVAL_MS = Math.min(ONLINE_WINDOW_MS, 5000);
-let presenceSweepRunning = false;
-
-const presenceCount = new Map();
-const lastSeenActive = new Map();
-const userSockets = new Map();
-const socketOwners = new Map();
-
 // 🔁 polite auto-reply throttle: roomId -> timestamp
 const lastAutoReplyAt = new Map();
 
-async function markUserActive(userId) {
-  if (!userId) return;
-  const now = Date.now();
-  lastSeenActive.set(userId, now);
-  if ((presenceCount.get(userId) || 0) > 0) {
-    User.updateOne({ _id: userId }, { $set: { online: true, lastActive: new Date(now) } }).catch(() => {});
-  }
-}
-async function markUserOffline(userId) {
-  if (!userId) return;
-  User.updateOne({ _id: userId }, { $set: { online: false, lastActive: new Date() } }).catch(() => {});
-}
-async function forceLogoutUser(userId) {
-  if (!userId) return;
-  User.updateOne(
-    { _id: userId },
-    { $inc: { tokenVersion: 1 }, $set: { online: false, lastActive: new Date(0) } }
-  ).catch(() => {});
-  io.to(`user:${userId}`).emit("auth:force_logout", { reason: "idle_timeout", at: new Date().toISOString() });
-  const sockets = userSockets.get(userId);
-  if (sockets && sockets.size) {
-    for (const sid of sockets) {
-      const sock = io.sockets.sockets.get(sid);
-      if (sock) { try { sock.disconnect(true); } catch {} }
-    }
+// Presence → sockets: staff dashboards hear about state changes; a PM coming
+// online is a chance to drain the standby queue
+const STAFF_ROOMS = ["role:SuperAdmin", "role:Admin", "role:PM", "role:Engineer"];
+
+presence.onPresenceChange(({ userId, role, state, prev, at }) => {
+  io.to(STAFF_ROOMS).emit("presence:changed", { userId, role, state, prev, at });
+  if (role === "PM" && state === "online") scheduleAssign();
+});
+
+presence.onForceLogout(({ userId, reason, socketIds }) => {
+  io.to(`user:${userId}`).emit("auth:force_logout", { reason, at: new Date().toISOString() });
+  for (const sid of socketIds) {
+    const sock = io.sockets.sockets.get(sid);
+    if (sock) { try { sock.disconnect(true); } catch {} }
   }
-}
+});
 
-// Throttled sweep (never overlap)
-setInterval(async () => {
-  if (presenceSweepRunning) return;
-  presenceSweepRunning = true;
-  const now = Date.now();
+// Lightweight periodic nudge (uses scheduler; doesn't block)
+setInterval(leaderOnly(() => scheduleAssign()), 4000);
+
+// Unanswered engineer assignments go back to the PM's queue (never overlap)
+let taskExpiryRunning = false;
+setInterval(leaderOnly(async () => {
+  if (taskExpiryRunning) return;
+  taskExpiryRunning = true;
   try {
-    await User.updateMany(
-      { online: true, lastActive: { $lt: new Date(now - ONLINE_WINDOW_MS) } },
-      { $set: { online: false } }
-    ).catch(() => {});
-    for (const [userId, last] of lastSeenActive.entries()) {
-      if (now - last >= FORCE_LOGOUT_IDLE_MS) {
-        await forceLogoutUser(userId);
-        presenceCount.delete(userId);
-        lastSeenActive.delete(userId);
-        userSockets.delete(userId);
-      }
-    }
+    await taskService.expireUnansweredTasks();
+  } catch (e) {
+    console.warn("[tasks] expiry sweep failed:", e?.message);
   } finally {
-    presenceSweepRunning = false;
+    taskExpiryRunning = false;
   }
-}, IDLE_SWEEP_INTERVAL_MS);
+}), config.tasks.expirySweepMs);
 
-// Lightweight periodic nudge (uses scheduler; doesn't block)
-setInterval(() => scheduleAssign(), 4000);
+// Persisted standby follow-ups (survive restarts / leader failover)
+let followupSweepRunning = false;
+setInterval(leaderOnly(async () => {
+  if (followupSweepRunning) return;
+  followupSweepRunning = true;
+  try {
+    await projectService.runStandbyFollowups();
+  } catch (e) {
+    console.warn("[standby] follow-up sweep failed:", e?.message);
+  } finally {
+    followupSweepRunning = false;
+  }
+}), config.scheduler.followupSweepMs);
+
+// Workload counters drift when a flow fails halfway; report (or fix) them periodically
+let workloadReconcileRunning = false;
+if (config.workload.reconcileEveryMs > 0) {
+  setInterval(leaderOnly(async () => {
+    if (workloadReconcileRunning) return;
+    workloadReconcileRunning = true;
+    try {
+      const { discrepancies, fixed } = await reconcileWorkload({ fix: config.workload.autoFix });
+      if (discrepancies.length) {
+        console.warn(`[workload] ${discrepancies.length} counter discrepancies, ${fixed} fixed`);
+      }
+    } catch (e) {
+      console.warn("[workload] reconciliation failed:", e?.message);
+    } finally {
+      workloadReconcileRunning = false;
+    }
+  }), config.workload.reconcileEveryMs);
+}
 
 io.on("connection", (socket) => {
-  const rawId = socket.handshake?.auth?.userId || socket.handshake?.query?.userId || null;
-  const userId = rawId ? String(rawId) : null;
+  const userId = socket.data.userId || null;
   let myUserDoc = null;
 
-  socketOwners.set(socket.id, userId);
-  if (userId) {
-    if (!userSockets.has(userId)) userSockets.set(userId, new Set());
-    userSockets.get(userId).add(socket.id);
-  }
-
   (async () => {
     if (!userId) return;
     try { myUserDoc = await User.findById(userId).lean(); } catch {}
     socket.join(`user:${userId}`);
+    if (myUserDoc?.role) socket.join(`role:${myUserDoc.role}`);
 
-    const count = (presenceCount.get(userId) || 0) + 1;
-    presenceCount.set(userId, count);
-    await markUserActive(userId);
+    // it may already have dropped while we looked the user up
+    if (!socket.connected) return;
+    await presence.connect(userId, socket.id, myUserDoc?.role);
 
     if (myUserDoc?.role === "PM") {
       io.to(`user:${userId}`).emit("system", {
@@ -364,39 +403,44 @@ io.on("connection", (socket) => {
     }
   })();
 
-  socket.on("auth:logout", () => {
-    const uid = socketOwners.get(socket.id);
+  socket.on("auth:logout", async () => {
+    const uid = socket.data.userId;
     if (!uid) return;
-    User.updateOne(
-      { _id: uid },
-      { $set: { online: false, lastActive: new Date(0) }, $inc: { tokenVersion: 1 } }
-    ).catch(() => {});
+    User.updateOne({ _id: uid }, { $inc: { tokenVersion: 1 } }).catch(() => {});
+    await presence.markOffline(uid);
     try { socket.disconnect(true); } catch {}
     scheduleAssign();
   });
 
   socket.on("presence:active", async () => {
-    const uid = socketOwners.get(socket.id);
-    if (uid) await markUserActive(uid);
+    await presence.touch(socket.data.userId);
     scheduleAssign();
   });
 
-  socket.on("join", async ({ roomId, userId: uid }) => {
+  // role subgroups go by the connection's own user (not the payload), and the staff
+  // ones — internal notes are broadcast to roomKey.staff only — by membership too
+  socket.on("join", async ({ roomId }) => {
     try {
       const room = await ChatRoom.findById(roomId).lean();
       if (!room) return socket.emit("error", "Room not found");
 
       socket.join(roomId.toString());
       socket.emit("joined", roomId);
-      if (uid) socket.join(`user:${String(uid)}`);
 
-      const u = (uid && (await User.findById(uid).lean())) || {};
+      const uid = socket.data.userId;
+      const u = (uid && (myUserDoc || (await User.findById(uid).lean()))) || {};
       const role = (u?.role || "User").toString();
-      if (/client/i.test(role)) socket.join(`room:${roomId}:clients`);
-      else if (/pm|project\s*manager/i.test(role)) socket.join(`room:${roomId}:pms`);
-      else if (/engineer/i.test(role)) socket.join(`room:${roomId}:engineers`);
+      const isMember = !!u?._id && (room.members || []).some((m) => String(m) === String(u._id));
+      if (/client/i.test(role)) {
+        socket.join(`room:${roomId}:clients`);
+        standbyQueue.emitQueuePositionForRoom(roomId).catch(() => {});
+      } else if (isMember) {
+        socket.join(roomKey.staff(roomId));
+        if (/pm|project\s*manager/i.test(role)) socket.join(`room:${roomId}:pms`);
+        else if (/engineer/i.test(role)) socket.join(`room:${roomId}:engineers`);
+      }
 
-      if (uid) await markUserActive(String(uid));
+      await presence.touch(socket.data.userId);
     } catch (e) {
       socket.emit("error", e.message);
     }
@@ -406,7 +450,7 @@ io.on("connection", (socket) => {
     try {
       const room = await ChatRoom.findById(roomId);
       if (!room) return;
-      if (uid) await markUserActive(String(uid));
+      await presence.touch(socket.data.userId);
 
       if (isTyping) room.typing.set(String(uid), role || "User");
       else room.typing.delete(String(uid));
@@ -417,47 +461,55 @@ io.on("connection", (socket) => {
   });
 
   // ⬇️ Enhanced message handler: polite auto-reply if no PM yet
-  socket.on("message", async ({ roomId, userId: uid, text = "", attachments = [] }) => {
+  // written through chatService.postMessage like REST sends, as the connection's own user
+  socket.on("message", async ({ roomId, text = "", attachments = [], internal = false, replyTo = null }) => {
     try {
-      const room = await ChatRoom.findById(roomId).lean();
-      if (!room) return socket.emit("error", "Room not found");
-
-      const u = (uid && (await User.findById(uid).lean())) || null;
-      if (uid) await markUserActive(String(uid));
-
-      const msg = await Message.create({
-        room: roomId,
-        senderType: "User",
-        sender: uid,
-        text,
-        attachments,
-      });
-
-      io.to(roomId.toString()).emit("message", {
+      const uid = socket.data.userId;
+      const u = (uid && (myUserDoc || (await User.findById(uid).lean()))) || null;
+      if (!u) return socket.emit("error", "Sign in to send messages");
+      await presence.touch(uid);
+      const isClientSender = /client/i.test(u.role || "");
+
+      const msg = await chatService.postMessage(
+        roomId,
+        u,
+        { text, attachments, internal: !!internal && !isClientSender, replyTo },
+        { ip: socket.handshake?.address }
+      );
+      const quotes = await chatService.loadQuotes([msg], { client: isClientSender });
+
+      emitRoomMessage(roomId.toString(), {
         _id: msg._id,
         room: roomId,
         sender: uid,
         senderType: "User",
-        senderRole: u?.role || "User",
-        senderName: [u?.firstName, u?.lastName].filter(Boolean).join(" ") || "User",
+        senderRole: u.role || "User",
+        senderName: [u.firstName, u.lastName].filter(Boolean).join(" ") || "User",
         text,
         attachments,
         createdAt: msg.createdAt,
+        visibleTo: msg.visibleTo,
+        replyTo: msg.replyTo ? quotes.get(String(msg.replyTo)) || { _id: msg.replyTo, unavailable: true } : null,
+        threadRoot: msg.threadRoot || null,
+        replyCount: 0,
+        mentions: (msg.mentions || []).map((m) => ({ userId: m.user, kind: m.kind, handle: m.handle })),
       });
 
       // 2️⃣ If this is a CLIENT message and no PM is assigned yet → polite auto-reply (throttled per room)
-      const isClient = /client/i.test(u?.role || "");
-      if (isClient) {
+      if (isClientSender) {
         const req = await ProjectRequest.findOne({ chatRoom: roomId }).select("pmAssigned").lean();
         if (!req?.pmAssigned) {
           const now = Date.now();
           const last = lastAutoReplyAt.get(String(roomId)) || 0;
           if (now - last >= 30_000) { // 30s between auto-replies per room
+            const entry = req ? await standbyQueue.getQueuePosition(req._id).catch(() => null) : null;
             await saveAndEmitSystemForClients({
               roomId: String(roomId),
               kind: "auto_reply_waiting",
               text:
-                "Please hold on — all our PMs are currently assisting other clients. You’re in the right place and we’ll connect you with a PM shortly. Thanks for your patience!",
+                "Please hold on — all our PMs are currently assisting other clients. You’re in the right place. " +
+                standbyQueue.describePosition(entry),
+              meta: { position: entry?.position || null, eta: entry?.etaAt || null },
             });
             lastAutoReplyAt.set(String(roomId), now);
           }
@@ -468,35 +520,32 @@ io.on("connection", (socket) => {
     }
   });
 
+  // read receipt: { roomId, messageId? } — omitted messageId reads up to the latest
+  socket.on("read", async ({ roomId, messageId = null } = {}) => {
+    try {
+      const uid = socket.data.userId;
+      if (!uid || !roomId) return;
+      const room = await chatService.ensureMember(roomId, uid, { allowClosed: true });
+      const role = myUserDoc?.role || (await User.findById(uid).select("role").lean())?.role || "";
+      await readReceipts.markRead(room._id, uid, { messageId, client: /client/i.test(role) });
+      await presence.touch(uid);
+    } catch (e) {
+      socket.emit("error", e.message);
+    }
+  });
+
   socket.on("leave", async ({ roomId }) => {
     try {
       socket.leave(roomId.toString());
       socket.leave(`room:${roomId}:clients`);
       socket.leave(`room:${roomId}:pms`);
       socket.leave(`room:${roomId}:engineers`);
+      socket.leave(`room:${roomId}:staff`);
     } catch {}
   });
 
   socket.on("disconnect", async () => {
-    const uid = socketOwners.get(socket.id);
-    socketOwners.delete(socket.id);
-
-    if (uid) {
-      const set = userSockets.get(uid);
-      if (set) {
-        set.delete(socket.id);
-        if (set.size === 0) userSockets.delete(uid);
-      }
-
-      const remaining = (presenceCount.get(uid) || 1) - 1;
-      if (remaining <= 0) {
-        presenceCount.delete(uid);
-        await markUserOffline(uid);
-        lastSeenActive.delete(uid);
-      } else {
-        presenceCount.set(uid, remaining);
-      }
-    }
+    await presence.disconnect(socket.data.userId, socket.id);
   });
 });
 
@@ -504,5 +553,14 @@ server.listen(config.port, () => {
   console.log(`🚀 Server + Socket.io running on port ${config.port}`);
 });
 
+// hand the scheduler lease over right away instead of letting it expire
+for (const sig of ["SIGTERM", "SIGINT"]) {
+  process.once(sig, async () => {
+    presence.stopPresence();
+    await stopLeaderElection();
+    process.exit(0);
+  });
+}
+
 process.on("unhandledRejection", (err) => console.error("UNHANDLED REJECTION:", err));
 process.on("uncaughtException", (err) => console.error("UNCAUGHT EXCEPTION:", err));
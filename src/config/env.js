@@ -7,6 +7,29 @@ if (!process.env.MONGODB_URI) {
   process.exit(1);
 }
 
+/**
+ * Intake sources and their HMAC secrets. Several secrets may be active at once so a
+ * source can rotate: add the new one, switch the sender, then drop the old one.
+ *   INTAKE_SOURCES='{"wordpress":{"secrets":["new","old"]},"landing":{"secrets":["s3"]}}'
+ *   WP_INTAKE_SECRETS="new,old"   (shorthand for the "wordpress" source)
+ */
+function parseIntakeSources() {
+  let sources = {};
+  try {
+    sources = JSON.parse(process.env.INTAKE_SOURCES || "{}") || {};
+  } catch {
+    console.error("❌ INTAKE_SOURCES is not valid JSON; ignoring it");
+  }
+  const wp = String(process.env.WP_INTAKE_SECRETS || process.env.WP_INTAKE_SECRET || "")
+    .split(",")
+    .map((x) => x.trim())
+    .filter(Boolean);
+  if (wp.length) {
+    sources.wordpress = { ...(sources.wordpress || {}), secrets: [...(sources.wordpress?.secrets || []), ...wp] };
+  }
+  return sources;
+}
+
 export const config = {
   appUrl: process.env.APP_URL || "http://localhost:5173",
   env: process.env.NODE_ENV || "development",
@@ -29,6 +52,84 @@ export const config = {
     accessExp: process.env.ACCESS_TOKEN_EXP || "15m",
     refreshExp: process.env.REFRESH_TOKEN_EXP || "14d",
   },
+  intake: {
+    sources: parseIntakeSources(),
+    defaultSource: process.env.INTAKE_DEFAULT_SOURCE || "wordpress",
+    appSource: process.env.INTAKE_APP_SOURCE || "app", // in-app client requests (createFromClient)
+    toleranceSec: Number(process.env.INTAKE_SIGNATURE_TOLERANCE_SEC || 300),
+    // dev-only escape hatch: accept unsigned intake when no source is configured
+    allowUnsigned: String(process.env.INTAKE_ALLOW_UNSIGNED || "").toLowerCase() === "true",
+    idempotencyTtlHours: Number(process.env.INTAKE_IDEMPOTENCY_TTL_HOURS || 72),
+    // a "processing" receipt untouched this long is from a crashed attempt; a retry may take it over
+    processingTimeoutSec: Number(process.env.INTAKE_PROCESSING_TIMEOUT_SEC || 120),
+  },
+  assignment: {
+    // deployment-wide PM strategy unless an admin policy overrides it (see assignment-strategy.service.js)
+    pmStrategy: process.env.PM_ASSIGNMENT_STRATEGY || "least-loaded",
+  },
+  capacity: {
+    // default max concurrent projects when a user has no maxConcurrent of their own (0 = unlimited)
+    pmMaxConcurrent: Number(process.env.PM_MAX_CONCURRENT || 0),
+    engineerMaxConcurrent: Number(process.env.ENGINEER_MAX_CONCURRENT || 0),
+  },
+  priority: {
+    // one lane up counts as having waited this many minutes longer (aging between lanes)
+    agingMinutes: Number(process.env.PRIORITY_AGING_MINUTES || 30),
+    // "ceo@acme.com,@bigclient.com" — exact addresses or whole domains
+    vipEmails: String(process.env.PRIORITY_VIP_EMAILS || "")
+      .split(",")
+      .map((x) => x.trim().toLowerCase())
+      .filter(Boolean),
+    // a completionDate this close (in days) puts the request in the urgent lane
+    urgentDeadlineDays: Number(process.env.PRIORITY_URGENT_DEADLINE_DAYS || 7),
+  },
+  standby: {
+    // assignments counted for the queue ETA (falls back to 7 days when this window is quiet)
+    throughputWindowMin: Number(process.env.STANDBY_THROUGHPUT_WINDOW_MIN || 120),
+  },
+  scheduler: {
+    // leader lease for cluster-wide jobs (see lib/leader.js); renew well inside the TTL
+    leaseTtlMs: Number(process.env.SCHEDULER_LEASE_TTL_MS || 15_000),
+    leaseRenewMs: Number(process.env.SCHEDULER_LEASE_RENEW_MS || 5_000),
+    followupSweepMs: Number(process.env.STANDBY_FOLLOWUP_SWEEP_MS || 5_000),
+  },
+  chat: {
+    // senders may edit/delete their own messages for this long after posting (0 = no limit)
+    editWindowMinutes: Number(process.env.MESSAGE_EDIT_WINDOW_MINUTES ?? 15),
+  },
+  workload: {
+    // recompute numberOfTask/isBusy from open requests and tasks (0 = never); autoFix writes corrections
+    reconcileEveryMs: Number(process.env.WORKLOAD_RECONCILE_EVERY_MS ?? 60 * 60_000),
+    autoFix: String(process.env.WORKLOAD_RECONCILE_AUTOFIX || "").toLowerCase() === "true",
+  },
+  socket: {
+    // "mongo" relays broadcasts and fetchSockets() between instances through a capped
+    // collection (needs a replica set; falls back to "memory" without one); "memory" = this process only
+    adapter: String(process.env.SOCKET_ADAPTER || "mongo").toLowerCase(),
+    adapterCollection: process.env.SOCKET_ADAPTER_COLLECTION || "socket.io-adapter-events",
+  },
+  presence: {
+    // "mongo" shares presence through User.online/lastActive/lastSeen (any number of instances);
+    // "memory" keeps it in this process only (single node)
+    store: String(process.env.PRESENCE_STORE || "mongo").toLowerCase(),
+    // active within this window = "online" (the only state auto-assignment picks)
+    onlineWindowMs: Number(process.env.PRESENCE_ONLINE_WINDOW_MS || 10_000),
+    // quiet this long = "idle" (between the two it's "away")
+    idleAfterMs: Number(process.env.PRESENCE_IDLE_AFTER_MS || 2 * 60_000),
+    // idle sessions are signed out after this (0 = never); empty role list = every role
+    forceLogoutIdleMs: Number(process.env.PRESENCE_FORCE_LOGOUT_IDLE_MS ?? 5 * 60_000),
+    forceLogoutRoles: String(process.env.PRESENCE_FORCE_LOGOUT_ROLES || "")
+      .split(",")
+      .map((x) => x.trim())
+      .filter(Boolean),
+    // how often each instance refreshes its users' lastSeen and re-evaluates states
+    heartbeatMs: Number(process.env.PRESENCE_HEARTBEAT_MS || 5_000),
+  },
+  tasks: {
+    // hours an engineer has to accept/decline before the task returns to the PM (0 = never)
+    responseWindowHours: Number(process.env.TASK_RESPONSE_WINDOW_HOURS ?? 48),
+    expirySweepMs: Number(process.env.TASK_EXPIRY_SWEEP_MS || 60_000),
+  },
   google: {
     clientId: process.env.GOOGLE_CLIENT_ID,
     clientSecret: process.env.GOOGLE_CLIENT_SECRET,
@@ -2,6 +2,7 @@
 import * as authService from "../services/auth.service.js";
 import * as userService from "../services/user.service.js";
 import { fromReq } from "../services/audit.service.js";
+import { markOffline } from "../services/presence.service.js";
 import { User } from "../models/User.js";
 import { RefreshToken } from "../models/RefreshToken.js";
 import { getIO } from "../lib/io.js";
@@ -247,13 +248,8 @@ export const logout = async (req, res) => {
         : null;
 
       if (id) {
-        await User.updateOne(
-          { _id: id },
-          {
-            $set: { online: false, lastActive: new Date(0) },
-            $inc: { tokenVersion: 1 },
-          }
-        );
+        await User.updateOne({ _id: id }, { $inc: { tokenVersion: 1 } });
+        await markOffline(id);
 
         const io = getIO();
         if (io) {
@@ -0,0 +1,93 @@
+// backend/src/controllers/change-request.controller.js
+import * as changeRequestService from "../services/change-request.service.js";
+import { fromReq } from "../services/audit.service.js";
+
+const statusFor = (e) => {
+  const msg = e?.message || "";
+  if (e?.status) return e.status;
+  if (/not found/i.test(msg)) return 404;
+  if (/forbidden|only assigned|unauthorized/i.test(msg)) return 403;
+  if (/already decided/i.test(msg)) return 409;
+  return 400;
+};
+
+/* ---------------------------- staff endpoints ---------------------------- */
+
+export const listForRequest = async (req, res) => {
+  try {
+    const changeRequests = await changeRequestService.listChangeRequestsForStaff(req.params.requestId, req.user);
+    res.json({ success: true, changeRequests });
+  } catch (e) {
+    res.status(statusFor(e)).json({ success: false, message: e.message });
+  }
+};
+
+export const pmRaise = async (req, res) => {
+  try {
+    const { requestId, description, deadline, cost, currency } = req.body || {};
+    const changeRequest = await changeRequestService.pmRaiseChangeRequest(
+      { requestId, pmUser: req.user, description, deadline, cost, currency },
+      fromReq(req)
+    );
+    res.status(201).json({ success: true, changeRequest });
+  } catch (e) {
+    res.status(statusFor(e)).json({ success: false, message: e.message });
+  }
+};
+
+export const pmDecide = async (req, res) => {
+  try {
+    const { decision, note } = req.body || {};
+    const changeRequest = await changeRequestService.pmDecideChangeRequest(
+      { changeRequestId: req.params.id, pmUser: req.user, decision, note },
+      fromReq(req)
+    );
+    res.json({ success: true, changeRequest });
+  } catch (e) {
+    res.status(statusFor(e)).json({ success: false, message: e.message });
+  }
+};
+
+/* -------------------- client endpoints (clientKey or auth) -------------------- */
+
+export const clientList = async (req, res) => {
+  try {
+    const clientKey = req.query.clientKey || req.get("x-client-key");
+    const changeRequests = await changeRequestService.listChangeRequestsForClient({
+      requestId: req.params.requestId,
+      clientKey,
+      user: req.user,
+    });
+    res.json({ success: true, changeRequests });
+  } catch (e) {
+    res.status(statusFor(e)).json({ success: false, message: e.message });
+  }
+};
+
+export const clientRaise = async (req, res) => {
+  try {
+    const { requestId, description, deadline, cost, currency } = req.body || {};
+    const clientKey = req.body?.clientKey || req.get("x-client-key");
+    const changeRequest = await changeRequestService.clientRaiseChangeRequest(
+      { requestId, clientKey, user: req.user, description, deadline, cost, currency },
+      fromReq(req)
+    );
+    res.status(201).json({ success: true, changeRequest });
+  } catch (e) {
+    res.status(statusFor(e)).json({ success: false, message: e.message });
+  }
+};
+
+export const clientDecide = async (req, res) => {
+  try {
+    const { decision, note } = req.body || {};
+    const clientKey = req.body?.clientKey || req.get("x-client-key");
+    const changeRequest = await changeRequestService.clientDecideChangeRequest(
+      { changeRequestId: req.params.id, clientKey, user: req.user, decision, note },
+      fromReq(req)
+    );
+    res.json({ success: true, changeRequest });
+  } catch (e) {
+    res.status(statusFor(e)).json({ success: false, message: e.message });
+  }
+};
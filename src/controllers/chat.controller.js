@@ -1,11 +1,12 @@
 // backend/src/controllers/chat.controller.js
 import * as chatService from "../services/chat.service.js";
+import * as readReceipts from "../services/read-receipt.service.js";
 import { uploadBufferToGridFS } from "../lib/gridfs.js";
-import { getIO } from "../lib/io.js";
+import { emitRoomMessage } from "../lib/io.js";
 import { ChatRoom } from "../models/ChatRoom.js";
 import { User } from "../models/User.js";
 import { ProjectRequest } from "../models/ProjectRequest.js";
-import { Message } from "../models/Message.js";
+import { Message, isClientVisible } from "../models/Message.js";
 import mongoose from "mongoose";
 
 /* ---------------- helpers to normalize messages ---------------- */
@@ -22,7 +23,8 @@ const fullName = (u) =>
 
 // inside chat.controller.js
 
-const shapeMessage = (m, usersById = new Map(), clientEmailFallback = null) => {
+// quotes: Map parentId → preview from chatService.loadQuotes (for replies)
+const shapeMessage = (m, usersById = new Map(), clientEmailFallback = null, quotes = new Map()) => {
   const plain = m.toObject?.() || m;
 
   // System messages
@@ -113,9 +115,34 @@ const shapeMessage = (m, usersById = new Map(), clientEmailFallback = null) => {
     createdAtISO: new Date(plain.createdAt || Date.now()).toISOString(),
     allowRating,
     ratingRequestId,
+    editedAt: plain.editedAt || null,
+    deleted: !!plain.deletedAt,
+    deletedAt: plain.deletedAt || null,
+    replyTo: plain.replyTo ? quotes.get(String(plain.replyTo)) || { _id: plain.replyTo, unavailable: true } : null,
+    threadRoot: plain.threadRoot || null,
+    replyCount: plain.replyCount || 0,
+    mentions: (plain.mentions || []).map((m) => ({ userId: m.user, kind: m.kind, handle: m.handle })),
   };
 };
 
+/** Shape one stored message for broadcast after an edit/delete (sender looked up fresh). */
+const shapeStored = async (doc) => {
+  const sender = doc.sender
+    ? await User.findById(doc.sender, "firstName lastName email role").lean()
+    : null;
+  const quotes = await chatService.loadQuotes([doc], { client: doc.visibleTo !== "Staff" });
+  return shapeMessage({ ...doc, sender: sender || doc.sender || null }, new Map(), null, quotes);
+};
+
+const sendChangeError = (res, e) => {
+  const msg = e?.message || "Request failed";
+  if (e?.status) return res.status(e.status).json({ success: false, message: msg });
+  if (/not found/i.test(msg)) return res.status(404).json({ success: false, message: msg });
+  if (/forbidden|unauthorized/i.test(msg)) return res.status(403).json({ success: false, message: msg });
+  if (/room closed/i.test(msg)) return res.status(423).json({ success: false, message: "Room closed" });
+  return res.status(400).json({ success: false, message: msg });
+};
+
 /* ========================================================================== */
 /*                           STAFF / MEMBER ENDPOINTS                         */
 /* ========================================================================== */
@@ -124,11 +151,17 @@ export const sendMessage = async (req, res) => {
   try {
     const roomId = (req.body?.roomId || "").toString().trim();
     const text = (req.body?.text || "").toString();
+    // multipart sends booleans as strings
+    const internal = req.body?.internal === true || req.body?.internal === "true";
+    const replyTo = (req.body?.replyTo || "").toString().trim() || null;
     if (!roomId) {
       return res.status(400).json({ success: false, message: "roomId is required" });
     }
 
     await chatService.ensureMember(roomId, req.user._id, { allowClosed: false });
+    if (internal && /client/i.test(String(req.user.role || ""))) {
+      return res.status(403).json({ success: false, message: "Forbidden: clients can't post internal notes" });
+    }
 
     const files = Array.isArray(req.files) ? req.files : [];
     const nonEmpty = files.filter((f) => f?.buffer && f.buffer.length > 0);
@@ -161,25 +194,27 @@ export const sendMessage = async (req, res) => {
     const msg = await chatService.postMessage(
       roomId,
       req.user,
-      { text, attachments },
+      { text, attachments, internal, replyTo },
       { ip: req.ip }
     );
 
     const u = await User.findById(req.user._id).lean();
-    const shaped = shapeMessage({
-      ...(msg.toObject?.() || msg),
-      sender: u,
-      senderType: "User",
-    });
+    const quotes = await chatService.loadQuotes([msg]);
+    const shaped = shapeMessage(
+      { ...(msg.toObject?.() || msg), sender: u, senderType: "User" },
+      new Map(),
+      null,
+      quotes
+    );
 
-    getIO()?.to(roomId.toString()).emit("message", shaped);
+    emitRoomMessage(roomId, shaped);
     return res.status(201).json({ success: true, message: shaped });
   } catch (e) {
     const msg = e?.message || "Failed to send";
     if (/forbidden|not a room member/i.test(msg)) {
       return res.status(403).json({ success: false, message: msg });
     }
-    if (/room not found/i.test(msg)) {
+    if (/room not found|replied to not found/i.test(msg)) {
       return res.status(404).json({ success: false, message: msg });
     }
     if (/room closed/i.test(msg)) {
@@ -216,8 +251,9 @@ export const getMessages = async (req, res) => {
       "firstName lastName email role"
     ).lean();
     const map = new Map(users.map((u) => [u._id.toString(), u]));
+    const quotes = await chatService.loadQuotes(filtered, { client: /client/i.test(req.user.role || "") });
 
-    const shaped = filtered.map((m) => shapeMessage(m, map));
+    const shaped = filtered.map((m) => shapeMessage(m, map, null, quotes));
     res.json({ success: true, messages: shaped });
   } catch (e) {
     res.status(400).json({ success: false, message: e.message });
@@ -229,7 +265,15 @@ export const myRooms = async (req, res) => {
     const rooms = await ChatRoom.find({ members: req.user._id })
       .sort({ updatedAt: -1 })
       .lean();
-    res.json({ success: true, rooms });
+    const unread = await readReceipts.unreadCounts(
+      rooms.map((r) => r._id),
+      req.user._id,
+      { client: /client/i.test(req.user.role || "") }
+    );
+    res.json({
+      success: true,
+      rooms: rooms.map((r) => ({ ...r, ...(unread.get(String(r._id)) || { unread: 0, unreadCapped: false }) })),
+    });
   } catch (e) {
     res.status(400).json({ success: false, message: e.message });
   }
@@ -323,7 +367,7 @@ export const sendRatingPrompt = async (req, res) => {
     });
 
     try {
-      getIO()?.to(roomId.toString()).emit("message", shaped);
+      emitRoomMessage(roomId, shaped);
     } catch (_) {}
 
     return res.status(201).json({ success: true, message: shaped });
@@ -375,7 +419,7 @@ export const clientGetMessages = async (req, res) => {
     const q = { room: pr.chatRoom };
     if (cursor) q._id = { $gt: cursor };
 
-    const msgs = await Message.find(q).sort({ _id: 1 }).limit(limit).lean();
+    const msgs = await Message.find(q).forClient().sort({ _id: 1 }).limit(limit).lean();
     const nextCursor = msgs.length
       ? String(msgs[msgs.length - 1]._id)
       : null;
@@ -392,8 +436,9 @@ export const clientGetMessages = async (req, res) => {
       "firstName lastName email role"
     ).lean();
     const map = new Map(staff.map((u) => [u._id.toString(), u]));
+    const quotes = await chatService.loadQuotes(msgs, { client: true });
 
-    const shaped = msgs.map((m) => shapeMessage(m, map, pr.email));
+    const shaped = msgs.map((m) => shapeMessage(m, map, pr.email, quotes));
     res.json({ success: true, messages: shaped, nextCursor });
   } catch (e) {
     res.status(400).json({ success: false, message: e.message });
@@ -453,28 +498,25 @@ export const clientSendMessage = async (req, res) => {
         .json({ success: false, message: "Empty message: provide text or files" });
     }
 
-    const msg = await Message.create({
-      room: pr.chatRoom,
-      senderType: "Client",
-      sender: null,
-      clientEmail: pr.email || null,
-      text,
-      attachments,
-    });
+    const msg = await chatService.clientPost(
+      { requestId: pr._id, clientKey, text, attachments, replyTo: req.body.replyTo || null },
+      { ip: req.ip }
+    );
 
     const shaped = shapeMessage(
       { ...(msg.toObject?.() || msg), senderType: "Client", clientEmail: pr.email || null },
       new Map(),
-      pr.email || null
+      pr.email || null,
+      await chatService.loadQuotes([msg], { client: true })
     );
 
     try {
-      getIO()?.to(pr.chatRoom.toString()).emit("message", shaped);
+      emitRoomMessage(pr.chatRoom.toString(), shaped);
     } catch (_) {}
 
     res.status(201).json({ success: true, message: shaped });
   } catch (e) {
-    res.status(400).json({ success: false, message: e.message });
+    sendChangeError(res, e);
   }
 };
 
@@ -534,7 +576,15 @@ export const myClientRooms = async (req, res) => {
       })
     );
 
-    res.json({ success: true, rooms });
+    const unread = await readReceipts.unreadCounts(
+      rooms.filter((r) => mongoose.Types.ObjectId.isValid(r.id)).map((r) => r.id),
+      me._id,
+      { client: true }
+    );
+    res.json({
+      success: true,
+      rooms: rooms.map((r) => ({ ...r, ...(unread.get(r.id) || { unread: 0, unreadCapped: false }) })),
+    });
   } catch (e) {
     res.status(400).json({ success: false, message: e.message });
   }
@@ -550,7 +600,7 @@ export const getClientRoomMessages = async (req, res) => {
     const pr = await ProjectRequest.findOne({ chatRoom: roomId, clientId: req.user._id }).lean();
     if (!pr) return res.status(403).json({ success: false, message: "Forbidden" });
 
-    const items = await Message.find({ room: roomId }).sort({ _id: 1 }).limit(300).lean();
+    const items = await Message.find({ room: roomId }).forClient().sort({ _id: 1 }).limit(300).lean();
 
     const staffIds = [
       ...new Set(items.filter((m) => m.senderType !== "Client" && m.sender).map((m) => m.sender.toString())),
@@ -559,8 +609,9 @@ export const getClientRoomMessages = async (req, res) => {
       ? await User.find({ _id: { $in: staffIds } }, "firstName lastName email role").lean()
       : [];
     const map = new Map(users.map((u) => [u._id.toString(), u]));
+    const quotes = await chatService.loadQuotes(items, { client: true });
 
-    const shaped = items.map((m) => shapeMessage(m, map, pr.email));
+    const shaped = items.map((m) => shapeMessage(m, map, pr.email, quotes));
     res.json({ success: true, messages: shaped });
   } catch (e) {
     res.status(400).json({ success: false, message: e.message });
@@ -608,25 +659,227 @@ export const clientRoomSend = async (req, res) => {
       return res.status(400).json({ success: false, message: "Empty message: provide text or files" });
     }
 
-    const msg = await Message.create({
-      room: roomId,
-      senderType: "Client",
-      sender: null,
-      clientEmail: pr.email || null,
-      text,
-      attachments,
-    });
+    const msg = await chatService.clientPost(
+      { requestId: pr._id, clientId: req.user._id, text, attachments, replyTo: req.body?.replyTo || null },
+      { ip: req.ip }
+    );
 
     const shaped = shapeMessage(
       { ...(msg.toObject?.() || msg), senderType: "Client", clientEmail: pr.email || null },
       new Map(),
-      pr.email || null
+      pr.email || null,
+      await chatService.loadQuotes([msg], { client: true })
     );
 
-    try { getIO()?.to(roomId.toString()).emit("message", shaped); } catch {}
+    try { emitRoomMessage(roomId, shaped); } catch {}
 
     return res.status(201).json({ success: true, message: shaped });
   } catch (e) {
-    return res.status(400).json({ success: false, message: e?.message || "Bad Request" });
+    return sendChangeError(res, e);
+  }
+};
+
+/* ========================================================================== */
+/*                              EDIT / DELETE                                  */
+/* ========================================================================== */
+
+// "message:updated" carries the reshaped message; "message:deleted" just the tombstone.
+// Both follow the message's audience, so an internal note's edit never reaches clients.
+const emitUpdated = async (doc) => {
+  const shaped = await shapeStored(doc);
+  emitRoomMessage(String(doc.room), shaped, "message:updated");
+  return shaped;
+};
+
+const emitDeleted = (doc) => {
+  const payload = { _id: doc._id, room: doc.room, visibleTo: doc.visibleTo || "All", deletedAt: doc.deletedAt };
+  emitRoomMessage(String(doc.room), payload, "message:deleted");
+  return payload;
+};
+
+// PATCH /api/chat/messages/:messageId  { text }
+export const editMessage = async (req, res) => {
+  try {
+    const doc = await chatService.editMessage(req.params.messageId, { user: req.user }, { text: req.body?.text }, { ip: req.ip });
+    res.json({ success: true, message: await emitUpdated(doc) });
+  } catch (e) {
+    sendChangeError(res, e);
+  }
+};
+
+// DELETE /api/chat/messages/:messageId
+export const deleteMessage = async (req, res) => {
+  try {
+    const doc = await chatService.deleteMessage(req.params.messageId, { user: req.user }, { ip: req.ip });
+    res.json({ success: true, message: emitDeleted(doc) });
+  } catch (e) {
+    sendChangeError(res, e);
+  }
+};
+
+// PATCH /api/chat/client/messages/:messageId  { requestId, clientKey, text }
+export const clientEditMessage = async (req, res) => {
+  try {
+    const clientKey = req.body?.clientKey || req.get("x-client-key");
+    if (!clientKey) return res.status(400).json({ success: false, message: "Missing clientKey" });
+    const doc = await chatService.editMessage(
+      req.params.messageId,
+      { requestId: req.body?.requestId, clientKey },
+      { text: req.body?.text },
+      { ip: req.ip }
+    );
+    res.json({ success: true, message: await emitUpdated(doc) });
+  } catch (e) {
+    sendChangeError(res, e);
+  }
+};
+
+// DELETE /api/chat/client/messages/:messageId?requestId=&clientKey=
+export const clientDeleteMessage = async (req, res) => {
+  try {
+    const clientKey = req.query.clientKey || req.get("x-client-key");
+    if (!clientKey) return res.status(400).json({ success: false, message: "Missing clientKey" });
+    const doc = await chatService.deleteMessage(
+      req.params.messageId,
+      { requestId: req.query.requestId, clientKey },
+      { ip: req.ip }
+    );
+    res.json({ success: true, message: emitDeleted(doc) });
+  } catch (e) {
+    sendChangeError(res, e);
+  }
+};
+
+// GET /api/chat/messages/:messageId/revisions (Admin/SuperAdmin)
+export const getMessageRevisions = async (req, res) => {
+  try {
+    const data = await chatService.getMessageRevisions(req.params.messageId);
+    res.json({ success: true, ...data });
+  } catch (e) {
+    sendChangeError(res, e);
+  }
+};
+
+/* ========================================================================== */
+/*                                  THREADS                                    */
+/* ========================================================================== */
+
+const shapeThread = async (thread, { client = false, clientEmail = null } = {}) => {
+  const all = [thread.root, ...thread.replies];
+  const ids = [...new Set(all.filter((m) => m.senderType !== "Client" && m.sender).map((m) => String(m.sender)))];
+  const users = ids.length ? await User.find({ _id: { $in: ids } }, "firstName lastName email role").lean() : [];
+  const map = new Map(users.map((u) => [u._id.toString(), u]));
+  const quotes = await chatService.loadQuotes(all, { client });
+  return {
+    root: shapeMessage(thread.root, map, clientEmail, quotes),
+    replies: thread.replies.map((m) => shapeMessage(m, map, clientEmail, quotes)),
+    nextCursor: thread.nextCursor,
+  };
+};
+
+// GET /api/chat/messages/:messageId/thread?limit=&cursor= (room members)
+export const getThread = async (req, res) => {
+  try {
+    const thread = await chatService.getThread(req.params.messageId, {
+      userId: req.user._id,
+      limit: Number(req.query.limit) || 50,
+      cursor: req.query.cursor || null,
+    });
+    res.json({ success: true, ...(await shapeThread(thread, { client: /client/i.test(req.user.role || "") })) });
+  } catch (e) {
+    sendChangeError(res, e);
+  }
+};
+
+// GET /api/chat/client/:requestId/messages/:messageId/thread?clientKey=&limit=&cursor=
+export const clientGetThread = async (req, res) => {
+  try {
+    const clientKey = req.query.clientKey || req.get("x-client-key");
+    if (!clientKey) return res.status(400).json({ success: false, message: "Missing clientKey" });
+    const pr = await ProjectRequest.findById(req.params.requestId).select("clientKey chatRoom email").lean();
+    if (!pr) return res.status(404).json({ success: false, message: "Request not found" });
+    if (pr.clientKey !== clientKey) return res.status(403).json({ success: false, message: "Invalid key" });
+
+    const thread = await chatService.getThread(req.params.messageId, {
+      client: true,
+      limit: Number(req.query.limit) || 50,
+      cursor: req.query.cursor || null,
+    });
+    if (String(thread.root.room) !== String(pr.chatRoom)) {
+      return res.status(404).json({ success: false, message: "Message not found" });
+    }
+    res.json({ success: true, ...(await shapeThread(thread, { client: true, clientEmail: pr.email })) });
+  } catch (e) {
+    sendChangeError(res, e);
+  }
+};
+
+// GET /api/chat/client-room/:roomId/messages/:messageId/thread (signed-in client)
+export const getClientRoomThread = async (req, res) => {
+  try {
+    const { roomId } = req.params;
+    if (!mongoose.Types.ObjectId.isValid(roomId)) {
+      return res.status(400).json({ success: false, message: "Invalid room id" });
+    }
+    const pr = await ProjectRequest.findOne({ chatRoom: roomId, clientId: req.user._id }).select("email").lean();
+    if (!pr) return res.status(403).json({ success: false, message: "Forbidden" });
+
+    const thread = await chatService.getThread(req.params.messageId, {
+      client: true,
+      limit: Number(req.query.limit) || 50,
+      cursor: req.query.cursor || null,
+    });
+    if (String(thread.root.room) !== String(roomId)) {
+      return res.status(404).json({ success: false, message: "Message not found" });
+    }
+    res.json({ success: true, ...(await shapeThread(thread, { client: true, clientEmail: pr.email })) });
+  } catch (e) {
+    sendChangeError(res, e);
+  }
+};
+
+/* ========================================================================== */
+/*                               READ RECEIPTS                                 */
+/* ========================================================================== */
+
+// POST /api/chat/rooms/:roomId/read { messageId? } (members; omitted = up to the latest message)
+export const markRead = async (req, res) => {
+  try {
+    const { roomId } = req.params;
+    if (!mongoose.Types.ObjectId.isValid(roomId)) {
+      return res.status(400).json({ success: false, message: "Invalid room id" });
+    }
+    await chatService.ensureMember(roomId, req.user._id, { allowClosed: true });
+    const { advanced, cursor } = await readReceipts.markRead(roomId, req.user._id, {
+      messageId: req.body?.messageId || null,
+      client: /client/i.test(req.user.role || ""),
+    });
+    res.json({ success: true, advanced, cursor });
+  } catch (e) {
+    sendChangeError(res, e);
+  }
+};
+
+// GET /api/chat/messages/:messageId/seen-by (members who can see the message; admins)
+export const getSeenBy = async (req, res) => {
+  try {
+    const { messageId } = req.params;
+    if (!mongoose.Types.ObjectId.isValid(messageId)) {
+      return res.status(400).json({ success: false, message: "Invalid message id" });
+    }
+    const msg = await Message.findById(messageId).select("room sender visibleTo").lean();
+    if (!msg) return res.status(404).json({ success: false, message: "Message not found" });
+
+    const role = (req.user.role || "").toString();
+    if (role !== "Admin" && role !== "SuperAdmin") {
+      await chatService.ensureMember(msg.room, req.user._id, { allowClosed: true });
+      if (/client/i.test(role) && !isClientVisible(msg)) {
+        return res.status(404).json({ success: false, message: "Message not found" });
+      }
+    }
+
+    res.json({ success: true, messageId, seenBy: await readReceipts.seenBy(msg) });
+  } catch (e) {
+    sendChangeError(res, e);
   }
 };
@@ -1,6 +1,6 @@
 import { Types } from "mongoose";
 import { streamFileByIdHTTP } from "../lib/gridfs.js";
-import { Message } from "../models/Message.js";
+import { Message, isClientVisible, clientVisibleFilter } from "../models/Message.js";
 import { ChatRoom } from "../models/ChatRoom.js";
 import { ProjectRequest } from "../models/ProjectRequest.js";
 
@@ -17,7 +17,11 @@ export const downloadForMember = async (req, res) => {
     if (!message) return res.status(404).json({ success: false, message: "Attachment not found" });
 
     const userId = req.user?._id || req.user?.id; // optional if route is unprotected
-    if (userId) {
+    // internal-note files need a signed-in staff member; everyone else gets a plain 404
+    if (!isClientVisible(message) && (!userId || /client/i.test(String(req.user?.role || "")))) {
+      return res.status(404).json({ success: false, message: "Attachment not found" });
+    }
+    if (userId && !/admin/i.test(String(req.user?.role || ""))) {
       const room = await ChatRoom.findById(message.room).lean();
       if (!room) return res.status(404).json({ success: false, message: "Room not found" });
       const isMember = room.members?.some?.((m) => m.toString() === String(userId));
@@ -51,6 +55,7 @@ export const downloadForClient = async (req, res) => {
     const belongs = await Message.findOne({
       room: request.chatRoom,
       "attachments.fileId": fileId,
+      ...clientVisibleFilter(),
     }).lean();
     if (!belongs) return res.status(404).json({ success: false, message: "Attachment not found" });
 
@@ -2,7 +2,15 @@
 import { User } from "../models/User.js";
 import { Task } from "../models/Task.js";
 import { ProjectRequest } from "../models/ProjectRequest.js";
-import { logAudit } from "../services/audit.service.js";
+import { logAudit, fromReq } from "../services/audit.service.js";
+import * as intakeFormService from "../services/intake-form.service.js";
+import * as assignmentStrategyService from "../services/assignment-strategy.service.js";
+import { coverageReport } from "../services/out-of-office.service.js";
+import { getStandbyQueue } from "../services/standby-queue.service.js";
+import { simulatePmSelection } from "../services/pm-selection.service.js";
+import { leaseStatus } from "../lib/leader.js";
+import { annotatePresence, connectedUserIds, presenceSummary } from "../services/presence.service.js";
+import { reconcileWorkload } from "../services/workload.service.js";
 
 const safeRole = (r) => (r || "").toString();
 
@@ -28,11 +36,14 @@ export const overview = async (req, res) => {
       User.countDocuments({ role: "Admin" }),
     ]);
 
-    const [pmActive, pmIdle, engActive, engIdle] = await Promise.all([
-      User.countDocuments({ role: "PM", $or: [{ isBusy: true }, { online: true }] }),
-      User.countDocuments({ role: "PM", isBusy: false, online: false }),
-      User.countDocuments({ role: "Engineer", $or: [{ isBusy: true }, { online: true }] }),
-      User.countDocuments({ role: "Engineer", isBusy: false, online: false }),
+    // active = busy OR connected (any presence state but offline)
+    const connected = await connectedUserIds();
+    const [pmActive, pmIdle, engActive, engIdle, presence] = await Promise.all([
+      User.countDocuments({ role: "PM", $or: [{ isBusy: true }, { _id: { $in: connected } }] }),
+      User.countDocuments({ role: "PM", isBusy: false, _id: { $nin: connected } }),
+      User.countDocuments({ role: "Engineer", $or: [{ isBusy: true }, { _id: { $in: connected } }] }),
+      User.countDocuments({ role: "Engineer", isBusy: false, _id: { $nin: connected } }),
+      presenceSummary({ roles: ["PM", "Engineer", "Admin"] }),
     ]);
 
     // Open vs in-progress vs completed for quick health
@@ -43,11 +54,13 @@ export const overview = async (req, res) => {
     ]);
 
     // Top busy users (by active tasks)
-    const topBusy = await User.find({})
-      .select("firstName lastName role email numberOfTask isBusy online")
-      .sort({ numberOfTask: -1 })
-      .limit(6)
-      .lean();
+    const topBusy = await annotatePresence(
+      await User.find({})
+        .select("firstName lastName role email numberOfTask isBusy")
+        .sort({ numberOfTask: -1 })
+        .limit(6)
+        .lean()
+    );
 
     res.json({
       success: true,
@@ -68,6 +81,7 @@ export const overview = async (req, res) => {
           completed: reqComplete,
         },
         topBusy,
+        presence,
       },
     });
   } catch (e) {
@@ -182,3 +196,160 @@ function sanitize(u) {
   const { password, salt, hash, ...rest } = u;
   return rest;
 }
+
+/* ----------------------------- intake forms ----------------------------- */
+
+export const listIntakeForms = async (_req, res) => {
+  try {
+    const forms = await intakeFormService.listIntakeForms();
+    res.json({ success: true, forms });
+  } catch (e) {
+    res.status(400).json({ success: false, message: e.message });
+  }
+};
+
+export const getIntakeForm = async (req, res) => {
+  try {
+    const form = await intakeFormService.getIntakeForm(req.params.source);
+    if (!form) return res.status(404).json({ success: false, message: "Intake form not found" });
+    res.json({ success: true, form });
+  } catch (e) {
+    res.status(400).json({ success: false, message: e.message });
+  }
+};
+
+// PUT body: { name?, active?, fields?: [{ name, label, type, required, options, helpText, order }] }
+export const saveIntakeForm = async (req, res) => {
+  try {
+    const { name, fields, active } = req.body || {};
+    const form = await intakeFormService.upsertIntakeForm(
+      req.params.source,
+      { name, fields, active },
+      req.user,
+      fromReq(req)
+    );
+    res.json({ success: true, form });
+  } catch (e) {
+    res.status(e.status || 400).json({ success: false, message: e.message, errors: e.errors });
+  }
+};
+
+export const deleteIntakeForm = async (req, res) => {
+  try {
+    await intakeFormService.deleteIntakeForm(req.params.source, req.user, fromReq(req));
+    res.json({ success: true });
+  } catch (e) {
+    res.status(/not found/i.test(e.message) ? 404 : 400).json({ success: false, message: e.message });
+  }
+};
+
+export const listAssignmentPolicies = async (_req, res) => {
+  try {
+    const data = await assignmentStrategyService.listAssignmentPolicies();
+    res.json({ success: true, ...data });
+  } catch (e) {
+    res.status(400).json({ success: false, message: e.message });
+  }
+};
+
+// PUT body: { strategy }   — scope "*" is the deployment default, otherwise an intake source
+export const saveAssignmentPolicy = async (req, res) => {
+  try {
+    const policy = await assignmentStrategyService.setAssignmentPolicy(
+      req.params.scope,
+      req.body?.strategy,
+      req.user,
+      fromReq(req)
+    );
+    res.json({ success: true, policy });
+  } catch (e) {
+    res.status(400).json({ success: false, message: e.message });
+  }
+};
+
+export const deleteAssignmentPolicy = async (req, res) => {
+  try {
+    await assignmentStrategyService.deleteAssignmentPolicy(req.params.scope, req.user, fromReq(req));
+    res.json({ success: true });
+  } catch (e) {
+    res.status(/not found/i.test(e.message) ? 404 : 400).json({ success: false, message: e.message });
+  }
+};
+
+// GET /management/coverage?days=7 — who is (or will be) out of office and what they leave uncovered
+export const getCoverageReport = async (req, res) => {
+  try {
+    const report = await coverageReport({ days: req.query.days ?? 7 });
+    res.json({ success: true, ...report });
+  } catch (e) {
+    res.status(400).json({ success: false, message: e.message });
+  }
+};
+
+// GET /management/standby-queue — waiting requests in pick order with position, wait and ETA
+export const getStandbyQueueReport = async (_req, res) => {
+  try {
+    const queue = await getStandbyQueue();
+    res.json({ success: true, ...queue });
+  } catch (e) {
+    res.status(400).json({ success: false, message: e.message });
+  }
+};
+
+/**
+ * GET /management/assignment-simulation?requestId=&source=&strategy=
+ * Dry run of PM auto-assignment against live presence/workload — claims nobody.
+ */
+export const simulateAssignment = async (req, res) => {
+  try {
+    const { requestId, source, strategy } = req.query;
+    let request = null;
+    if (requestId) {
+      request = await ProjectRequest.findById(requestId)
+        .select("projectTitle projectDescription tags customFields intakeSource status pmAssigned priority")
+        .lean();
+      if (!request) return res.status(404).json({ success: false, message: "Request not found" });
+    }
+
+    const result = await simulatePmSelection({ request, source: source || undefined, strategy: strategy || undefined });
+    res.json({
+      success: true,
+      request: request
+        ? {
+            _id: request._id,
+            projectTitle: request.projectTitle,
+            status: request.status,
+            intakeSource: request.intakeSource || null,
+            priority: request.priority || "normal",
+            pmAssigned: request.pmAssigned || null,
+          }
+        : null,
+      ...result,
+    });
+  } catch (e) {
+    res.status(400).json({ success: false, message: e.message });
+  }
+};
+
+// GET /management/scheduler — which instance holds the scheduler lease (and whether it's this one)
+export const getSchedulerStatus = async (_req, res) => {
+  try {
+    res.json({ success: true, ...(await leaseStatus()) });
+  } catch (e) {
+    res.status(400).json({ success: false, message: e.message });
+  }
+};
+
+/**
+ * GET  /management/workload-reconciliation — stored numberOfTask/isBusy vs true load (read-only)
+ * POST /management/workload-reconciliation — same, and correct what's off (audited per user)
+ */
+export const reconcileWorkloadReport = async (req, res) => {
+  try {
+    const fix = req.method === "POST";
+    const result = await reconcileWorkload({ fix, actor: req.user, auditMeta: fix ? fromReq(req) : {} });
+    res.json({ success: true, ...result });
+  } catch (e) {
+    res.status(400).json({ success: false, message: e.message });
+  }
+};
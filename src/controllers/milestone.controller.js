@@ -0,0 +1,83 @@
+// backend/src/controllers/milestone.controller.js
+import * as milestoneService from "../services/milestone.service.js";
+import { fromReq } from "../services/audit.service.js";
+
+const statusFor = (e) => {
+  const msg = e?.message || "";
+  if (e?.status) return e.status;
+  if (/not found/i.test(msg)) return 404;
+  if (/forbidden|only assigned|unauthorized/i.test(msg)) return 403;
+  return 400;
+};
+
+/* ---------------------------- staff endpoints ---------------------------- */
+
+export const listForRequest = async (req, res) => {
+  try {
+    const milestones = await milestoneService.listMilestonesForStaff(req.params.requestId, req.user);
+    res.json({ success: true, milestones });
+  } catch (e) {
+    res.status(statusFor(e)).json({ success: false, message: e.message });
+  }
+};
+
+export const createMilestone = async (req, res) => {
+  try {
+    const { requestId, title, description, dueDate, deliverables, order } = req.body || {};
+    const milestone = await milestoneService.createMilestone(
+      { requestId, pmUser: req.user, title, description, dueDate, deliverables, order },
+      fromReq(req)
+    );
+    res.status(201).json({ success: true, milestone });
+  } catch (e) {
+    res.status(statusFor(e)).json({ success: false, message: e.message });
+  }
+};
+
+export const updateMilestone = async (req, res) => {
+  try {
+    const milestone = await milestoneService.updateMilestone(req.params.id, req.user, req.body || {}, fromReq(req));
+    res.json({ success: true, milestone });
+  } catch (e) {
+    res.status(statusFor(e)).json({ success: false, message: e.message });
+  }
+};
+
+export const submitMilestone = async (req, res) => {
+  try {
+    const milestone = await milestoneService.submitMilestone(req.params.id, req.user, fromReq(req));
+    res.json({ success: true, milestone });
+  } catch (e) {
+    res.status(statusFor(e)).json({ success: false, message: e.message });
+  }
+};
+
+/* -------------------- client endpoints (clientKey or auth) -------------------- */
+
+export const clientList = async (req, res) => {
+  try {
+    const clientKey = req.query.clientKey || req.get("x-client-key");
+    const milestones = await milestoneService.listMilestonesForClient({
+      requestId: req.params.requestId,
+      clientKey,
+      user: req.user,
+    });
+    res.json({ success: true, milestones });
+  } catch (e) {
+    res.status(statusFor(e)).json({ success: false, message: e.message });
+  }
+};
+
+export const clientDecide = async (req, res) => {
+  try {
+    const { decision, note } = req.body || {};
+    const clientKey = req.body?.clientKey || req.get("x-client-key");
+    const milestone = await milestoneService.clientDecideMilestone(
+      { milestoneId: req.params.id, decision, note, clientKey, user: req.user },
+      fromReq(req)
+    );
+    res.json({ success: true, milestone });
+  } catch (e) {
+    res.status(statusFor(e)).json({ success: false, message: e.message });
+  }
+};
@@ -1,6 +1,13 @@
 import * as projectService from "../services/project.service.js";
+import { getRequestHistory } from "../services/lifecycle.service.js";
 import { fromReq } from "../services/audit.service.js";
+import * as intakeService from "../services/intake.service.js";
+import * as intakeFormService from "../services/intake-form.service.js";
+import { config } from "../config/env.js";
 import { getIO } from "../lib/io.js";
+import { resolveClientRequest } from "../utils/clientAccess.js";
+import * as standbyQueue from "../services/standby-queue.service.js";
+import * as priorityService from "../services/priority.service.js";
 import { ProjectRequest } from "../models/ProjectRequest.js";
 import { User } from "../models/User.js";
 import { ChatRoom } from "../models/ChatRoom.js";
@@ -11,12 +18,13 @@ import { Task } from "../models/Task.js";
 /* ========================================================================== */
 
 function prettyStatus(s = "") {
-  return { InProgress: "In-Progress" }[s] || s;
+  return { InProgress: "In-Progress", OnHold: "On-Hold" }[s] || s;
 }
 
 function attachPeopleNames(p) {
   const pm = p.pmAssigned && typeof p.pmAssigned === "object" ? p.pmAssigned : null;
   const eng = p.engineerAssigned && typeof p.engineerAssigned === "object" ? p.engineerAssigned : null;
+  const engs = (p.engineersAssigned || []).filter((e) => e && typeof e === "object" && e.firstName !== undefined);
 
   const pmName = pm ? `${pm.firstName || ""} ${pm.lastName || ""}`.trim() : null;
   const engineerName = eng ? `${eng.firstName || ""} ${eng.lastName || ""}`.trim() : null;
@@ -26,8 +34,18 @@ function attachPeopleNames(p) {
     status: prettyStatus(p.status),
     pmName,
     engineerName,
+    engineerNames: engs.map((e) => `${e.firstName || ""} ${e.lastName || ""}`.trim()),
     pmAssigned: pm ? pm._id : p.pmAssigned,
     engineerAssigned: eng ? eng._id : p.engineerAssigned,
+    engineersAssigned: engs.length ? engs.map((e) => e._id) : p.engineersAssigned || [],
+  };
+}
+
+/** task completion counters for list/detail views */
+function taskProgress(tasks = []) {
+  return {
+    taskCount: tasks.length,
+    tasksComplete: tasks.filter((t) => t.status === "Complete").length,
   };
 }
 
@@ -63,8 +81,32 @@ function pickRelevantDeadline(tasks = []) {
 /* INTAKE / BASICS */
 /* ========================================================================== */
 
+/**
+ * POST /projects/intake — signed by verifyIntakeSignature; the Idempotency-Key
+ * header makes sender retries replay the first response instead of creating
+ * another ProjectRequest + ChatRoom.
+ */
 export const intakeFromWordPress = async (req, res) => {
+  const key = String(req.get("idempotency-key") || "").trim();
+  if (!key || key.length > 200) {
+    return res.status(400).json({ success: false, message: "Idempotency-Key header is required (max 200 chars)" });
+  }
+
+  const source = req.intake?.source || "wordpress";
+  let receipt = null;
+  let createdBody = null;
   try {
+    const begun = await intakeService.beginIntake({
+      source,
+      key,
+      rawBody: req.rawBody ?? JSON.stringify(req.body || {}),
+    });
+    if (begun.replay) {
+      res.set("Idempotent-Replayed", "true");
+      return res.status(begun.replay.statusCode).json(begun.replay.response);
+    }
+    receipt = begun.receipt;
+
     const src = req.body || {};
     const {
       firstName,
@@ -83,21 +125,51 @@ export const intakeFromWordPress = async (req, res) => {
     if (!projectDescription) missing.push("projectDescription");
     if (!completionDate) missing.push("completionDate");
     if (missing.length) {
+      await intakeService.abortIntake(receipt);
       return res.status(400).json({ success: false, message: `Missing: ${missing.join(", ")}` });
     }
 
+    const customFields = await intakeFormService.resolveCustomFields(source, src);
+
     // Note: clientId is not known at this point (anonymous WP intake)
     const { request, pm, room } = await projectService.createProjectRequestAndAssignPM(
-      { firstName, lastName, email, projectTitle, projectDescription, completionDate, clientKey },
-      fromReq(req)
+      {
+        firstName, lastName, email, projectTitle, projectDescription, completionDate, clientKey,
+        intakeSource: source,
+        customFields,
+      },
+      { ...fromReq(req), intakeSource: source, idempotencyKey: key }
     );
 
-    res.status(201).json({
+    const body = {
       success: true,
       requestId: request._id,
       chatRoomId: room?._id || null,
       roomKey: room?.roomKey || null,
       clientKey: request.clientKey,
+    };
+    createdBody = body;
+    await intakeService.completeIntake(receipt, { statusCode: 201, response: body, requestId: request._id });
+    res.status(201).json(body);
+  } catch (e) {
+    if (createdBody) {
+      // the request exists: releasing the key would let a retry create it twice
+      await intakeService.recordIntakeRequest(receipt, createdBody.requestId);
+      if (!res.headersSent) res.status(201).json(createdBody);
+      return;
+    }
+    await intakeService.abortIntake(receipt);
+    res.status(e.status || 400).json({ success: false, message: e.message, errors: e.errors });
+  }
+};
+
+/** GET /projects/intake-form/:source — public: custom fields a source's form should ask */
+export const getIntakeFormForSource = async (req, res) => {
+  try {
+    const form = await intakeFormService.getActiveIntakeForm(req.params.source);
+    res.json({
+      success: true,
+      form: { source: String(req.params.source).toLowerCase(), name: form?.name || "", fields: form?.fields || [] },
     });
   } catch (e) {
     res.status(400).json({ success: false, message: e.message });
@@ -108,13 +180,14 @@ export const listProjects = async (req, res) => {
   try {
     const q = {};
     if (req.user?.role === "PM") q.pmAssigned = req.user._id;
+    if (req.query.priority) q.priority = String(req.query.priority);
 
     const items = await ProjectRequest.find(q).sort({ updatedAt: -1 }).lean();
 
     // Pull tasks for these requests and enrich with taskDeadline
     const ids = items.map(i => i._id);
     const tasks = await Task.find({ request: { $in: ids } })
-      .select("request deadline status updatedAt createdAt")
+      .select("request engineer title deadline status updatedAt createdAt")
       .lean();
 
     const byReq = new Map();
@@ -134,6 +207,7 @@ export const listProjects = async (req, res) => {
         taskDeadline: relDeadline ?? null,
         taskStatus:   rep?.status   ?? null,
         taskUpdatedAt:rep?.updatedAt ?? null,
+        ...taskProgress(ts),
       };
     });
 
@@ -151,7 +225,7 @@ export const getProjectById = async (req, res) => {
       return res.status(403).json({ success: false, message: "Forbidden" });
 
     const tasks = await Task.find({ request: item._id })
-      .select("request deadline status updatedAt createdAt")
+      .select("request engineer title deadline status updatedAt createdAt")
       .lean();
     const rep = pickRepresentativeTask(tasks);
     const relDeadline = pickRelevantDeadline(tasks);
@@ -171,6 +245,7 @@ export const getProjectById = async (req, res) => {
         taskDeadline: relDeadline ?? null,
         taskStatus: rep?.status ?? null,
         taskUpdatedAt: rep?.updatedAt ?? null,
+        ...taskProgress(tasks),
         reopenRequested, // ✅
       },
       tasks,
@@ -210,7 +285,7 @@ export const engineerMarkRequestReview = async (req, res) => {
     const updated = await projectService.markRequestReview(requestId, req.user, fromReq(req));
     res.json({ success: true, request: updated });
   } catch (e) {
-    res.status(400).json({ success: false, message: e.message });
+    res.status(e.status || 400).json({ success: false, message: e.message });
   }
 };
 
@@ -257,7 +332,7 @@ export const pmCloseRequest = async (req, res) => {
 
     res.json({ success: true, request: updated });
   } catch (e) {
-    res.status(400).json({ success: false, message: e.message });
+    res.status(e.status || 400).json({ success: false, message: e.message });
   }
 };
 
@@ -274,6 +349,173 @@ export const pmReopenRequest = async (req, res) => {
     }
 
     res.json({ success: true, request: updated });
+  } catch (e) {
+    res.status(e.status || 400).json({ success: false, message: e.message });
+  }
+};
+
+/** POST /projects/hold — pause a project (assigned PM or admin) */
+export const holdRequest = async (req, res) => {
+  try {
+    const { requestId, reason } = req.body || {};
+    const updated = await projectService.putRequestOnHold(requestId, req.user, { reason }, fromReq(req));
+    res.json({ success: true, request: updated });
+  } catch (e) {
+    res.status(e.status || 400).json({ success: false, message: e.message });
+  }
+};
+
+/** POST /projects/resume — resume an on-hold project */
+export const resumeRequest = async (req, res) => {
+  try {
+    const { requestId, reason } = req.body || {};
+    const updated = await projectService.resumeRequest(requestId, req.user, { reason }, fromReq(req));
+    res.json({ success: true, request: updated });
+  } catch (e) {
+    res.status(e.status || 400).json({ success: false, message: e.message });
+  }
+};
+
+/** POST /projects/cancel — cancel a project for good */
+export const cancelRequest = async (req, res) => {
+  try {
+    const { requestId, reason } = req.body || {};
+    const updated = await projectService.cancelRequest(requestId, req.user, { reason }, fromReq(req));
+    res.json({ success: true, request: updated });
+  } catch (e) {
+    res.status(e.status || 400).json({ success: false, message: e.message });
+  }
+};
+
+/** POST /projects/handoff — move a project to another PM (current PM or admin) */
+export const handoffRequest = async (req, res) => {
+  try {
+    const { requestId, toPmId, reason } = req.body || {};
+    if (!requestId || !toPmId) {
+      return res.status(400).json({ success: false, message: "requestId and toPmId are required" });
+    }
+    const updated = await projectService.handoffRequestToPm(requestId, toPmId, req.user, { reason }, fromReq(req));
+    res.json({ success: true, request: updated });
+  } catch (e) {
+    const status = e.status || (/not found/i.test(e.message) ? 404 : /only assigned/i.test(e.message) ? 403 : 400);
+    res.status(status).json({ success: false, message: e.message });
+  }
+};
+
+/** POST /projects/priority — admin sets a request's standby lane { requestId, priority, reason? } */
+export const setRequestPriority = async (req, res) => {
+  try {
+    const { requestId, priority, reason } = req.body || {};
+    if (!requestId) return res.status(400).json({ success: false, message: "requestId is required" });
+    const updated = await priorityService.setRequestPriority(requestId, priority, req.user, { reason }, fromReq(req));
+    standbyQueue.broadcastQueuePositions().catch(() => {});
+    res.json({
+      success: true,
+      request: {
+        _id: updated._id,
+        priority: updated.priority,
+        priorityReasons: updated.priorityReasons,
+        priorityNote: updated.priorityNote,
+        queueAt: updated.queueAt,
+      },
+    });
+  } catch (e) {
+    res.status(/not found/i.test(e.message) ? 404 : 400).json({ success: false, message: e.message });
+  }
+};
+
+/** GET /projects/client/:requestId/queue — the client's own standby position + ETA (clientKey or clientId) */
+export const getClientQueuePosition = async (req, res) => {
+  try {
+    const pr = await resolveClientRequest({
+      requestId: req.params.requestId,
+      clientKey: req.query.clientKey || req.get("x-client-key"),
+      user: req.user,
+    });
+    const entry = await standbyQueue.getQueuePosition(pr._id);
+    if (!entry) return res.json({ success: true, queued: false, pmAssigned: !!pr.pmAssigned });
+    res.json({
+      success: true,
+      queued: true,
+      position: entry.position,
+      total: entry.total,
+      etaAt: entry.etaAt,
+      etaMinutes: entry.etaMinutes,
+      message: standbyQueue.describePosition(entry),
+    });
+  } catch (e) {
+    const status = /not found/i.test(e.message) ? 404 : /unauthorized/i.test(e.message) ? 403 : 400;
+    res.status(status).json({ success: false, message: e.message });
+  }
+};
+
+/** POST /projects/tags — replace a project's tags { requestId, tags: [] | "a,b" } */
+export const setRequestTags = async (req, res) => {
+  try {
+    const { requestId, tags } = req.body || {};
+    if (!requestId) return res.status(400).json({ success: false, message: "requestId is required" });
+    const updated = await projectService.setRequestTags(requestId, tags, req.user, fromReq(req));
+    res.json({ success: true, tags: updated.tags });
+  } catch (e) {
+    const status = /not found/i.test(e.message) ? 404 : /only assigned/i.test(e.message) ? 403 : 400;
+    res.status(status).json({ success: false, message: e.message });
+  }
+};
+
+/* ========================================================================== */
+/* STATUS HISTORY */
+/* ========================================================================== */
+
+/** GET /projects/:id/history — full lifecycle timeline (PM/Admin) */
+export const getProjectHistory = async (req, res) => {
+  try {
+    const item = await ProjectRequest.findById(req.params.id).select("pmAssigned").lean();
+    if (!item) return res.status(404).json({ success: false, message: "Not found" });
+    if (req.user?.role === "PM" && item.pmAssigned?.toString() !== req.user._id.toString())
+      return res.status(403).json({ success: false, message: "Forbidden" });
+
+    const rows = await getRequestHistory(item._id);
+    const history = rows.map((h) => ({
+      _id: h._id,
+      from: h.from,
+      to: h.to,
+      fromPretty: h.from ? prettyStatus(h.from) : null,
+      toPretty: prettyStatus(h.to),
+      actor: h.actor
+        ? {
+            id: h.actor._id,
+            name: `${h.actor.firstName || ""} ${h.actor.lastName || ""}`.trim(),
+            role: h.actor.role,
+          }
+        : null,
+      reason: h.reason || "",
+      meta: h.meta || {},
+      at: h.at,
+    }));
+
+    res.json({ success: true, history });
+  } catch (e) {
+    res.status(400).json({ success: false, message: e.message });
+  }
+};
+
+/** GET /projects/public/by-key/:clientKey/history — client timeline (no staff identities) */
+export const getHistoryByClientKey = async (req, res) => {
+  try {
+    const { clientKey } = req.params;
+    const pr = await ProjectRequest.findOne({ clientKey }).select("_id").lean();
+    if (!pr) return res.status(404).json({ success: false, message: "Not found" });
+
+    const rows = await getRequestHistory(pr._id);
+    const history = rows.map((h) => ({
+      from: h.from,
+      to: h.to,
+      fromPretty: h.from ? prettyStatus(h.from) : null,
+      toPretty: prettyStatus(h.to),
+      at: h.at,
+    }));
+
+    res.json({ success: true, history });
   } catch (e) {
     res.status(400).json({ success: false, message: e.message });
   }
@@ -314,17 +556,19 @@ export const listProjectsNamed = async (req, res) => {
   try {
     const q = {};
     if (req.user?.role === "PM") q.pmAssigned = req.user._id;
+    if (req.query.priority) q.priority = String(req.query.priority);
 
     const items = await ProjectRequest.find(q)
       .sort({ updatedAt: -1 })
       .populate("pmAssigned", "firstName lastName email role")
       .populate("engineerAssigned", "firstName lastName email role")
+      .populate("engineersAssigned", "firstName lastName email role")
       .lean();
 
     // also attach representative task deadline
     const ids = items.map(i => i._id);
     const tasks = await Task.find({ request: { $in: ids } })
-      .select("request deadline status updatedAt createdAt")
+      .select("request engineer title deadline status updatedAt createdAt")
       .lean();
 
     const byReq = new Map();
@@ -347,6 +591,7 @@ export const listProjectsNamed = async (req, res) => {
         taskDeadline: relDeadline ?? null,
         taskStatus: rep?.status ?? null,
         taskUpdatedAt: rep?.updatedAt ?? null,
+        ...taskProgress(ts),
         reopenRequested: roomFlagMap.get(String(p._id)) || false,
       };
     });
@@ -362,6 +607,7 @@ export const getProjectByIdNamed = async (req, res) => {
     const item = await ProjectRequest.findById(req.params.id)
       .populate("pmAssigned", "firstName lastName email role")
       .populate("engineerAssigned", "firstName lastName email role")
+      .populate("engineersAssigned", "firstName lastName email role")
       .lean();
     if (!item) return res.status(404).json({ success: false, message: "Not found" });
 
@@ -369,7 +615,7 @@ export const getProjectByIdNamed = async (req, res) => {
       return res.status(403).json({ success: false, message: "Forbidden" });
 
     const tasks = await Task.find({ request: item._id })
-      .select("request deadline status updatedAt createdAt")
+      .select("request engineer title deadline status updatedAt createdAt")
       .lean();
 
     const rep = pickRepresentativeTask(tasks);
@@ -389,8 +635,10 @@ export const getProjectByIdNamed = async (req, res) => {
         taskDeadline: relDeadline ?? null,
         taskStatus: rep?.status ?? null,
         taskUpdatedAt: rep?.updatedAt ?? null,
+        ...taskProgress(tasks),
         reopenRequested,
       },
+      tasks,
     });
   } catch (e) {
     res.status(400).json({ success: false, message: e.message });
@@ -403,6 +651,7 @@ export const getProjectByRoomNamed = async (req, res) => {
     const pr = await ProjectRequest.findOne({ chatRoom: roomId })
       .populate("pmAssigned", "firstName lastName email role")
       .populate("engineerAssigned", "firstName lastName email role")
+      .populate("engineersAssigned", "firstName lastName email role")
       .lean();
 
     if (!pr) return res.status(404).json({ success: false, message: "Not found" });
@@ -410,7 +659,7 @@ export const getProjectByRoomNamed = async (req, res) => {
       return res.status(403).json({ success: false, message: "Forbidden" });
 
     const tasks = await Task.find({ request: pr._id })
-      .select("request deadline status updatedAt createdAt")
+      .select("request engineer title deadline status updatedAt createdAt")
       .lean();
     const rep = pickRepresentativeTask(tasks);
     const relDeadline = pickRelevantDeadline(tasks);
@@ -424,6 +673,7 @@ export const getProjectByRoomNamed = async (req, res) => {
         taskDeadline: relDeadline ?? null,
         taskStatus: rep?.status ?? null,
         taskUpdatedAt: rep?.updatedAt ?? null,
+        ...taskProgress(tasks),
         reopenRequested: !!room?.reopenRequestedByClient, // ✅
       },
     });
@@ -574,6 +824,9 @@ export const createFromClient = async (req, res) => {
       return res.status(400).json({ success: false, message: `Missing: ${missing.join(", ")}` });
     }
 
+    payload.intakeSource = config.intake.appSource;
+    payload.customFields = await intakeFormService.resolveCustomFields(payload.intakeSource, req.body || {});
+
     const { request, room } = await projectService.createProjectRequestAndAssignPM(payload, fromReq(req));
 
     return res.status(201).json({
@@ -583,7 +836,7 @@ export const createFromClient = async (req, res) => {
       clientKey: request.clientKey,
     });
   } catch (e) {
-    res.status(400).json({ success: false, message: e.message });
+    res.status(e.status || 400).json({ success: false, message: e.message, errors: e.errors });
   }
 };
 
@@ -598,7 +851,7 @@ export const getProjectByRoom = async (req, res) => {
     }
 
     const tasks = await Task.find({ request: pr._id })
-      .select("request deadline status updatedAt createdAt")
+      .select("request engineer title deadline status updatedAt createdAt")
       .lean();
     const rep = pickRepresentativeTask(tasks);
     const relDeadline = pickRelevantDeadline(tasks);
@@ -613,6 +866,7 @@ export const getProjectByRoom = async (req, res) => {
         taskDeadline: relDeadline ?? null,
         taskStatus: rep?.status ?? null,
         taskUpdatedAt: rep?.updatedAt ?? null,
+        ...taskProgress(tasks),
         reopenRequested: !!room?.reopenRequestedByClient, // ✅
       },
     });
@@ -8,11 +8,11 @@ import mongoose from "mongoose";
 export const createTask = async (req, res) => {
   try {
     // ⬇️ include pmDeadline from body
-    const { requestId, engineerId, title, description, deadline, pmDeadline } = req.body;
+    const { requestId, engineerId, title, description, deadline, pmDeadline, respondBy } = req.body;
 
     const task = await taskService.createTaskForRequest(
       // ⬇️ forward pmDeadline to the service (it already supports it)
-      { requestId, pmUser: req.user, engineerId, title, description, deadline, pmDeadline },
+      { requestId, pmUser: req.user, engineerId, title, description, deadline, pmDeadline, respondBy },
       fromReq(req)
     );
 
@@ -28,7 +28,33 @@ export const createTask = async (req, res) => {
 
     res.status(201).json({ success: true, task });
   } catch (e) {
-    res.status(400).json({ success: false, message: e.message });
+    res.status(e.status || 400).json({ success: false, message: e.message });
+  }
+};
+
+/** POST /tasks/replace-engineer — PM swaps (toEngineerId) or removes an engineer */
+export const replaceEngineer = async (req, res) => {
+  try {
+    const { requestId, fromEngineerId, toEngineerId, reason } = req.body || {};
+    const { request, tasks } = await taskService.replaceEngineerOnRequest(
+      { requestId, pmUser: req.user, fromEngineerId, toEngineerId, reason },
+      fromReq(req)
+    );
+
+    // handed-over tasks show up live for the replacement
+    if (toEngineerId && tasks.length) {
+      getIO()?.to(`user:${toEngineerId}`).emit("task:assigned", {
+        taskIds: tasks,
+        requestId,
+        roomId: request.chatRoom || null,
+        roomKey: null,
+      });
+    }
+    getIO()?.to(`user:${fromEngineerId}`).emit("task:unassigned", { requestId, taskIds: tasks });
+
+    res.json({ success: true, request, tasks });
+  } catch (e) {
+    res.status(e.status || 400).json({ success: false, message: e.message });
   }
 };
 
@@ -54,18 +80,53 @@ export const acceptTask = async (req, res) => {
       fromReq(req)
     );
     res.json({ success: true, task, roomId, roomKey });
+  } catch (e) {
+    res.status(e.status || 400).json({ success: false, message: e.message });
+  }
+};
+
+/** POST /tasks/decline — engineer turns down a pending assignment */
+export const declineTask = async (req, res) => {
+  try {
+    const { taskId, reason } = req.body || {};
+    const task = await taskService.engineerDeclineTask(taskId, req.user, { reason }, fromReq(req));
+    res.json({ success: true, task });
+  } catch (e) {
+    res.status(e.status || 400).json({ success: false, message: e.message });
+  }
+};
+
+/** GET /tasks/unassigned — PM's declined/expired tasks awaiting a new engineer */
+export const listUnassigned = async (req, res) => {
+  try {
+    const tasks = await taskService.listUnassignedTasks(req.user);
+    res.json({ success: true, tasks });
   } catch (e) {
     res.status(400).json({ success: false, message: e.message });
   }
 };
 
+/** POST /tasks/assign — PM gives an unassigned task to an engineer */
+export const assignTask = async (req, res) => {
+  try {
+    const { taskId, engineerId, respondBy } = req.body || {};
+    const task = await taskService.assignTaskToEngineer(
+      { taskId, pmUser: req.user, engineerId, respondBy },
+      fromReq(req)
+    );
+    res.json({ success: true, task });
+  } catch (e) {
+    res.status(e.status || 400).json({ success: false, message: e.message });
+  }
+};
+
 export const completeTask = async (req, res) => {
   try {
     const { taskId } = req.body;
     const task = await taskService.engineerCompleteTask(taskId, req.user, fromReq(req));
     res.json({ success: true, task });
   } catch (e) {
-    res.status(400).json({ success: false, message: e.message });
+    res.status(e.status || 400).json({ success: false, message: e.message });
   }
 };
 
@@ -1,5 +1,8 @@
 import * as userService from "../services/user.service.js";
 import { User } from "../models/User.js";
+import * as engineerRankingService from "../services/engineer-ranking.service.js";
+import * as outOfOfficeService from "../services/out-of-office.service.js";
+import { fromReq } from "../services/audit.service.js";
 
 export const getEngineers = async (req, res) => {
   try {
@@ -29,3 +32,125 @@ export const getAll = async (req, res) => {
     res.status(400).json({ success:false, message:error.message });
   }
 }
+
+/** GET /users/engineers/recommended/:requestId?limit= — scored engineer shortlist for a project */
+export const getRecommendedEngineers = async (req, res) => {
+  try {
+    const data = await engineerRankingService.recommendEngineersForRequest(req.params.requestId, req.user, {
+      limit: req.query.limit,
+    });
+    res.json({ success: true, ...data });
+  } catch (e) {
+    const status = /not found/i.test(e.message) ? 404 : /only assigned/i.test(e.message) ? 403 : 400;
+    res.status(status).json({ success: false, message: e.message });
+  }
+};
+
+/** PUT /users/me/skills — PM/Engineer edits their own skills { skills: [{ name, level }] } */
+export const updateMySkills = async (req, res) => {
+  try {
+    const skills = await userService.setUserSkills(req.user._id, req.body?.skills, req.user, fromReq(req));
+    res.json({ success: true, skills });
+  } catch (e) {
+    res.status(/not found/i.test(e.message) ? 404 : 400).json({ success: false, message: e.message });
+  }
+};
+
+/** PUT /users/:id/skills — admin edits a PM/Engineer's skills */
+export const updateUserSkills = async (req, res) => {
+  try {
+    const skills = await userService.setUserSkills(req.params.id, req.body?.skills, req.user, fromReq(req));
+    res.json({ success: true, skills });
+  } catch (e) {
+    res.status(/not found/i.test(e.message) ? 404 : 400).json({ success: false, message: e.message });
+  }
+};
+
+/** PUT /users/me/availability — own { timezone, workingHours: [{ day, start, end }] } */
+export const updateMyAvailability = async (req, res) => {
+  try {
+    const { timezone, workingHours, maxConcurrent } = req.body || {};
+    const availability = await userService.setUserAvailability(
+      req.user._id,
+      { timezone, workingHours, maxConcurrent },
+      req.user,
+      { allowCapacity: false },
+      fromReq(req)
+    );
+    res.json({ success: true, availability });
+  } catch (e) {
+    const status = /not found/i.test(e.message) ? 404 : /only an admin/i.test(e.message) ? 403 : 400;
+    res.status(status).json({ success: false, message: e.message });
+  }
+};
+
+/** PUT /users/:id/availability — admin sets { timezone?, workingHours?, maxConcurrent? } */
+export const updateUserAvailability = async (req, res) => {
+  try {
+    const { timezone, workingHours, maxConcurrent } = req.body || {};
+    const availability = await userService.setUserAvailability(
+      req.params.id,
+      { timezone, workingHours, maxConcurrent },
+      req.user,
+      { allowCapacity: true },
+      fromReq(req)
+    );
+    res.json({ success: true, availability });
+  } catch (e) {
+    res.status(/not found/i.test(e.message) ? 404 : 400).json({ success: false, message: e.message });
+  }
+};
+
+/* ------------------------------ out of office ------------------------------ */
+
+const oooStatus = (e) => (/not found/i.test(e.message) ? 404 : 400);
+
+/** PUT /users/me/out-of-office — { from?, until, delegateId?, message? } */
+export const setMyOutOfOffice = async (req, res) => {
+  try {
+    const { from, until, delegateId, message } = req.body || {};
+    const outOfOffice = await outOfOfficeService.setOutOfOffice(
+      req.user._id,
+      { from, until, delegateId, message },
+      req.user,
+      fromReq(req)
+    );
+    res.json({ success: true, outOfOffice });
+  } catch (e) {
+    res.status(oooStatus(e)).json({ success: false, message: e.message });
+  }
+};
+
+export const clearMyOutOfOffice = async (req, res) => {
+  try {
+    await outOfOfficeService.clearOutOfOffice(req.user._id, req.user, fromReq(req));
+    res.json({ success: true });
+  } catch (e) {
+    res.status(oooStatus(e)).json({ success: false, message: e.message });
+  }
+};
+
+/** PUT /users/:id/out-of-office — admin sets it on someone's behalf */
+export const setUserOutOfOffice = async (req, res) => {
+  try {
+    const { from, until, delegateId, message } = req.body || {};
+    const outOfOffice = await outOfOfficeService.setOutOfOffice(
+      req.params.id,
+      { from, until, delegateId, message },
+      req.user,
+      fromReq(req)
+    );
+    res.json({ success: true, outOfOffice });
+  } catch (e) {
+    res.status(oooStatus(e)).json({ success: false, message: e.message });
+  }
+};
+
+export const clearUserOutOfOffice = async (req, res) => {
+  try {
+    await outOfOfficeService.clearOutOfOffice(req.params.id, req.user, fromReq(req));
+    res.json({ success: true });
+  } catch (e) {
+    res.status(oooStatus(e)).json({ success: false, message: e.message });
+  }
+};
@@ -1,8 +1,7 @@
 // backend/src/lib/io.js
 import { Message } from "../models/Message.js";
-import { User } from "../models/User.js";
-import { autoAssignFromStandby, autoAssignFromStandbyForPM } from "../services/project.service.js";
-import { ONLINE_WINDOW_MS } from "../services/pm-selection.service.js";
+import { autoAssignFromStandby } from "../services/project.service.js";
+import { leaderOnly } from "./leader.js";
 
 let ioInstance = null;
 export function setIO(io) { ioInstance = io; }
@@ -13,18 +12,37 @@ export const roomKey = {
   clients: (roomId) => `room:${roomId}:clients`,
   pms: (roomId) => `room:${roomId}:pms`,
   engineers: (roomId) => `room:${roomId}:engineers`,
+  staff: (roomId) => `room:${roomId}:staff`, // every non-client member (PM, engineers, admins)
 };
 
+/**
+ * Broadcast a shaped chat message to the sockets allowed to see it:
+ * internal notes ("Staff") to the staff subgroup, client-only bubbles to the client
+ * subgroup, everything else to the whole room.
+ */
+export function emitRoomMessage(roomId, shaped, event = "message") {
+  const io = getIO();
+  if (!io || !roomId) return;
+  const to =
+    shaped?.visibleTo === "Staff"
+      ? roomKey.staff(roomId)
+      : shaped?.visibleTo === "Client"
+      ? roomKey.clients(roomId)
+      : roomKey.all(String(roomId));
+  io.to(to).emit(event, shaped);
+}
+
 /**
  * Persist a client-only system message and emit it LIVE to only the client subgroup
  */
-export async function saveAndEmitSystemForClients({ roomId, text, kind = null }) {
+export async function saveAndEmitSystemForClients({ roomId, text, kind = null, meta = {} }) {
   const doc = await Message.create({
     room: roomId,
     senderType: "System",
     text,
     kind,
     visibleTo: "Client",
+    meta,
   });
 
   const io = getIO();
@@ -41,6 +59,7 @@ export async function saveAndEmitSystemForClients({ roomId, text, kind = null })
       attachments: [],
       createdAt: doc.createdAt,
       kind: doc.kind || null,
+      meta: doc.meta || {},
       visibleTo: "Client",
     });
   }
@@ -53,69 +72,14 @@ export async function emitSystemMessage(opts) {
 }
 
 /* -------------------------------------------------------------------------- */
-/*                              Presence & Standby                             */
+/*                                   Standby                                   */
 /* -------------------------------------------------------------------------- */
 
-export function attachPresence(io) {
-  const OFFLINE_GRACE_MS = Math.ceil(ONLINE_WINDOW_MS * 1.5);
-
-  io.on("connection", async (socket) => {
-    const me = socket.request?.user;
-    if (!me) return;
-
-    socket.join(`user:${String(me._id)}`);
-    if (me.role) socket.join(`role:${me.role}`);
-
-    // mark online on connect
-    try {
-      await User.updateOne(
-        { _id: me._id },
-        { $set: { online: true, lastActive: new Date() } }
-      );
-    } catch {}
-
-    // if a PM connects, immediately try to auto assign from standby
-    if (me.role === "PM") {
-      try { await autoAssignFromStandbyForPM(me._id); } catch {}
-    }
-
-    // heartbeat
-    socket.on("presence:ping", async () => {
-      try {
-        await User.updateOne(
-          { _id: me._id },
-          { $set: { online: true, lastActive: new Date() } }
-        );
-        if (me.role === "PM") {
-          await autoAssignFromStandbyForPM(me._id);
-        }
-      } catch {}
-    });
-
-    // soft disconnect; the reaper will flip offline after grace
-    socket.on("disconnect", () => {
-      try {
-        socket.leave(`user:${String(me._id)}`);
-        if (me.role) socket.leave(`role:${me.role}`);
-      } catch {}
-    });
-  });
-
-  // Reaper: mark users offline if too quiet
-  setInterval(async () => {
-    const cutoff = new Date(Date.now() - Math.ceil(ONLINE_WINDOW_MS * 1.5));
-    try {
-      await User.updateMany(
-        { online: true, lastActive: { $lt: cutoff } },
-        { $set: { online: false } }
-      );
-    } catch {}
-  }, Math.max(ONLINE_WINDOW_MS, 5000));
-}
+// presence lives in services/presence.service.js; the socket wiring is in index.js
 
-/** Safety sweeper: very light loop to catch any missed standby assigns */
+/** Safety sweeper: very light loop to catch any missed standby assigns (leader only) */
 export function startStandbySweeper() {
-  setInterval(async () => {
+  setInterval(leaderOnly(async () => {
     try { await autoAssignFromStandby(); } catch {}
-  }, 3000);
+  }), 3000);
 }
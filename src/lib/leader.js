@@ -0,0 +1,101 @@
+// backend/src/lib/leader.js
+import os from "os";
+import crypto from "crypto";
+import { SchedulerLease } from "../models/SchedulerLease.js";
+import { config } from "../config/env.js";
+
+/**
+ * Mongo lease leader election. Every instance competes for the same lease; the holder
+ * runs cluster-wide jobs (sweeps, standby assignment, follow-ups) and the others skip
+ * them. Guard a job with `isLeader()` or wrap it with `leaderOnly(fn)`.
+ */
+export const INSTANCE_ID = `${os.hostname()}:${process.pid}:${crypto.randomBytes(3).toString("hex")}`;
+
+const state = { leader: false, timer: null, name: null, listeners: new Set() };
+
+export const isLeader = () => state.leader;
+
+/** fn(isLeader) is called whenever this instance gains or loses leadership. */
+export const onLeadershipChange = (fn) => {
+  state.listeners.add(fn);
+  return () => state.listeners.delete(fn);
+};
+
+function setLeader(next) {
+  if (state.leader === next) return;
+  state.leader = next;
+  console.log(`[leader] ${INSTANCE_ID} ${next ? "acquired" : "lost"} lease "${state.name}"`);
+  for (const fn of state.listeners) {
+    try { fn(next); } catch {}
+  }
+}
+
+/** Take the lease if it's free/expired, or extend it if we already hold it. */
+async function tryAcquire(name, ttlMs) {
+  const now = new Date();
+  try {
+    const doc = await SchedulerLease.findOneAndUpdate(
+      { _id: name, $or: [{ owner: INSTANCE_ID }, { expiresAt: { $lt: now } }] },
+      {
+        $set: { owner: INSTANCE_ID, expiresAt: new Date(now.getTime() + ttlMs) },
+        $setOnInsert: { acquiredAt: now },
+      },
+      { upsert: true, new: true }
+    ).lean();
+    return doc?.owner === INSTANCE_ID;
+  } catch (e) {
+    // lost the upsert race to another instance holding a live lease
+    if (e?.code === 11000) return false;
+    throw e;
+  }
+}
+
+export function startLeaderElection({
+  name = "scheduler",
+  ttlMs = config.scheduler.leaseTtlMs,
+  renewMs = config.scheduler.leaseRenewMs,
+} = {}) {
+  if (state.timer) return;
+  state.name = name;
+
+  const tick = async () => {
+    try {
+      setLeader(await tryAcquire(name, ttlMs));
+    } catch (e) {
+      // can't reach Mongo → can't prove we still hold it
+      console.warn("[leader] lease check failed:", e?.message);
+      setLeader(false);
+    }
+  };
+
+  tick();
+  state.timer = setInterval(tick, renewMs);
+}
+
+/** Give the lease up on shutdown so another instance takes over without waiting for expiry. */
+export async function stopLeaderElection() {
+  if (state.timer) clearInterval(state.timer);
+  state.timer = null;
+  if (!state.leader) return;
+  setLeader(false);
+  try {
+    await SchedulerLease.updateOne({ _id: state.name, owner: INSTANCE_ID }, { $set: { expiresAt: new Date(0) } });
+  } catch {}
+}
+
+/** Wrap an interval body so it only runs on the leader. */
+export const leaderOnly = (fn) => async (...args) => {
+  if (!state.leader) return;
+  return fn(...args);
+};
+
+export async function leaseStatus(name = state.name || "scheduler") {
+  const lease = await SchedulerLease.findById(name).lean();
+  return {
+    instanceId: INSTANCE_ID,
+    isLeader: state.leader,
+    lease: lease
+      ? { name: lease._id, owner: lease.owner, expiresAt: lease.expiresAt, acquiredAt: lease.acquiredAt, live: lease.expiresAt > new Date() }
+      : null,
+  };
+}
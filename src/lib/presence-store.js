@@ -0,0 +1,119 @@
+// backend/src/lib/presence-store.js
+import { User } from "../models/User.js";
+
+/**
+ * Presence stores. Per user they keep whether a connection is open and two timestamps:
+ * lastActive (user activity) and lastSeen (an instance vouching the connection is
+ * alive). They only persist and query; presence.service.js turns that into states.
+ *
+ *   memory  this process only, exact and write-free. Single-node deployments.
+ *   mongo   User.online/lastActive/lastSeen, shared by every instance. Each instance
+ *           refreshes lastSeen for its own connections, so users of a crashed
+ *           instance are reaped once their lastSeen goes stale.
+ *
+ * Store API (all async except onlineFilter):
+ *   seen(ids, at)        connections alive at `at`
+ *   active(id, at)       user activity (implies alive)
+ *   offline(id, at)      last connection closed
+ *   get(ids)             Map id → { connected, lastActive, lastSeen }
+ *   connected()          [{ userId, lastActive, lastSeen }] for everyone connected
+ *   reap(staleBefore)    mark connections not seen since then offline; returns their ids
+ *   onlineFilter(since)  User query fragment: connected and active since `since`
+ */
+
+const EMPTY = Object.freeze({ connected: false, lastActive: null, lastSeen: null });
+
+export function createMemoryStore() {
+  const entries = new Map(); // userId → { connected, lastActive, lastSeen }
+
+  const entry = (id) => {
+    const key = String(id);
+    if (!entries.has(key)) entries.set(key, { ...EMPTY });
+    return entries.get(key);
+  };
+
+  return {
+    name: "memory",
+    shared: false,
+
+    async seen(ids, at) {
+      for (const id of ids) Object.assign(entry(id), { connected: true, lastSeen: at });
+    },
+    async active(id, at) {
+      Object.assign(entry(id), { connected: true, lastActive: at, lastSeen: at });
+    },
+    async offline(id, at) {
+      const e = entries.get(String(id));
+      if (e) Object.assign(e, { connected: false, lastSeen: at });
+    },
+    async get(ids) {
+      return new Map(ids.map((id) => [String(id), { ...(entries.get(String(id)) || EMPTY) }]));
+    },
+    async connected() {
+      return [...entries].filter(([, e]) => e.connected).map(([userId, e]) => ({ userId, ...e }));
+    },
+    async reap(staleBefore) {
+      const gone = [];
+      for (const [id, e] of entries) {
+        if (e.connected && (!e.lastSeen || e.lastSeen < staleBefore)) {
+          e.connected = false;
+          gone.push(id);
+        }
+      }
+      return gone;
+    },
+    // wrapped in $and so it composes with an `_id` condition (e.g. claiming one PM)
+    onlineFilter(since) {
+      const ids = [...entries].filter(([, e]) => e.connected && e.lastActive >= since).map(([id]) => id);
+      return { $and: [{ _id: { $in: ids } }] };
+    },
+  };
+}
+
+export function createMongoStore() {
+  const staleFilter = (staleBefore) => ({
+    online: true,
+    $or: [{ lastSeen: null }, { lastSeen: { $lt: staleBefore } }],
+  });
+
+  return {
+    name: "mongo",
+    shared: true,
+
+    async seen(ids, at) {
+      if (!ids.length) return;
+      await User.updateMany({ _id: { $in: ids } }, { $set: { online: true, lastSeen: at } });
+    },
+    async active(id, at) {
+      await User.updateOne({ _id: id }, { $set: { online: true, lastActive: at, lastSeen: at } });
+    },
+    // another instance holding a connection for this user flips it back on its next heartbeat
+    async offline(id, at) {
+      await User.updateOne({ _id: id }, { $set: { online: false, lastSeen: at } });
+    },
+    async get(ids) {
+      const docs = await User.find({ _id: { $in: ids } }).select("online lastActive lastSeen").lean();
+      const byId = new Map(docs.map((d) => [String(d._id), d]));
+      return new Map(
+        ids.map((id) => {
+          const d = byId.get(String(id));
+          return [String(id), d ? { connected: !!d.online, lastActive: d.lastActive, lastSeen: d.lastSeen } : { ...EMPTY }];
+        })
+      );
+    },
+    async connected() {
+      const docs = await User.find({ online: true }).select("lastActive lastSeen").lean();
+      return docs.map((d) => ({ userId: String(d._id), connected: true, lastActive: d.lastActive, lastSeen: d.lastSeen }));
+    },
+    async reap(staleBefore) {
+      const stale = await User.find(staleFilter(staleBefore)).select("_id").lean();
+      if (!stale.length) return [];
+      const ids = stale.map((d) => d._id);
+      await User.updateMany({ _id: { $in: ids }, ...staleFilter(staleBefore) }, { $set: { online: false } });
+      return ids.map(String);
+    },
+    onlineFilter(since) {
+      return { online: true, lastActive: { $gte: since } };
+    },
+  };
+}
@@ -0,0 +1,40 @@
+// backend/src/lib/socket-adapter.js
+import mongoose from "mongoose";
+import { createAdapter } from "@socket.io/mongo-adapter";
+import { config } from "../config/env.js";
+
+/**
+ * Cluster adapter for Socket.IO. Jobs that run on the scheduler leader only (standby
+ * follow-ups, queue broadcasts...) emit to sockets held by every instance, and check
+ * who is connected with fetchSockets(); without a shared adapter both only reach the
+ * leader's own sockets.
+ *
+ * The Mongo adapter rides on change streams, so it needs a replica set (or sharded
+ * cluster). On a standalone server we stay on the in-memory adapter, which is right
+ * for a single instance. Returns the adapter in use.
+ */
+const CAPPED_SIZE_BYTES = 1e6;
+
+export async function attachClusterAdapter(io) {
+  if (config.socket.adapter !== "mongo") return "memory";
+
+  const db = mongoose.connection.db;
+  try {
+    const hello = await db.admin().command({ hello: 1 });
+    if (!hello.setName && hello.msg !== "isdbgrid") {
+      console.warn("[socket] MongoDB is not a replica set; using the in-memory adapter (single instance only)");
+      return "memory";
+    }
+
+    try {
+      await db.createCollection(config.socket.adapterCollection, { capped: true, size: CAPPED_SIZE_BYTES });
+    } catch (e) {
+      if (e?.codeName !== "NamespaceExists") throw e;
+    }
+    io.adapter(createAdapter(db.collection(config.socket.adapterCollection)));
+    return "mongo";
+  } catch (e) {
+    console.warn("[socket] cluster adapter unavailable, using the in-memory adapter:", e?.message);
+    return "memory";
+  }
+}
@@ -0,0 +1,59 @@
+import crypto from "crypto";
+import { config } from "../config/env.js";
+
+/**
+ * Capture the exact bytes of intake bodies (used as `verify` on the body parsers)
+ * so the signature is checked against what the sender signed, not a re-serialization.
+ */
+export const captureRawBody = (req, _res, buf) => {
+  if (req.originalUrl?.startsWith("/api/projects/intake")) req.rawBody = Buffer.from(buf);
+};
+
+const safeEqualHex = (a, b) => {
+  const x = Buffer.from(String(a), "hex");
+  const y = Buffer.from(String(b), "hex");
+  return x.length === y.length && x.length > 0 && crypto.timingSafeEqual(x, y);
+};
+
+/** HMAC-SHA256 over "<timestamp>.<raw body>", hex encoded. */
+export const signIntake = (secret, timestamp, rawBody) =>
+  crypto.createHmac("sha256", secret).update(`${timestamp}.`).update(rawBody || "").digest("hex");
+
+/**
+ * Verify a signed intake call.
+ * Headers:
+ *   X-Intake-Source     source name (defaults to config.intake.defaultSource)
+ *   X-Intake-Timestamp  unix seconds; must be within config.intake.toleranceSec
+ *   X-Intake-Signature  "sha256=<hex>" (bare hex also accepted)
+ * Any of the source's active secrets may match, which is what makes rotation possible.
+ * Sets req.intake = { source, signed }.
+ */
+export const verifyIntakeSignature = (req, res, next) => {
+  const { sources, defaultSource, toleranceSec, allowUnsigned } = config.intake;
+  const source = String(req.get("x-intake-source") || defaultSource).trim().toLowerCase();
+
+  if (!Object.keys(sources).length && allowUnsigned) {
+    req.intake = { source, signed: false };
+    return next();
+  }
+
+  const secrets = (sources[source]?.secrets || []).filter(Boolean);
+  if (!secrets.length) {
+    return res.status(401).json({ success: false, message: "Unknown intake source" });
+  }
+
+  const ts = Number(req.get("x-intake-timestamp"));
+  if (!Number.isFinite(ts) || Math.abs(Date.now() / 1000 - ts) > toleranceSec) {
+    return res.status(401).json({ success: false, message: "Stale or missing intake timestamp" });
+  }
+
+  const sig = String(req.get("x-intake-signature") || "").replace(/^sha256=/i, "").trim();
+  const raw = req.rawBody || Buffer.alloc(0);
+  const ok = sig && secrets.some((secret) => safeEqualHex(signIntake(secret, ts, raw), sig));
+  if (!ok) {
+    return res.status(401).json({ success: false, message: "Invalid intake signature" });
+  }
+
+  req.intake = { source, signed: true };
+  return next();
+};
@@ -0,0 +1,20 @@
+import mongoose from "mongoose";
+
+/**
+ * Which PM assignment strategy to use. scope "*" is the deployment default;
+ * any other scope is an intake source ("wordpress", "app", …) and wins over it.
+ * Without a row the PM_ASSIGNMENT_STRATEGY env setting applies.
+ */
+const AssignmentPolicySchema = new mongoose.Schema(
+  {
+    scope:     { type: String, required: true, trim: true, lowercase: true },
+    strategy:  { type: String, required: true, trim: true },
+    updatedBy: { type: mongoose.Schema.Types.ObjectId, ref: "User", default: null },
+  },
+  { timestamps: true }
+);
+
+/* ------------ Indexes ------------ */
+AssignmentPolicySchema.index({ scope: 1 }, { unique: true });
+
+export const AssignmentPolicy = mongoose.model("AssignmentPolicy", AssignmentPolicySchema);
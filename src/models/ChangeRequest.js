@@ -0,0 +1,40 @@
+import mongoose from "mongoose";
+import { toCoercedDateOrNull } from "./Task.js";
+
+export const ChangeRequestStatuses = ["Pending", "Approved", "Declined"];
+export const ChangeRequestSides = ["PM", "Client"];
+
+const ChangeRequestSchema = new mongoose.Schema(
+  {
+    request: { type: mongoose.Schema.Types.ObjectId, ref: "ProjectRequest", required: true },
+    room:    { type: mongoose.Schema.Types.ObjectId, ref: "ChatRoom", default: null },
+
+    description: { type: String, required: true, trim: true },
+
+    // proposed impact; applied to the project/tasks only on approval
+    impact: {
+      deadline: { type: Date, default: null, set: toCoercedDateOrNull }, // new project deadline
+      cost:     { type: Number, default: 0 },                            // added (or removed) cost
+      currency: { type: String, default: "USD", uppercase: true, trim: true },
+    },
+
+    raisedBy:     { type: mongoose.Schema.Types.ObjectId, ref: "User", default: null }, // null when via clientKey
+    raisedBySide: { type: String, enum: ChangeRequestSides, required: true },
+
+    status: { type: String, enum: ChangeRequestStatuses, default: "Pending" },
+
+    decidedBy:    { type: mongoose.Schema.Types.ObjectId, ref: "User", default: null },
+    decidedAt:    { type: Date, default: null },
+    decisionNote: { type: String, default: "" },
+
+    // snapshot of what approval replaced
+    previousCompletionDate: { type: String, default: null },
+  },
+  { timestamps: true }
+);
+
+/* ------------ Indexes ------------ */
+ChangeRequestSchema.index({ request: 1, createdAt: -1 });
+ChangeRequestSchema.index({ status: 1, createdAt: -1 });
+
+export const ChangeRequest = mongoose.model("ChangeRequest", ChangeRequestSchema);
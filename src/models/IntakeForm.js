@@ -0,0 +1,47 @@
+import mongoose from "mongoose";
+
+export const IntakeFieldTypes = [
+  "text",
+  "textarea",
+  "email",
+  "url",
+  "number",
+  "date",
+  "select",
+  "multiselect",
+  "checkbox",
+];
+
+const IntakeFieldSchema = new mongoose.Schema(
+  {
+    name:     { type: String, required: true, trim: true, match: /^[A-Za-z][A-Za-z0-9_]{0,63}$/ },
+    label:    { type: String, default: "", trim: true },
+    type:     { type: String, enum: IntakeFieldTypes, default: "text" },
+    required: { type: Boolean, default: false },
+    options:  [{ type: String, trim: true }], // select / multiselect choices
+    helpText: { type: String, default: "" },
+    order:    { type: Number, default: 0 },
+  },
+  { _id: false }
+);
+
+/**
+ * Extra questions asked on top of the core intake fields, one form per intake source
+ * ("wordpress", "app", …). Answers are validated against it and stored on
+ * ProjectRequest.customFields.
+ */
+const IntakeFormSchema = new mongoose.Schema(
+  {
+    source:    { type: String, required: true, trim: true, lowercase: true },
+    name:      { type: String, default: "", trim: true },
+    fields:    { type: [IntakeFieldSchema], default: [] },
+    active:    { type: Boolean, default: true },
+    updatedBy: { type: mongoose.Schema.Types.ObjectId, ref: "User", default: null },
+  },
+  { timestamps: true }
+);
+
+/* ------------ Indexes ------------ */
+IntakeFormSchema.index({ source: 1 }, { unique: true });
+
+export const IntakeForm = mongoose.model("IntakeForm", IntakeFormSchema);
@@ -0,0 +1,29 @@
+import mongoose from "mongoose";
+import { config } from "../config/env.js";
+
+/**
+ * One row per (source, Idempotency-Key) seen on the intake endpoint.
+ * Retries with the same key replay `response` instead of creating another request/room.
+ */
+const IntakeReceiptSchema = new mongoose.Schema(
+  {
+    source:   { type: String, required: true },
+    key:      { type: String, required: true },
+    bodyHash: { type: String, required: true }, // sha256 of the raw body; a reused key with another body is rejected
+
+    status:     { type: String, enum: ["processing", "done"], default: "processing" },
+    statusCode: { type: Number, default: null },
+    response:   { type: Object, default: null },
+    request:    { type: mongoose.Schema.Types.ObjectId, ref: "ProjectRequest", default: null },
+  },
+  { timestamps: true }
+);
+
+/* ------------ Indexes ------------ */
+IntakeReceiptSchema.index({ source: 1, key: 1 }, { unique: true });
+IntakeReceiptSchema.index(
+  { createdAt: 1 },
+  { expireAfterSeconds: Math.max(1, config.intake.idempotencyTtlHours) * 3600 }
+);
+
+export const IntakeReceipt = mongoose.model("IntakeReceipt", IntakeReceiptSchema);
@@ -10,6 +10,18 @@ const attachmentSchema = new mongoose.Schema(
   { _id: false }
 );
 
+// what a message looked like before an edit or delete (admins only)
+const revisionSchema = new mongoose.Schema(
+  {
+    text:        { type: String, default: "" },
+    attachments: [attachmentSchema],
+    replacedAt:  { type: Date, required: true },
+    replacedBy:  { type: mongoose.Schema.Types.ObjectId, ref: "User", default: null }, // null = client
+    change:      { type: String, enum: ["edit", "delete"], required: true },
+  },
+  { _id: false }
+);
+
 const MessageSchema = new mongoose.Schema(
   {
     room: { type: mongoose.Schema.Types.ObjectId, ref: "ChatRoom", required: true },
@@ -23,18 +35,52 @@ const MessageSchema = new mongoose.Schema(
     text:        { type: String, default: "" },
     attachments: [attachmentSchema],
 
+    // "Staff" = internal note: never returned, broadcast or served to a client (see helpers below)
     visibleTo: { type: String, enum: ["All", "Client", "Staff"], default: "All" },
     kind: { type: String, default: null },
     allowRating: { type: Boolean, default: false },
     meta: { type: Object, default: {} },  
+
+    // threads: replyTo is the quoted parent, threadRoot the first message of the thread
+    // (null on a root); replyCount is kept on the root only
+    replyTo:    { type: mongoose.Schema.Types.ObjectId, ref: "Message", default: null },
+    threadRoot: { type: mongoose.Schema.Types.ObjectId, ref: "Message", default: null },
+    replyCount: { type: Number, default: 0 },
+
+    // resolved @mentions (mention.service.js); kind is how they were addressed
+    mentions: [
+      {
+        _id: false,
+        user:   { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true },
+        kind:   { type: String, enum: ["pm", "engineer", "user"], required: true },
+        handle: { type: String, default: "" },
+      },
+    ],
+
+    // sender edits/deletes (chat.service editMessage/deleteMessage); a deleted message
+    // stays as a tombstone with its text and attachments moved into revisions
+    editedAt:  { type: Date, default: null },
+    deletedAt: { type: Date, default: null },
+    revisions: { type: [revisionSchema], default: [], select: false },
   },
   { timestamps: true }
 );
 
+/* ------------ Audience ------------ */
+// Every client read path goes through these, so a new endpoint can't forget internal notes.
+export const clientVisibleFilter = () => ({ visibleTo: { $ne: "Staff" } });
+export const isClientVisible = (m) => (m?.visibleTo || "All") !== "Staff";
+
+// Message.find(q).forClient()
+MessageSchema.query.forClient = function () {
+  return this.where(clientVisibleFilter());
+};
+
 /* ------------ Indexes ------------ */
 MessageSchema.index({ room: 1, createdAt: -1 }); // existing
 MessageSchema.index({ room: 1, _id: -1 });       // NEW: fastest cursor by _id
 MessageSchema.index({ sender: 1, createdAt: -1 });
 MessageSchema.index({ kind: 1, room: 1, createdAt: -1 });
+MessageSchema.index({ threadRoot: 1, _id: -1 });  // thread pages
 
 export const Message = mongoose.model("Message", MessageSchema);
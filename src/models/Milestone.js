@@ -0,0 +1,43 @@
+import mongoose from "mongoose";
+import { toCoercedDateOrNull } from "./Task.js";
+
+export const MilestoneStatuses = ["Pending", "Submitted", "Approved", "Rejected"];
+
+const deliverableSchema = new mongoose.Schema(
+  {
+    title: { type: String, required: true, trim: true },
+    done:  { type: Boolean, default: false },
+  },
+  { _id: false }
+);
+
+const MilestoneSchema = new mongoose.Schema(
+  {
+    request: { type: mongoose.Schema.Types.ObjectId, ref: "ProjectRequest", required: true },
+    createdBy: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true },
+
+    title:        { type: String, required: true, trim: true },
+    description:  { type: String, default: "" },
+    dueDate:      { type: Date, default: null, set: toCoercedDateOrNull },
+    deliverables: [deliverableSchema],
+    order:        { type: Number, default: 0 },
+
+    status: { type: String, enum: MilestoneStatuses, default: "Pending" },
+
+    // bumped on every submit so each sign-off round is distinct (notifications dedupe on it)
+    revision: { type: Number, default: 0 },
+    submittedAt: { type: Date, default: null },
+
+    // client decision for the current revision
+    decidedAt:    { type: Date, default: null },
+    decidedBy:    { type: mongoose.Schema.Types.ObjectId, ref: "User", default: null }, // null when via clientKey
+    decisionNote: { type: String, default: "" },
+  },
+  { timestamps: true }
+);
+
+/* ------------ Indexes ------------ */
+MilestoneSchema.index({ request: 1, order: 1, createdAt: 1 });
+MilestoneSchema.index({ status: 1, dueDate: 1 });
+
+export const Milestone = mongoose.model("Milestone", MilestoneSchema);
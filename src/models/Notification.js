@@ -17,7 +17,7 @@ const NotificationSchema = new mongoose.Schema(
 NotificationSchema.index({ user: 1, createdAt: -1 });
 NotificationSchema.index({ user: 1, readAt: 1 });
 NotificationSchema.index(
-  { user: 1, type: 1, "meta.requestId": 1, "meta.taskId": 1 },
+  { user: 1, type: 1, "meta.requestId": 1, "meta.taskId": 1, "meta.refId": 1 },
   { unique: true, partialFilterExpression: { "meta.requestId": { $exists: true } } }
 );
 
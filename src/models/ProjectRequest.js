@@ -1,6 +1,7 @@
 import mongoose from "mongoose";
 
-export const ProjectStatuses = ["Pending", "InProgress", "Review", "Complete"];
+export const ProjectStatuses = ["Pending", "InProgress", "Review", "Complete", "OnHold", "Cancelled"];
+export const PriorityLanes = ["urgent", "high", "normal", "low"];
 
 const ProjectRequestSchema = new mongoose.Schema(
   {
@@ -11,14 +12,56 @@ const ProjectRequestSchema = new mongoose.Schema(
     projectTitle:       { type: String, required: false, trim: true },
     projectDescription: { type: String, required: true, trim: true },
     completionDate:     { type: String, required: true },
+    // running total of approved change-request cost deltas
+    approvedChangeCost: { type: Number, default: 0 },
 
     status:            { type: String, enum: ProjectStatuses, default: "Pending" },
     pmAssigned:        { type: mongoose.Schema.Types.ObjectId, ref: "User", default: null },
+    // first engineer on the project (kept for legacy single-engineer readers)
     engineerAssigned:  { type: mongoose.Schema.Types.ObjectId, ref: "User", default: null },
+    // every engineer holding a task on this project
+    engineersAssigned: [{ type: mongoose.Schema.Types.ObjectId, ref: "User" }],
     chatRoom:          { type: mongoose.Schema.Types.ObjectId, ref: "ChatRoom", default: null },
+    // standby lane (see priority.service.js); queueAt is the aged sort key the picker uses
+    priority:          { type: String, enum: PriorityLanes, default: "normal" },
+    priorityReasons:   [{ type: String }], // vip_client | urgent_deadline | returning_client | admin
+    priorityNote:      { type: String, default: "" },
+    priorityUpdatedBy: { type: mongoose.Schema.Types.ObjectId, ref: "User", default: null },
+    queueAt:           { type: Date, default: null },
+    // next standby follow-up bubble (sent by the scheduler leader; cleared on PM claim)
+    standbyFollowup: {
+      step:   { type: Number, default: 0 },
+      nextAt: { type: Date, default: null },
+    },
+    // when a PM was first claimed from standby/intake (feeds the standby queue ETA)
+    pmAssignedAt:      { type: Date, default: null },
+
+    // set once when the engineer accepts (idempotency guard for accept flows)
+    engineerAcceptedAt: { type: Date, default: null },
+
+    // where to return to when an on-hold project resumes
+    statusBeforeHold: { type: String, enum: [...ProjectStatuses, null], default: null },
 
     clientKey: { type: String, required: true, unique: true },
 
+    // PM-maintained labels ("react", "stripe", …) used when matching engineer skills
+    tags: [{ type: String, trim: true, lowercase: true }],
+
+    // which intake source created it (config.intake.appSource for in-app client requests;
+    // null on requests from before sources were recorded)
+    intakeSource: { type: String, default: null },
+
+    // answers to the source's IntakeForm custom fields, in form order
+    customFields: [
+      {
+        name:  { type: String, required: true },
+        label: { type: String, default: "" },
+        type:  { type: String, default: "text" },
+        value: { type: mongoose.Schema.Types.Mixed, default: null },
+        _id: false,
+      },
+    ],
+
     clientId: { type: mongoose.Schema.Types.ObjectId, ref: "User", default: null },
 
     ratings: {
@@ -40,9 +83,26 @@ const ProjectRequestSchema = new mongoose.Schema(
 
 /* ------------ Indexes ------------ */
 ProjectRequestSchema.index({ chatRoom: 1 });
-ProjectRequestSchema.index({ status: 1, createdAt: 1 });  // standby picker order
+ProjectRequestSchema.index({ status: 1, createdAt: 1 });  // history / legacy order
+ProjectRequestSchema.index({ status: 1, queueAt: 1, createdAt: 1 }); // standby picker order (priority + aging)
 ProjectRequestSchema.index({ pmAssigned: 1, status: 1 }); // safeSetPmAssigned cas
 ProjectRequestSchema.index({ clientId: 1 });
+ProjectRequestSchema.index({ engineersAssigned: 1 });
 ProjectRequestSchema.index({ email: 1, createdAt: -1 });
+ProjectRequestSchema.index({ pmAssignedAt: 1 });          // standby throughput
+ProjectRequestSchema.index({ "standbyFollowup.nextAt": 1 }); // follow-up sweep
+
+/** All engineers on a request (lean or doc), including legacy docs that only set engineerAssigned. */
+export function assignedEngineerIds(req) {
+  const ids = [...(req?.engineersAssigned || [])];
+  if (req?.engineerAssigned) ids.push(req.engineerAssigned);
+  const seen = new Set();
+  return ids.filter((id) => {
+    const k = String(id?._id || id);
+    if (seen.has(k)) return false;
+    seen.add(k);
+    return true;
+  });
+}
 
 export const ProjectRequest = mongoose.model("ProjectRequest", ProjectRequestSchema);
@@ -0,0 +1,19 @@
+import mongoose from "mongoose";
+
+const ProjectStatusHistorySchema = new mongoose.Schema(
+  {
+    request: { type: mongoose.Schema.Types.ObjectId, ref: "ProjectRequest", required: true },
+    from:    { type: String, default: null }, // null for the initial "created" entry
+    to:      { type: String, required: true },
+    actor:   { type: mongoose.Schema.Types.ObjectId, ref: "User", default: null }, // null = system/client
+    reason:  { type: String, default: "" },
+    meta:    { type: Object, default: {} },
+  },
+  { timestamps: { createdAt: "at", updatedAt: false } }
+);
+
+/* ------------ Indexes ------------ */
+ProjectStatusHistorySchema.index({ request: 1, at: 1 }); // timeline reads
+ProjectStatusHistorySchema.index({ to: 1, at: -1 });     // dashboards (e.g. completions per day)
+
+export const ProjectStatusHistory = mongoose.model("ProjectStatusHistory", ProjectStatusHistorySchema);
@@ -0,0 +1,21 @@
+import mongoose from "mongoose";
+
+// Read cursor: how far one member has read in one room. Messages with a larger _id
+// are unread for them; members with lastReadMessage >= a message's _id have seen it.
+const RoomReadSchema = new mongoose.Schema(
+  {
+    room: { type: mongoose.Schema.Types.ObjectId, ref: "ChatRoom", required: true },
+    user: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true },
+
+    lastReadMessage: { type: mongoose.Schema.Types.ObjectId, ref: "Message", required: true },
+    lastReadAt:      { type: Date, required: true },
+  },
+  { timestamps: true }
+);
+
+/* ------------ Indexes ------------ */
+RoomReadSchema.index({ room: 1, user: 1 }, { unique: true });
+RoomReadSchema.index({ user: 1 });                       // cursors for a room list
+RoomReadSchema.index({ room: 1, lastReadMessage: 1 });   // seen-by
+
+export const RoomRead = mongoose.model("RoomRead", RoomReadSchema);
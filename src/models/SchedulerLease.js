@@ -0,0 +1,18 @@
+import mongoose from "mongoose";
+
+/**
+ * One row per cluster-wide job group. Whoever holds an unexpired lease is the only
+ * instance that runs those jobs; it renews well before expiresAt, and a crashed
+ * holder is replaced once its lease lapses (see lib/leader.js).
+ */
+const SchedulerLeaseSchema = new mongoose.Schema(
+  {
+    _id:       { type: String },                 // lease name, e.g. "scheduler"
+    owner:     { type: String, required: true }, // instance id (host:pid:random)
+    expiresAt: { type: Date, required: true },
+    acquiredAt:{ type: Date, default: null },
+  },
+  { timestamps: true }
+);
+
+export const SchedulerLease = mongoose.model("SchedulerLease", SchedulerLeaseSchema);
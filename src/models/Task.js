@@ -1,6 +1,7 @@
 import mongoose from "mongoose";
 
-export const TaskStatuses = ["Pending", "InProgress", "Complete"];
+// Unassigned: the engineer declined (or never answered) and the task is back with the PM
+export const TaskStatuses = ["Unassigned", "Pending", "InProgress", "Complete"];
 
 /** Normalize incoming deadline values to Date (EOD for YYYY-MM-DD & DMY).
  * Accepts: Date, ISO, YYYY-MM-DD, DD/MM/YYYY, MM/DD/YYYY, DD-MM-YYYY.
@@ -47,7 +48,12 @@ const TaskSchema = new mongoose.Schema(
   {
     request:  { type: mongoose.Schema.Types.ObjectId, ref: "ProjectRequest", required: true },
     pm:       { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true },
-    engineer: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true },
+    engineer: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      default: null,
+      required: function () { return this.status !== "Unassigned"; },
+    },
 
     title:       { type: String, required: true },
     description: { type: String, required: true },
@@ -56,6 +62,19 @@ const TaskSchema = new mongoose.Schema(
 
     // ✅ Setter ensures EVERY write path coerces deadline
     deadline: { type: Date, default: null, set: toCoercedDateOrNull },
+
+    // assignment handshake: engineer must accept or decline before respondBy
+    assignedAt: { type: Date, default: Date.now },
+    respondBy:  { type: Date, default: null, set: toCoercedDateOrNull },
+    declines: [
+      {
+        engineer: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+        reason:   { type: String, default: "" },
+        expired:  { type: Boolean, default: false }, // auto-declined after no response
+        at:       { type: Date, default: Date.now },
+        _id: false,
+      },
+    ],
   },
   { timestamps: true }
 );
@@ -83,6 +102,7 @@ TaskSchema.index({ request: 1, createdAt: -1 });
 TaskSchema.index({ pm: 1, status: 1, createdAt: -1 });
 TaskSchema.index({ engineer: 1, status: 1, createdAt: -1 });
 TaskSchema.index({ deadline: 1, status: 1 });
+TaskSchema.index({ status: 1, respondBy: 1, assignedAt: 1 });
 
 export const Task = mongoose.model("Task", TaskSchema);
 export { toCoercedDateOrNull };
@@ -33,9 +33,41 @@ const UserSchema = new mongoose.Schema(
     numberOfTask:       { type: Number, default: 0 },
     lastDateTaskAssign: { type: Date, default: null },
 
-    // presence
-    online:     { type: Boolean, default: false },
-    lastActive: { type: Date, default: null },
+    // skills for PM skill-match assignment and engineer ranking (level: 1 = basic … 5 = expert)
+    skills: [
+      {
+        name:  { type: String, required: true, trim: true, lowercase: true },
+        level: { type: Number, min: 1, max: 5, default: 3 },
+        _id: false,
+      },
+    ],
+
+    // capacity & working hours (see utils/availability.js)
+    maxConcurrent: { type: Number, min: 0, default: null }, // null → config.capacity default; 0 = unlimited
+    timezone:      { type: String, default: "UTC" },         // IANA name, e.g. "Africa/Lagos"
+    // weekly schedule in the user's timezone; empty = always available. day: 0 = Sunday … 6 = Saturday
+    workingHours: [
+      {
+        day:   { type: Number, min: 0, max: 6, required: true },
+        start: { type: String, required: true, match: /^([01]\d|2[0-3]):[0-5]\d$/ }, // "09:00"
+        end:   { type: String, required: true, match: /^([01]\d|2[0-4]):[0-5]\d$/ }, // "17:30"; < start wraps past midnight
+        _id: false,
+      },
+    ],
+
+    // away period: auto-assignment skips the user, client messages get an auto-reply
+    // and createAndEmit notifications are forwarded to the delegate
+    outOfOffice: {
+      from:     { type: Date, default: null }, // null = effective immediately
+      until:    { type: Date, default: null }, // null = not away
+      delegate: { type: mongoose.Schema.Types.ObjectId, ref: "User", default: null },
+      message:  { type: String, default: "", trim: true, maxlength: 500 },
+    },
+
+    // presence (mongo presence store; see services/presence.service.js)
+    online:     { type: Boolean, default: false }, // connected on some instance
+    lastActive: { type: Date, default: null },     // last user activity
+    lastSeen:   { type: Date, default: null },     // last instance heartbeat
 
     // used by force-logout on idle / signout from all sessions
     tokenVersion: { type: Number, default: 0 },
@@ -50,10 +82,13 @@ UserSchema.plugin(passportLocalMongoose, {
 
 /* ------------ Indexes (CRITICAL for speed) ------------ */
 UserSchema.index({ role: 1 });
-UserSchema.index({ online: 1, lastActive: 1 });                   // presence sweep
+UserSchema.index({ online: 1, lastActive: 1 });                   // online filter
+UserSchema.index({ online: 1, lastSeen: 1 });                     // presence reaper
 UserSchema.index({ isBusy: 1, online: 1, lastActive: 1 });         // PM selection
 UserSchema.index({ numberOfTask: 1, lastDateTaskAssign: 1, _id: 1 }); // stable sort for selection
 UserSchema.index({ tokenVersion: 1 });                              // auth checks
+UserSchema.index({ role: 1, "skills.name": 1 });                     // skill-match candidates
+UserSchema.index({ "outOfOffice.until": 1 });                        // coverage report
 
 export const User = mongoose.model("User", UserSchema);
 export { roles, genders };
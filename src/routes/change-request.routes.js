@@ -0,0 +1,31 @@
+// backend/src/routes/change-request.routes.js
+import express from "express";
+import { requireAuth, optionalAuth } from "../middleware/auth.middleware.js";
+import { authorizeRoles } from "../middleware/role.middleware.js";
+import {
+  listForRequest,
+  pmRaise,
+  pmDecide,
+  clientList,
+  clientRaise,
+  clientDecide,
+} from "../controllers/change-request.controller.js";
+
+const router = express.Router();
+
+/* ---------- Client side (clientKey in query/body, or logged-in client) ---------- */
+router.get("/client/:requestId", optionalAuth, clientList);
+router.post("/client", optionalAuth, clientRaise);
+router.post("/:id/client-decision", optionalAuth, clientDecide);
+
+/* ---------- Staff ---------- */
+router.get(
+  "/request/:requestId",
+  requireAuth,
+  authorizeRoles("PM", "Engineer", "Admin", "SuperAdmin"),
+  listForRequest
+);
+router.post("/", requireAuth, authorizeRoles("PM"), pmRaise);
+router.post("/:id/decision", requireAuth, authorizeRoles("PM"), pmDecide);
+
+export default router;
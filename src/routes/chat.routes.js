@@ -1,5 +1,6 @@
 import express from "express";
 import { requireAuth } from "../middleware/auth.middleware.js";
+import { authorizeRoles } from "../middleware/role.middleware.js";
 import { upload } from "../lib/upload.js";
 import {
   sendMessage,
@@ -11,7 +12,17 @@ import {
   myClientRooms,
   getClientRoomMessages,
   clientRoomSend,
-  sendRatingPrompt
+  sendRatingPrompt,
+  editMessage,
+  deleteMessage,
+  clientEditMessage,
+  clientDeleteMessage,
+  getMessageRevisions,
+  getThread,
+  clientGetThread,
+  getClientRoomThread,
+  markRead,
+  getSeenBy,
 } from "../controllers/chat.controller.js";
 
 const router = express.Router();
@@ -24,13 +35,27 @@ router.get("/room/key/:key", requireAuth, getRoomByKey);
 
 router.post("/rooms/:roomId/rating-prompt", requireAuth, sendRatingPrompt );
 
+/* ---------- Read receipts (clients signed in as room members too) ---------- */
+router.post("/rooms/:roomId/read", requireAuth, markRead);
+router.get("/messages/:messageId/seen-by", requireAuth, getSeenBy);
+
+/* ---------- Edit / delete own messages (within the edit window) ---------- */
+router.patch("/messages/:messageId", requireAuth, editMessage);
+router.delete("/messages/:messageId", requireAuth, deleteMessage);
+router.get("/messages/:messageId/revisions", requireAuth, authorizeRoles("SuperAdmin", "Admin"), getMessageRevisions);
+router.get("/messages/:messageId/thread", requireAuth, getThread);
+
 /* ---------- Public client-key endpoints (key in query/body) ---------- */
 router.post("/client/send", upload.array("files", 6), clientSendMessage);
 router.get("/client/:requestId/messages", clientGetMessages);
+router.patch("/client/messages/:messageId", clientEditMessage);
+router.delete("/client/messages/:messageId", clientDeleteMessage);
+router.get("/client/:requestId/messages/:messageId/thread", clientGetThread);
 
 /* ---------- Client-auth (by clientId) endpoints ---------- */
 router.get("/my-client-rooms", requireAuth, myClientRooms);
 router.get("/client-room/:roomId/messages", requireAuth, getClientRoomMessages);
+router.get("/client-room/:roomId/messages/:messageId/thread", requireAuth, getClientRoomThread);
 router.post("/client-room/send", requireAuth, upload.array("files", 6), clientRoomSend);
 
 export default router
@@ -1,12 +1,13 @@
 // backend/src/routes/file.routes.js
 import express from "express";
+import { optionalAuth } from "../middleware/auth.middleware.js";
 import { downloadForMember, downloadForClient } from "../controllers/file.controller.js";
 
 const router = express.Router();
 
-// ⚠️ Unprotected member download route
+// ⚠️ Unprotected member download route (internal-note files still require a staff login)
 // e.g. /api/files/:id?download=1
-router.get("/:id", downloadForMember);
+router.get("/:id", optionalAuth, downloadForMember);
 
 // client: /api/files/:id/client?requestId=...&clientKey=...&download=1
 router.get("/:id/client", downloadForClient);
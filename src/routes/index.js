@@ -12,6 +12,8 @@ import integrationsRoutes from "./integrations.routes.js";
 import devmail from "./dev-mail.js";
 import meetingsRoutes from "./meetings.routes.js";
 import googleRoutes from "./google.routes.js";           // ✅ NEW
+import milestoneRoutes from "./milestone.routes.js";
+import changeRequestRoutes from "./change-request.routes.js";
 
 const router = express.Router();
 
@@ -19,6 +21,8 @@ router.use("/auth", authRoutes);
 router.use("/projects", projectRoutes);
 router.use("/meetings", meetingsRoutes);
 router.use("/tasks", taskRoutes);
+router.use("/milestones", milestoneRoutes);
+router.use("/change-requests", changeRequestRoutes);
 router.use("/chat", chatRoutes);
 router.use("/users", usersRoutes);
 router.use("/dashboard", dashboardRoutes);
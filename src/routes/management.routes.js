@@ -7,6 +7,18 @@ import {
   bulkUpdateUsers,
   recentAudits,
   quickToggleUser,
+  listIntakeForms,
+  getIntakeForm,
+  saveIntakeForm,
+  deleteIntakeForm,
+  listAssignmentPolicies,
+  saveAssignmentPolicy,
+  deleteAssignmentPolicy,
+  getCoverageReport,
+  getStandbyQueueReport,
+  simulateAssignment,
+  getSchedulerStatus,
+  reconcileWorkloadReport,
 } from "../controllers/management.controller.js";
 
 const router = express.Router();
@@ -30,4 +42,29 @@ router.patch(
   quickToggleUser
 );
 
+// intake form schemas (custom fields per intake source)
+router.get("/intake-forms", requireAuth, authorizeRoles("SuperAdmin", "Admin"), listIntakeForms);
+router.get("/intake-forms/:source", requireAuth, authorizeRoles("SuperAdmin", "Admin"), getIntakeForm);
+router.put("/intake-forms/:source", requireAuth, authorizeRoles("SuperAdmin", "Admin"), saveIntakeForm);
+router.delete("/intake-forms/:source", requireAuth, authorizeRoles("SuperAdmin", "Admin"), deleteIntakeForm);
+
+// PM assignment strategy per deployment ("*") or per intake source
+router.get("/assignment-policies", requireAuth, authorizeRoles("SuperAdmin", "Admin"), listAssignmentPolicies);
+router.put("/assignment-policies/:scope", requireAuth, authorizeRoles("SuperAdmin", "Admin"), saveAssignmentPolicy);
+router.delete("/assignment-policies/:scope", requireAuth, authorizeRoles("SuperAdmin", "Admin"), deleteAssignmentPolicy);
+router.get("/assignment-simulation", requireAuth, authorizeRoles("SuperAdmin", "Admin"), simulateAssignment);
+
+// out-of-office coverage
+router.get("/coverage", requireAuth, authorizeRoles("SuperAdmin", "Admin"), getCoverageReport);
+
+// standby queue inspection
+router.get("/standby-queue", requireAuth, authorizeRoles("SuperAdmin", "Admin"), getStandbyQueueReport);
+
+// scheduler leader lease
+router.get("/scheduler", requireAuth, authorizeRoles("SuperAdmin", "Admin"), getSchedulerStatus);
+
+// numberOfTask/isBusy drift: GET reports, POST corrects
+router.get("/workload-reconciliation", requireAuth, authorizeRoles("SuperAdmin", "Admin"), reconcileWorkloadReport);
+router.post("/workload-reconciliation", requireAuth, authorizeRoles("SuperAdmin", "Admin"), reconcileWorkloadReport);
+
 export default router;
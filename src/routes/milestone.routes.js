@@ -0,0 +1,31 @@
+// backend/src/routes/milestone.routes.js
+import express from "express";
+import { requireAuth, optionalAuth } from "../middleware/auth.middleware.js";
+import { authorizeRoles } from "../middleware/role.middleware.js";
+import {
+  listForRequest,
+  createMilestone,
+  updateMilestone,
+  submitMilestone,
+  clientList,
+  clientDecide,
+} from "../controllers/milestone.controller.js";
+
+const router = express.Router();
+
+/* ---------- Client sign-off (clientKey in query/body, or logged-in client) ---------- */
+router.get("/client/:requestId", optionalAuth, clientList);
+router.post("/:id/decision", optionalAuth, clientDecide);
+
+/* ---------- Staff ---------- */
+router.get(
+  "/request/:requestId",
+  requireAuth,
+  authorizeRoles("PM", "Engineer", "Admin", "SuperAdmin"),
+  listForRequest
+);
+router.post("/", requireAuth, authorizeRoles("PM"), createMilestone);
+router.patch("/:id", requireAuth, authorizeRoles("PM"), updateMilestone);
+router.post("/:id/submit", requireAuth, authorizeRoles("PM"), submitMilestone);
+
+export default router;
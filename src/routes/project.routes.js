@@ -1,7 +1,8 @@
 // backend/src/routes/project.routes.js
 import express from "express";
-import { requireAuth } from "../middleware/auth.middleware.js";
+import { requireAuth, optionalAuth } from "../middleware/auth.middleware.js";
 import { authorizeRoles } from "../middleware/role.middleware.js";
+import { verifyIntakeSignature } from "../middleware/intake.middleware.js";
 import {
   intakeFromWordPress,
   assignEngineer,
@@ -21,19 +22,34 @@ import {
   getProjectByRoomNamed,
   getByClientKey,
   clientRequestReopen, // ✅ NEW
+  getProjectHistory,
+  getHistoryByClientKey,
+  holdRequest,
+  resumeRequest,
+  cancelRequest,
+  handoffRequest,
+  getIntakeFormForSource,
+  setRequestTags,
+  getClientQueuePosition,
+  setRequestPriority,
 } from "../controllers/project.controller.js";
 
 const router = express.Router();
 
-// intake (consider protecting with shared secret if public)
-router.post("/intake", intakeFromWordPress);
+// intake: HMAC-signed per source + Idempotency-Key (see intake.middleware.js)
+router.post("/intake", verifyIntakeSignature, intakeFromWordPress);
+router.get("/intake-form/:source", getIntakeFormForSource);
 router.post("/client/create", requireAuth, createFromClient);
 
 // ✅ client requests reopen (must be authenticated Client)
 router.post("/client/request-reopen", requireAuth, clientRequestReopen);
 
+// client: own standby position + ETA (clientKey or authenticated owner)
+router.get("/client/:requestId/queue", optionalAuth, getClientQueuePosition);
+
 // PUBLIC route should come before "/:id" to avoid shadowing
 router.get("/public/by-key/:clientKey", getByClientKey)
+router.get("/public/by-key/:clientKey/history", getHistoryByClientKey);
 
 // PM/Admin reads
 router.get("/", requireAuth, authorizeRoles("PM", "Admin"), listProjects);
@@ -54,9 +70,16 @@ router.post("/review", requireAuth, authorizeRoles("Engineer"), engineerMarkRequ
 router.post("/rate", rateRequest);
 router.post("/close", requireAuth, authorizeRoles("PM"), pmCloseRequest);
 router.post("/reopen", requireAuth, authorizeRoles("PM"), pmReopenRequest);
+router.post("/hold", requireAuth, authorizeRoles("PM", "Admin", "SuperAdmin"), holdRequest);
+router.post("/resume", requireAuth, authorizeRoles("PM", "Admin", "SuperAdmin"), resumeRequest);
+router.post("/cancel", requireAuth, authorizeRoles("PM", "Admin", "SuperAdmin"), cancelRequest);
+router.post("/handoff", requireAuth, authorizeRoles("PM", "Admin", "SuperAdmin"), handoffRequest);
+router.post("/tags", requireAuth, authorizeRoles("PM", "Admin", "SuperAdmin"), setRequestTags);
+router.post("/priority", requireAuth, authorizeRoles("Admin", "SuperAdmin"), setRequestPriority);
 
 // Named collections
 router.get("/named", requireAuth, authorizeRoles("PM", "Admin"), listProjectsNamed);
 router.get("/:id/named", requireAuth, authorizeRoles("PM", "Admin"), getProjectByIdNamed);
+router.get("/:id/history", requireAuth, authorizeRoles("PM", "Admin"), getProjectHistory);
 
 export default router;
@@ -8,6 +8,10 @@ import {
   completeTask,
   listByEngineer,
   summaryByEngineer,
+  replaceEngineer,
+  declineTask,
+  listUnassigned,
+  assignTask,
 } from "../controllers/task.controller.js";
 
 const router = express.Router();
@@ -15,6 +19,10 @@ const router = express.Router();
 router.post("/create", requireAuth, authorizeRoles("PM"), createTask);
 router.post("/accept", requireAuth, authorizeRoles("Engineer"), acceptTask);
 router.post("/complete", requireAuth, authorizeRoles("Engineer"), completeTask);
+router.post("/decline", requireAuth, authorizeRoles("Engineer"), declineTask);
+router.post("/replace-engineer", requireAuth, authorizeRoles("PM"), replaceEngineer);
+router.get("/unassigned", requireAuth, authorizeRoles("PM"), listUnassigned);
+router.post("/assign", requireAuth, authorizeRoles("PM"), assignTask);
 
 // NEW: engineer's task list (used by engineer homepage)
 router.get(
@@ -1,7 +1,20 @@
 import express from "express";
 import { requireAuth } from "../middleware/auth.middleware.js";
 import { authorizeRoles } from "../middleware/role.middleware.js";
-import { getAll, getEngineers, getPMs } from "../controllers/users.controller.js";
+import {
+  getAll,
+  getEngineers,
+  getPMs,
+  getRecommendedEngineers,
+  updateMySkills,
+  updateUserSkills,
+  updateMyAvailability,
+  updateUserAvailability,
+  setMyOutOfOffice,
+  clearMyOutOfOffice,
+  setUserOutOfOffice,
+  clearUserOutOfOffice,
+} from "../controllers/users.controller.js";
 
 const router = express.Router();
 
@@ -9,4 +22,19 @@ router.get("/engineers", requireAuth, authorizeRoles("PM","Admin","SuperAdmin"),
 router.get("/pms",       requireAuth, authorizeRoles("Admin","SuperAdmin"), getPMs);
 router.get("/",    requireAuth, authorizeRoles("PM","Admin","SuperAdmin"), getAll);
 
+// skills + scored engineer shortlist for a project
+router.get("/engineers/recommended/:requestId", requireAuth, authorizeRoles("PM","Admin","SuperAdmin"), getRecommendedEngineers);
+router.put("/me/skills",  requireAuth, authorizeRoles("PM","Engineer"), updateMySkills);
+router.put("/:id/skills", requireAuth, authorizeRoles("Admin","SuperAdmin"), updateUserSkills);
+
+// capacity & working hours
+router.put("/me/availability",  requireAuth, authorizeRoles("PM","Engineer"), updateMyAvailability);
+router.put("/:id/availability", requireAuth, authorizeRoles("Admin","SuperAdmin"), updateUserAvailability);
+
+// out of office (with optional delegate)
+router.put("/me/out-of-office",    requireAuth, authorizeRoles("PM","Engineer","Admin","SuperAdmin"), setMyOutOfOffice);
+router.delete("/me/out-of-office", requireAuth, authorizeRoles("PM","Engineer","Admin","SuperAdmin"), clearMyOutOfOffice);
+router.put("/:id/out-of-office",    requireAuth, authorizeRoles("Admin","SuperAdmin"), setUserOutOfOffice);
+router.delete("/:id/out-of-office", requireAuth, authorizeRoles("Admin","SuperAdmin"), clearUserOutOfOffice);
+
 export default router;
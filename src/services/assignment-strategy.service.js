@@ -0,0 +1,177 @@
+// src/services/assignment-strategy.service.js
+import { AssignmentPolicy } from "../models/AssignmentPolicy.js";
+import { ProjectRequest } from "../models/ProjectRequest.js";
+import { config } from "../config/env.js";
+import { logAudit } from "./audit.service.js";
+import { requestText, matchSkills } from "../utils/skillMatch.js";
+import { bayesianAverage } from "../utils/ratings.js";
+
+/**
+ * PM assignment strategies.
+ *
+ * A strategy only ORDERS candidates: rank(pms, { request }) → [{ pm, score, reason }],
+ * best first. Claiming stays in pm-selection.service.js, which walks this order with
+ * an atomic findOneAndUpdate per PM, so two concurrent intakes still cannot both
+ * take the same slot and safeSetPmAssigned / rollbackPmClaim work as before.
+ *
+ * Candidates carry: _id, numberOfTask, lastDateTaskAssign, isBusy, skills.
+ */
+
+export const DEFAULT_SCOPE = "*";
+export const FALLBACK_STRATEGY = "least-loaded";
+
+const strategies = new Map();
+
+export const registerStrategy = (name, impl) => {
+  if (typeof impl?.rank !== "function") throw new Error(`Strategy ${name} must implement rank()`);
+  strategies.set(name, { description: "", ...impl });
+};
+
+export const getStrategy = (name) => strategies.get(name) || strategies.get(FALLBACK_STRATEGY);
+
+export const listStrategies = () =>
+  [...strategies.entries()].map(([name, s]) => ({ name, description: s.description }));
+
+/* ---------------------------- built-in strategies ---------------------------- */
+
+const time = (d) => (d ? new Date(d).getTime() : 0); // never-assigned sorts first
+const byId = (a, b) => String(a._id).localeCompare(String(b._id));
+const byLoad = (a, b) =>
+  (a.numberOfTask || 0) - (b.numberOfTask || 0) ||
+  time(a.lastDateTaskAssign) - time(b.lastDateTaskAssign) ||
+  byId(a, b);
+
+registerStrategy("least-loaded", {
+  description: "Fewest open assignments first, then longest since last assignment",
+  rank: async (pms) =>
+    [...pms].sort(byLoad).map((pm) => ({
+      pm,
+      score: -(pm.numberOfTask || 0),
+      reason: `${pm.numberOfTask || 0} open assignment(s)`,
+    })),
+});
+
+registerStrategy("round-robin", {
+  description: "Takes turns: whoever was assigned longest ago goes next, regardless of load",
+  rank: async (pms) =>
+    [...pms]
+      .sort((a, b) => time(a.lastDateTaskAssign) - time(b.lastDateTaskAssign) || byId(a, b))
+      .map((pm) => ({
+        pm,
+        score: -time(pm.lastDateTaskAssign),
+        reason: pm.lastDateTaskAssign ? `last assigned ${new Date(pm.lastDateTaskAssign).toISOString()}` : "never assigned",
+      })),
+});
+
+async function pmRatingStats(pmIds) {
+  const rows = await ProjectRequest.aggregate([
+    { $match: { pmAssigned: { $in: pmIds }, "ratings.pm.score": { $gte: 1 } } },
+    { $group: { _id: "$pmAssigned", sum: { $sum: "$ratings.pm.score" }, count: { $sum: 1 } } },
+  ]);
+  return new Map(rows.map((r) => [String(r._id), r]));
+}
+
+registerStrategy("rating-weighted", {
+  description: "Higher client ratings (ratings.pm) first, discounted by current load",
+  rank: async (pms) => {
+    const stats = await pmRatingStats(pms.map((p) => p._id));
+    return pms
+      .map((pm) => {
+        const s = stats.get(String(pm._id)) || { sum: 0, count: 0 };
+        const rating = bayesianAverage(s.sum, s.count);
+        return {
+          pm,
+          score: rating / (1 + (pm.numberOfTask || 0)),
+          reason: `rating ${rating.toFixed(2)} over ${s.count} review(s), ${pm.numberOfTask || 0} open`,
+        };
+      })
+      .sort((a, b) => b.score - a.score || byLoad(a.pm, b.pm));
+  },
+});
+
+registerStrategy("skill-match", {
+  description: "PM skills that appear in the request first, least-loaded among equals",
+  rank: async (pms, { request } = {}) => {
+    const text = requestText(request);
+    return pms
+      .map((pm) => {
+        const { score, matched } = matchSkills(pm.skills, text);
+        return {
+          pm,
+          score,
+          reason: matched.length ? `matches ${matched.map((m) => m.name).join(", ")}` : "no matching skills",
+        };
+      })
+      .sort((a, b) => b.score - a.score || byLoad(a.pm, b.pm));
+  },
+});
+
+/* ---------------------------------- policy ---------------------------------- */
+
+const normScope = (scope) => String(scope || "").trim().toLowerCase();
+
+/**
+ * Strategy for an intake source and where it came from:
+ * source policy → deployment policy ("*") → PM_ASSIGNMENT_STRATEGY → least-loaded.
+ */
+export async function resolveStrategy({ source } = {}) {
+  const scope = normScope(source);
+  const rows = await AssignmentPolicy.find({ scope: { $in: [scope, DEFAULT_SCOPE].filter(Boolean) } }).lean();
+  const pick = (s) => rows.find((r) => r.scope === s)?.strategy;
+
+  const candidates = [
+    [scope && pick(scope), `policy:${scope}`],
+    [pick(DEFAULT_SCOPE), `policy:${DEFAULT_SCOPE}`],
+    [config.assignment.pmStrategy, "env"],
+  ];
+  for (const [name, from] of candidates) {
+    if (name && strategies.has(name)) return { name, from };
+  }
+  return { name: FALLBACK_STRATEGY, from: "fallback" };
+}
+
+export async function resolveStrategyName({ source } = {}) {
+  return (await resolveStrategy({ source })).name;
+}
+
+export const listAssignmentPolicies = async () => ({
+  strategies: listStrategies(),
+  policies: await AssignmentPolicy.find({}).sort({ scope: 1 }).lean(),
+  envDefault: strategies.has(config.assignment.pmStrategy) ? config.assignment.pmStrategy : FALLBACK_STRATEGY,
+});
+
+export const setAssignmentPolicy = async (scope, strategy, actor, auditMeta = {}) => {
+  const key = normScope(scope);
+  if (!key) throw new Error("scope is required");
+  if (!strategies.has(strategy)) {
+    throw new Error(`Unknown strategy; expected one of: ${[...strategies.keys()].join(", ")}`);
+  }
+
+  const policy = await AssignmentPolicy.findOneAndUpdate(
+    { scope: key },
+    { $set: { strategy, updatedBy: actor?._id || null }, $setOnInsert: { scope: key } },
+    { upsert: true, new: true, runValidators: true }
+  ).lean();
+
+  await logAudit({
+    action: "ASSIGNMENT_POLICY_UPDATED",
+    actor: actor?._id || null,
+    target: policy._id,
+    targetModel: "AssignmentPolicy",
+    meta: { scope: key, strategy, ...auditMeta },
+  });
+  return policy;
+};
+
+export const deleteAssignmentPolicy = async (scope, actor, auditMeta = {}) => {
+  const policy = await AssignmentPolicy.findOneAndDelete({ scope: normScope(scope) }).lean();
+  if (!policy) throw new Error("Assignment policy not found");
+  await logAudit({
+    action: "ASSIGNMENT_POLICY_DELETED",
+    actor: actor?._id || null,
+    target: policy._id,
+    targetModel: "AssignmentPolicy",
+    meta: { scope: policy.scope, strategy: policy.strategy, ...auditMeta },
+  });
+  return policy;
+};
@@ -5,6 +5,7 @@ import {
   generateRefreshToken,
   hashToken,
 } from "../utils/token.utils.js";
+import { markOffline } from "./presence.service.js";
 
 /* -------------------------- helpers -------------------------- */
 function normalizeEmail(email = "") {
@@ -167,7 +168,7 @@ export const refreshAccessToken = async (token) => {
   return { accessToken: newAccess, refreshToken: newRefresh };
 };
 
-/** Strict offline on logout (revokes RT and flips online=false immediately). */
+/** Strict offline on logout (revokes RT and marks presence offline immediately). */
 export const logoutUser = async (token, userId = null) => {
   const hashed = hashToken(token);
   await RefreshToken.updateOne(
@@ -175,13 +176,8 @@ export const logoutUser = async (token, userId = null) => {
     { revoked: true }
   ).catch(() => {});
   if (userId) {
-    await User.updateOne(
-      { _id: userId },
-      {
-        $set: { online: false, lastActive: new Date(0) },
-        $inc: { tokenVersion: 1 },
-      }
-    ).catch(() => {});
+    await User.updateOne({ _id: userId }, { $inc: { tokenVersion: 1 } }).catch(() => {});
+    await markOffline(userId);
   }
 };
 
@@ -0,0 +1,305 @@
+// src/services/change-request.service.js
+import { ChangeRequest } from "../models/ChangeRequest.js";
+import { ProjectRequest, assignedEngineerIds } from "../models/ProjectRequest.js";
+import { Task, toCoercedDateOrNull } from "../models/Task.js";
+import { logAudit } from "./audit.service.js";
+import { createAndEmit, links } from "./notify.service.js";
+import { getIO, saveAndEmitSystemForClients } from "../lib/io.js";
+import { emitSystem } from "../lib/events.js";
+import { resolveClientRequest } from "../utils/clientAccess.js";
+
+/* ========================================================================== */
+/*                               Utilities                                    */
+/* ========================================================================== */
+
+const CLOSED_STATUSES = ["Complete", "Cancelled"];
+
+const fmtDate = (d) => (d ? new Date(d).toISOString().slice(0, 10) : null);
+
+function describeImpact(cr) {
+  const parts = [];
+  if (cr.impact?.deadline) parts.push(`new deadline ${fmtDate(cr.impact.deadline)}`);
+  if (cr.impact?.cost) {
+    const sign = cr.impact.cost > 0 ? "+" : "";
+    parts.push(`cost ${sign}${cr.impact.cost} ${cr.impact.currency || "USD"}`);
+  }
+  return parts.length ? parts.join(", ") : "no deadline or cost impact";
+}
+
+/** Validate + normalize the impact payload; throws on an unparseable deadline. */
+function normalizeImpact({ deadline, cost, currency } = {}) {
+  const hasDeadline = deadline != null && String(deadline).trim() !== "";
+  const coerced = hasDeadline ? toCoercedDateOrNull(deadline) : null;
+  if (hasDeadline && !coerced) throw new Error("Invalid deadline");
+
+  const n = cost == null || cost === "" ? 0 : Number(cost);
+  if (!Number.isFinite(n)) throw new Error("Invalid cost");
+
+  return { deadline: coerced, cost: n, currency: currency || "USD" };
+}
+
+const emitUpdated = (req, cr) => {
+  try {
+    if (req.chatRoom) {
+      getIO()?.to(req.chatRoom.toString()).emit("change_request:updated", {
+        requestId: String(req._id),
+        changeRequest: cr.toObject?.() || cr,
+      });
+    }
+  } catch {}
+};
+
+async function loadForPm(requestId, pmUser) {
+  const req = await ProjectRequest.findById(requestId);
+  if (!req) throw new Error("Request not found");
+  if (!req.pmAssigned?.equals(pmUser._id)) throw new Error("Only assigned PM can manage change requests");
+  return req;
+}
+
+/* ========================================================================== */
+/*                                  Raise                                     */
+/* ========================================================================== */
+
+async function raise({ req, side, user, description, impact }, auditMeta) {
+  if (!String(description || "").trim()) throw new Error("Description is required");
+  if (CLOSED_STATUSES.includes(req.status)) {
+    throw new Error(`Cannot change scope of a ${req.status} project`);
+  }
+
+  const cr = await ChangeRequest.create({
+    request: req._id,
+    room: req.chatRoom || null,
+    description,
+    impact: normalizeImpact(impact),
+    raisedBy: user?._id || null,
+    raisedBySide: side,
+  });
+
+  await logAudit({
+    action: "CHANGE_REQUEST_RAISED",
+    actor: user?._id || null,
+    target: cr._id,
+    targetModel: "ChangeRequest",
+    request: req._id,
+    room: req.chatRoom,
+    meta: { side, impact: cr.impact, ...auditMeta },
+  });
+
+  const summary = `“${cr.description.slice(0, 140)}” (${describeImpact(cr)})`;
+  try {
+    if (side === "PM") {
+      // client decides → client bubble with the id the UI needs for approve/decline
+      if (req.chatRoom) {
+        await saveAndEmitSystemForClients({
+          roomId: req.chatRoom.toString(),
+          kind: "change_request_raised",
+          text: `Your PM proposed a scope change: ${summary}. Please approve or decline it.`,
+          meta: { requestId: req._id, changeRequestId: cr._id },
+        });
+      }
+    } else {
+      if (req.chatRoom) {
+        await saveAndEmitSystemForClients({
+          roomId: req.chatRoom.toString(),
+          kind: "change_request_raised",
+          text: "Thanks — your change request was sent to your PM for review.",
+          meta: { requestId: req._id, changeRequestId: cr._id },
+        });
+        emitSystem(req.chatRoom, {
+          type: "change_request_raised",
+          role: "Client",
+          changeRequest: { id: String(cr._id), description: cr.description, impact: cr.impact },
+        });
+      }
+      if (req.pmAssigned) {
+        await createAndEmit(req.pmAssigned, {
+          type: "CHANGE_REQUEST_RAISED",
+          title: "Client requested a scope change",
+          body: `${summary} on “${req.projectTitle || "Project"}”`,
+          link: links.chatRoom(req.chatRoom),
+          meta: { requestId: req._id, roomId: req.chatRoom, changeRequestId: cr._id, refId: String(cr._id) },
+        });
+      }
+    }
+  } catch {}
+
+  emitUpdated(req, cr);
+  return cr;
+}
+
+export const pmRaiseChangeRequest = async (
+  { requestId, pmUser, description, deadline, cost, currency },
+  auditMeta = {}
+) => {
+  const req = await loadForPm(requestId, pmUser);
+  return raise({ req, side: "PM", user: pmUser, description, impact: { deadline, cost, currency } }, auditMeta);
+};
+
+export const clientRaiseChangeRequest = async (
+  { requestId, clientKey, user, description, deadline, cost, currency },
+  auditMeta = {}
+) => {
+  const req = await resolveClientRequest({ requestId, clientKey, user });
+  return raise({ req, side: "Client", user, description, impact: { deadline, cost, currency } }, auditMeta);
+};
+
+/* ========================================================================== */
+/*                                 Decide                                     */
+/* ========================================================================== */
+
+/**
+ * Approval applies the impact: ProjectRequest.completionDate and every open Task
+ * deadline move to the new date (Task's deadline setter/hooks do the coercion), and
+ * the cost is added with $inc so it can't be lost to a concurrent write.
+ */
+async function applyApproved(req, cr) {
+  const update = {};
+  if (cr.impact?.deadline) {
+    cr.previousCompletionDate = req.completionDate || null;
+    update.$set = { completionDate: fmtDate(cr.impact.deadline) };
+    await Task.updateMany(
+      { request: req._id, status: { $ne: "Complete" } },
+      { $set: { deadline: cr.impact.deadline } }
+    );
+  }
+  if (cr.impact?.cost) update.$inc = { approvedChangeCost: cr.impact.cost };
+  if (!update.$set && !update.$inc) return;
+
+  const fresh = await ProjectRequest.findOneAndUpdate({ _id: req._id }, update, { new: true })
+    .select("completionDate approvedChangeCost")
+    .lean();
+  // keep the caller's doc in step without saving it
+  req.completionDate = fresh?.completionDate ?? req.completionDate;
+  req.approvedChangeCost = fresh?.approvedChangeCost ?? req.approvedChangeCost;
+  req.unmarkModified?.("completionDate");
+  req.unmarkModified?.("approvedChangeCost");
+  await cr.save();
+}
+
+async function decide({ cr, req, side, user, approve, note }, auditMeta) {
+  if (cr.status !== "Pending") throw new Error("Change request already decided");
+  if (cr.raisedBySide === side) throw new Error("The other side must decide this change request");
+  if (approve && CLOSED_STATUSES.includes(req.status)) {
+    throw new Error(`Cannot change scope of a ${req.status} project`);
+  }
+
+  // claim the decision first: of two concurrent decisions only one gets past here,
+  // so the impact is applied (and announced) once
+  cr = await ChangeRequest.findOneAndUpdate(
+    { _id: cr._id, status: "Pending" },
+    {
+      $set: {
+        status: approve ? "Approved" : "Declined",
+        decidedBy: user?._id || null,
+        decidedAt: new Date(),
+        decisionNote: String(note || "").trim(),
+      },
+    },
+    { new: true }
+  );
+  if (!cr) throw new Error("Change request already decided");
+  if (approve) await applyApproved(req, cr);
+
+  await logAudit({
+    action: approve ? "CHANGE_REQUEST_APPROVED" : "CHANGE_REQUEST_DECLINED",
+    actor: user?._id || null,
+    target: cr._id,
+    targetModel: "ChangeRequest",
+    request: req._id,
+    room: req.chatRoom,
+    meta: {
+      side,
+      note: cr.decisionNote,
+      impact: cr.impact,
+      previousCompletionDate: cr.previousCompletionDate,
+      completionDate: req.completionDate,
+      ...auditMeta,
+    },
+  });
+
+  const verb = approve ? "approved" : "declined";
+  try {
+    if (req.chatRoom) {
+      await saveAndEmitSystemForClients({
+        roomId: req.chatRoom.toString(),
+        kind: approve ? "change_request_approved" : "change_request_declined",
+        text:
+          side === "Client"
+            ? `You ${verb} the scope change “${cr.description.slice(0, 140)}”.`
+            : `Your PM ${verb} your change request “${cr.description.slice(0, 140)}”.` +
+              (cr.decisionNote ? ` Note: ${cr.decisionNote}` : ""),
+        meta: { requestId: req._id, changeRequestId: cr._id },
+      });
+      emitSystem(req.chatRoom, {
+        type: approve ? "change_request_approved" : "change_request_declined",
+        role: side,
+        changeRequest: { id: String(cr._id), description: cr.description, impact: cr.impact },
+      });
+    }
+
+    // staff who need to know: PM (when client decided) and engineers when deadlines moved
+    const recipients = [];
+    if (side === "Client" && req.pmAssigned) recipients.push(req.pmAssigned);
+    if (approve && cr.impact?.deadline) recipients.push(...assignedEngineerIds(req));
+    for (const uid of recipients) {
+      await createAndEmit(uid, {
+        type: approve ? "CHANGE_REQUEST_APPROVED" : "CHANGE_REQUEST_DECLINED",
+        title: `Scope change ${verb}`,
+        body: `“${cr.description.slice(0, 140)}” on “${req.projectTitle || "Project"}” (${describeImpact(cr)})`,
+        link: links.chatRoom(req.chatRoom),
+        meta: { requestId: req._id, roomId: req.chatRoom, changeRequestId: cr._id, refId: String(cr._id) },
+      });
+    }
+  } catch {}
+
+  emitUpdated(req, cr);
+  return cr;
+}
+
+export const pmDecideChangeRequest = async ({ changeRequestId, pmUser, decision, note }, auditMeta = {}) => {
+  const cr = await ChangeRequest.findById(changeRequestId);
+  if (!cr) throw new Error("Change request not found");
+  const req = await loadForPm(cr.request, pmUser);
+  return decide({ cr, req, side: "PM", user: pmUser, approve: parseDecision(decision), note }, auditMeta);
+};
+
+export const clientDecideChangeRequest = async (
+  { changeRequestId, clientKey, user, decision, note },
+  auditMeta = {}
+) => {
+  const cr = await ChangeRequest.findById(changeRequestId);
+  if (!cr) throw new Error("Change request not found");
+  const req = await resolveClientRequest({ requestId: cr.request, clientKey, user });
+  return decide({ cr, req, side: "Client", user, approve: parseDecision(decision), note }, auditMeta);
+};
+
+function parseDecision(decision) {
+  const s = String(decision || "");
+  if (/^approve(d)?$/i.test(s)) return true;
+  if (/^decline(d)?$/i.test(s)) return false;
+  throw new Error("decision must be approve or decline");
+}
+
+/* ========================================================================== */
+/*                                  Reads                                     */
+/* ========================================================================== */
+
+export const listChangeRequests = async (requestId) =>
+  ChangeRequest.find({ request: requestId }).sort({ createdAt: -1 }).lean();
+
+export const listChangeRequestsForStaff = async (requestId, user) => {
+  const req = await ProjectRequest.findById(requestId).lean();
+  if (!req) throw new Error("Request not found");
+  const uid = String(user?._id);
+  const allowed =
+    /admin/i.test(String(user?.role || "")) ||
+    String(req.pmAssigned) === uid ||
+    assignedEngineerIds(req).some((e) => String(e) === uid);
+  if (!allowed) throw new Error("Forbidden");
+  return listChangeRequests(req._id);
+};
+
+export const listChangeRequestsForClient = async ({ requestId, clientKey, user }) => {
+  const req = await resolveClientRequest({ requestId, clientKey, user });
+  return listChangeRequests(req._id);
+};
@@ -1,9 +1,17 @@
 // backend/src/services/chat.service.js
 import { ChatRoom } from "../models/ChatRoom.js";
-import { Message } from "../models/Message.js";
+import { Message, clientVisibleFilter } from "../models/Message.js";
 import { ProjectRequest } from "../models/ProjectRequest.js";
+import { User } from "../models/User.js";
 import { logAudit } from "./audit.service.js";
 import { getIO } from "../lib/io.js";
+import { autoReplyForAwayStaff } from "./out-of-office.service.js";
+import { config } from "../config/env.js";
+import { createAndEmit, links } from "./notify.service.js";
+import { emailClientMessageReply } from "./email.service.js";
+import { advanceReadCursor } from "./read-receipt.service.js";
+import { resolveMentions, notifyMentions } from "./mention.service.js";
+import mongoose from "mongoose";
 
 /**
  * Ensure a user is a member of the room.
@@ -22,9 +30,24 @@ export const ensureMember = async (roomId, userId, { allowClosed = false } = {})
 /**
  * Post a message from an authenticated user (PM/Engineer/etc.)
  * - Blocks when room is closed
+ * - `internal: true` makes it a staff-only note (visibleTo "Staff"); clients can't post those
+ *
+ * This and clientPost write every user and client message (REST and socket alike), so
+ * replies, mentions, read cursors and auto-replies apply the same on every path.
  */
-export const postMessage = async (roomId, senderUser, { text = "", attachments = [] }, auditMeta = {}) => {
+export const postMessage = async (
+  roomId,
+  senderUser,
+  { text = "", attachments = [], internal = false, replyTo = null },
+  auditMeta = {}
+) => {
   await ensureMember(roomId, senderUser._id, { allowClosed: false });
+  const isClient = /client/i.test(String(senderUser.role || ""));
+  if (internal && isClient) {
+    throw new Error("Forbidden: clients can't post internal notes");
+  }
+  const parent = await resolveReplyParent(roomId, replyTo, { client: isClient });
+  const mentions = await resolveMentions(roomId, text, { internal: internal || parent?.visibleTo === "Staff" });
 
   const msg = await Message.create({
     room: roomId,
@@ -32,7 +55,12 @@ export const postMessage = async (roomId, senderUser, { text = "", attachments =
     sender: senderUser._id,
     text,
     attachments,
+    visibleTo: internal ? "Staff" : "All",
+    mentions,
+    ...replyFields(parent),
   });
+  internal = msg.visibleTo === "Staff";
+  await advanceReadCursor(roomId, senderUser._id, msg._id).catch(() => {});
 
   await logAudit({
     action: "CHAT_MESSAGE",
@@ -40,15 +68,30 @@ export const postMessage = async (roomId, senderUser, { text = "", attachments =
     target: msg._id,
     targetModel: "Message",
     room: roomId,
-    meta: { textLength: text?.length || 0, attachmentsCount: attachments?.length || 0, ...auditMeta },
+    meta: {
+      textLength: text?.length || 0,
+      attachmentsCount: attachments?.length || 0,
+      internal: !!internal,
+      mentions: mentions.length,
+      ...auditMeta,
+    },
   });
 
   // personal notifications (optional)
   try {
     const room = await ChatRoom.findById(roomId).lean();
     const io = getIO();
+    // client members must not even get a preview of an internal note
+    const clientIds = internal
+      ? new Set(
+          (await User.find({ _id: { $in: room?.members || [] }, role: "Client" }).select("_id").lean()).map((u) =>
+            String(u._id)
+          )
+        )
+      : new Set();
     for (const mid of room?.members || []) {
       if (String(mid) === String(senderUser._id)) continue;
+      if (clientIds.has(String(mid))) continue;
       io?.to(`user:${mid.toString()}`).emit("notify:message", {
         roomId,
         preview: text?.slice(0, 100) || "New message",
@@ -57,21 +100,41 @@ export const postMessage = async (roomId, senderUser, { text = "", attachments =
     }
   } catch (_) {}
 
+  if (isClient) {
+    const req = await ProjectRequest.findOne({ chatRoom: roomId }).lean();
+    if (req) autoReplyForAwayStaff(req);
+  }
+  const senderName = [senderUser.firstName, senderUser.lastName].filter(Boolean).join(" ");
+  await afterReply(msg, parent, { replierId: senderUser._id, replierName: senderName });
+  await notifyMentions(msg, mentions, { senderId: senderUser._id, senderName });
+
   return msg;
 };
 
+/**
+ * Audience for a signed-in reader: clients (who are room members too) get the client
+ * view — no internal notes; staff don't get client-only bubbles.
+ */
+async function readerAudience(userId) {
+  const viewer = await User.findById(userId).select("role").lean();
+  const client = /client/i.test(String(viewer?.role || ""));
+  return { client, apply: (q) => (client ? q.forClient() : q.where({ visibleTo: { $ne: "Client" } })) };
+}
+
 /**
  * Get messages (authenticated user)
  * - Allows reads even when room is closed
+ * - Filtered to the reader's audience (readerAudience)
  */
 export async function getRoomMessages(roomId, userId, limit = 50, cursor = null) {
   await ensureMember(roomId, userId, { allowClosed: true });
+  const audience = await readerAudience(userId);
 
   const q = { room: roomId };
   if (cursor) q._id = { $lt: cursor };
 
   // Projection = only what UI needs; pairs with {room:1,_id:-1} index
-  const docs = await Message
+  const query = Message
     .find(q, {
       _id: 1,
       room: 1,
@@ -84,7 +147,15 @@ export async function getRoomMessages(roomId, userId, limit = 50, cursor = null)
       kind: 1,
       allowRating: 1,
       meta: 1,
-    })
+      editedAt: 1,
+      deletedAt: 1,
+      replyTo: 1,
+      threadRoot: 1,
+      replyCount: 1,
+      mentions: 1,
+    });
+  const docs = await audience
+    .apply(query)
     .sort({ _id: -1 })
     .limit(Math.max(1, Math.min(200, limit)))
     .lean();
@@ -95,17 +166,24 @@ export async function getRoomMessages(roomId, userId, limit = 50, cursor = null)
 /* -------------------------- Client via clientKey -------------------------- */
 
 /**
- * Client posting a message (public via clientKey)
+ * Client posting a message, as the client of the request: by the public clientKey, or
+ * signed in (`clientId` = their user id).
  * - Blocks when room is closed
  */
-export const clientPost = async ({ requestId, clientKey, text = "", attachments = [] }, auditMeta = {}) => {
+export const clientPost = async (
+  { requestId, clientKey = null, clientId = null, text = "", attachments = [], replyTo = null },
+  auditMeta = {}
+) => {
   const req = await ProjectRequest.findById(requestId);
-  if (!req || req.clientKey !== clientKey) throw new Error("Unauthorized client");
+  const authorized = clientKey ? req?.clientKey === clientKey : !!clientId && String(req?.clientId) === String(clientId);
+  if (!req || !authorized) throw new Error("Unauthorized client");
   if (!req.chatRoom) throw new Error("Room not ready");
 
   const room = await ChatRoom.findById(req.chatRoom).lean();
   if (!room) throw new Error("Room not found");
   if (room.isClosed) throw new Error("Room closed");
+  const parent = await resolveReplyParent(req.chatRoom, replyTo, { client: true });
+  const mentions = await resolveMentions(req.chatRoom, text);
 
   const msg = await Message.create({
     room: req.chatRoom,
@@ -114,6 +192,8 @@ export const clientPost = async ({ requestId, clientKey, text = "", attachments
     clientEmail: req.email || null,
     text,
     attachments,
+    mentions,
+    ...replyFields(parent),
   });
 
   await logAudit({
@@ -126,6 +206,12 @@ export const clientPost = async ({ requestId, clientKey, text = "", attachments
     meta: { clientEmail: req.email, textLength: text?.length || 0, attachmentsCount: attachments?.length || 0, ...auditMeta },
   });
 
+  if (req.clientId) await advanceReadCursor(req.chatRoom, req.clientId, msg._id).catch(() => {});
+  autoReplyForAwayStaff(req.toObject());
+  const clientName = [req.firstName, req.lastName].filter(Boolean).join(" ") || "Client";
+  await afterReply(msg, parent, { replierName: clientName });
+  await notifyMentions(msg, mentions, { senderId: req.clientId, senderName: clientName });
+
   return msg;
 };
 
@@ -155,10 +241,303 @@ export const clientFetch = async ({ requestId, clientKey, limit = 50, cursor = n
       kind: 1,
       allowRating: 1,
       meta: 1,
+      editedAt: 1,
+      deletedAt: 1,
+      replyTo: 1,
+      threadRoot: 1,
+      replyCount: 1,
+      mentions: 1,
     })
+    .forClient()
     .sort({ _id: -1 })
     .limit(Math.max(1, Math.min(200, limit)))
     .lean();
 
   return items.reverse();
 };
+
+/* ---------------------------- Edit / delete ---------------------------- */
+
+const changeError = (message, status) => Object.assign(new Error(message), { status });
+
+/**
+ * Load a message the caller may change, or throw.
+ * `by` is { user } for a signed-in user, or { requestId, clientKey } for a client link.
+ * Staff change their own messages; a client changes the client messages in their own
+ * project's room. System bubbles and special messages (rating prompts...) are fixed.
+ */
+async function loadOwnMessage(messageId, by) {
+  const msg = await Message.findById(messageId).select("+revisions").lean();
+  if (!msg || msg.deletedAt) throw new Error("Message not found");
+  if (msg.senderType === "System" || msg.kind) throw changeError("This message can't be changed", 409);
+
+  let clientRequest = null;
+  if (msg.senderType === "Client") {
+    if (by.clientKey) {
+      const req = await ProjectRequest.findById(by.requestId).select("clientKey chatRoom").lean();
+      if (!req || req.clientKey !== by.clientKey) throw new Error("Unauthorized client");
+      clientRequest = req;
+    } else if (by.user && /client/i.test(String(by.user.role || ""))) {
+      clientRequest = await ProjectRequest.findOne({ chatRoom: msg.room, clientId: by.user._id }).select("chatRoom").lean();
+    }
+    if (!clientRequest || String(clientRequest.chatRoom) !== String(msg.room)) {
+      throw new Error("Forbidden: you can only change your own messages");
+    }
+  } else if (!by.user || String(msg.sender) !== String(by.user._id)) {
+    throw new Error("Forbidden: you can only change your own messages");
+  }
+
+  const room = await ChatRoom.findById(msg.room).select("isClosed").lean();
+  if (!room) throw new Error("Room not found");
+  if (room.isClosed) throw new Error("Room closed");
+
+  const windowMin = config.chat.editWindowMinutes;
+  if (windowMin > 0 && Date.now() - new Date(msg.createdAt).getTime() > windowMin * 60_000) {
+    throw changeError(`Messages can only be changed within ${windowMin} minutes of sending`, 403);
+  }
+  return { msg, clientRequest };
+}
+
+/**
+ * Replace the current content, pushing the old one onto revisions. The revision
+ * count doubles as a version, so two concurrent changes can't both apply.
+ */
+async function replaceContent(msg, set, change, actorId) {
+  const version = msg.revisions?.length || 0;
+  // messages from before edits existed have no revisions array at all
+  const versionFilter = version
+    ? { revisions: { $size: version } }
+    : { $or: [{ revisions: { $size: 0 } }, { revisions: { $exists: false } }] };
+  const updated = await Message.findOneAndUpdate(
+    { _id: msg._id, deletedAt: null, ...versionFilter },
+    {
+      $set: set,
+      $push: {
+        revisions: {
+          text: msg.text || "",
+          attachments: msg.attachments || [],
+          replacedAt: new Date(),
+          replacedBy: actorId || null,
+          change,
+        },
+      },
+    },
+    { new: true }
+  ).lean();
+  if (!updated) throw changeError("Message was changed meanwhile; reload and try again", 409);
+  return updated;
+}
+
+export const editMessage = async (messageId, by, { text = "" } = {}, auditMeta = {}) => {
+  const { msg, clientRequest } = await loadOwnMessage(messageId, by);
+  const next = String(text ?? "");
+  if (!next.trim() && !msg.attachments?.length) throw new Error("Message text can't be empty");
+  if (next === (msg.text || "")) return msg;
+  const mentions = await resolveMentions(msg.room, next, { internal: msg.visibleTo === "Staff" });
+
+  const updated = await replaceContent(msg, { text: next, editedAt: new Date(), mentions }, "edit", by.user?._id);
+
+  await logAudit({
+    action: "CHAT_MESSAGE_EDITED",
+    actor: by.user?._id || null,
+    target: msg._id,
+    targetModel: "Message",
+    request: clientRequest?._id || null,
+    room: msg.room,
+    meta: { revision: (msg.revisions?.length || 0) + 1, textLength: next.length, ...auditMeta },
+  });
+
+  // only people the edit newly mentions hear about it
+  await notifyMentions(updated, mentions, {
+    senderId: by.user?._id || null,
+    senderName: by.user ? [by.user.firstName, by.user.lastName].filter(Boolean).join(" ") : "Client",
+    skip: (msg.mentions || []).map((m) => m.user),
+  });
+  return updated;
+};
+
+/** Tombstone: the message stays in place with no content; what it said moves to revisions. */
+export const deleteMessage = async (messageId, by, auditMeta = {}) => {
+  const { msg, clientRequest } = await loadOwnMessage(messageId, by);
+
+  const updated = await replaceContent(msg, { text: "", attachments: [], deletedAt: new Date() }, "delete", by.user?._id);
+
+  await logAudit({
+    action: "CHAT_MESSAGE_DELETED",
+    actor: by.user?._id || null,
+    target: msg._id,
+    targetModel: "Message",
+    request: clientRequest?._id || null,
+    room: msg.room,
+    meta: { attachmentsCount: msg.attachments?.length || 0, ...auditMeta },
+  });
+  return updated;
+};
+
+/** Admin view: current state plus every earlier version, oldest first. */
+export const getMessageRevisions = async (messageId) => {
+  const msg = await Message.findById(messageId).select("+revisions").lean();
+  if (!msg) throw new Error("Message not found");
+  const { revisions = [], ...current } = msg;
+  return { message: current, revisions };
+};
+
+/* ------------------------------- Threads ------------------------------- */
+
+const PREVIEW_CHARS = 140;
+
+/**
+ * Validate a `replyTo` id for a new message in `roomId` and return the parent.
+ * A client can only quote what they can see; staff can't quote client-only bubbles.
+ */
+export async function resolveReplyParent(roomId, replyToId, { client = false } = {}) {
+  if (!replyToId) return null;
+  if (!mongoose.isValidObjectId(replyToId)) throw new Error("replyTo must be a message id");
+  const query = Message.findOne({ _id: replyToId, room: roomId, deletedAt: null });
+  if (client) query.forClient();
+  else query.where({ visibleTo: { $ne: "Client" } });
+  const parent = await query.select("_id sender senderType clientEmail visibleTo threadRoot text").lean();
+  if (!parent) throw new Error("Message being replied to not found");
+  return parent;
+}
+
+/** Fields to store on a reply. A reply to an internal note is internal too, so the quote can't reach clients. */
+export const replyFields = (parent) =>
+  parent
+    ? {
+        replyTo: parent._id,
+        threadRoot: parent.threadRoot || parent._id,
+        ...(parent.visibleTo === "Staff" ? { visibleTo: "Staff" } : {}),
+      }
+    : {};
+
+const senderNameOf = (m, usersById) => {
+  if (m.senderType === "System") return "System";
+  if (m.senderType === "Client") return m.clientName || m.clientEmail?.split("@")[0] || "Client";
+  const u = usersById.get(String(m.sender));
+  return [u?.firstName, u?.lastName].filter(Boolean).join(" ") || "User";
+};
+
+/**
+ * Quoted-parent previews for a page of messages: Map parentId → { _id, senderType,
+ * senderName, text, attachmentsCount, deleted }. In client mode a parent the client
+ * can't see is left out (the reply then shows no quote).
+ */
+export async function loadQuotes(items, { client = false } = {}) {
+  const ids = [...new Set(items.map((m) => m.replyTo).filter(Boolean).map(String))];
+  if (!ids.length) return new Map();
+
+  const query = Message.find({ _id: { $in: ids } });
+  if (client) query.forClient();
+  const parents = await query.select("_id sender senderType clientEmail clientName text attachments deletedAt").lean();
+
+  const senderIds = [...new Set(parents.filter((p) => p.sender).map((p) => String(p.sender)))];
+  const users = senderIds.length ? await User.find({ _id: { $in: senderIds } }, "firstName lastName").lean() : [];
+  const usersById = new Map(users.map((u) => [String(u._id), u]));
+
+  return new Map(
+    parents.map((p) => [
+      String(p._id),
+      {
+        _id: p._id,
+        senderType: p.senderType,
+        senderName: senderNameOf(p, usersById),
+        text: p.deletedAt ? "" : String(p.text || "").slice(0, PREVIEW_CHARS),
+        attachmentsCount: p.attachments?.length || 0,
+        deleted: !!p.deletedAt,
+      },
+    ])
+  );
+}
+
+/**
+ * Bookkeeping after a reply lands: bump the root's replyCount and tell the parent's
+ * author. Client authors get an in-app notification when they have an account, and
+ * an email for the first reply to a message. Best effort — never throws into the send path.
+ *
+ * Internal-note replies stay internal: they never reach a client author, and they only
+ * count on roots that are notes themselves, since clients see the replyCount of theirs.
+ */
+export async function afterReply(reply, parent, { replierId = null, replierName = "" } = {}) {
+  if (!parent) return;
+  try {
+    const isNote = reply.visibleTo === "Staff";
+    await Message.updateOne(
+      { _id: reply.threadRoot, ...(isNote ? { visibleTo: "Staff" } : {}) },
+      { $inc: { replyCount: 1 } }
+    );
+
+    const preview = String(reply.text || "").slice(0, PREVIEW_CHARS) || "Sent an attachment";
+    const name = replierName || "Someone";
+
+    if (parent.senderType === "Client") {
+      if (reply.senderType === "Client") return; // the client answering their own thread
+      if (isNote) return;
+      const req = await ProjectRequest.findOne({ chatRoom: reply.room })
+        .select("email clientId projectTitle chatRoom")
+        .lean();
+      if (!req) return;
+      if (req.clientId) {
+        await createAndEmit(req.clientId, {
+          type: "MESSAGE_REPLY",
+          title: `${name} replied to your message`,
+          body: preview,
+          link: links.chat(),
+          meta: { requestId: req._id, refId: `reply:${reply._id}` },
+        });
+      }
+      const earlier = await Message.exists({
+        replyTo: parent._id,
+        _id: { $ne: reply._id },
+        senderType: { $ne: "Client" },
+        ...clientVisibleFilter(),
+      });
+      if (!earlier) {
+        await emailClientMessageReply(req, name, String(parent.text || "").slice(0, PREVIEW_CHARS), preview);
+      }
+      return;
+    }
+
+    if (parent.senderType === "User" && parent.sender && String(parent.sender) !== String(replierId || "")) {
+      await createAndEmit(parent.sender, {
+        type: "MESSAGE_REPLY",
+        title: `${name} replied to your message`,
+        body: preview,
+        link: links.chatRoom(reply.room),
+        meta: { refId: `reply:${reply._id}` },
+      });
+    }
+  } catch (e) {
+    console.warn("[chat] reply bookkeeping failed:", e?.message);
+  }
+}
+
+/**
+ * One page of a thread (root + replies), newest page first like getRoomMessages:
+ * pass the returned nextCursor to load older replies. `client` applies the client
+ * audience (client-key callers); otherwise the caller must be a room member and gets
+ * their own audience (readerAudience).
+ */
+export async function getThread(messageId, { userId = null, client = false, limit = 50, cursor = null } = {}) {
+  const anchor = await Message.findById(messageId).select("room threadRoot").lean();
+  if (!anchor) throw new Error("Message not found");
+  if (!client) await ensureMember(anchor.room, userId, { allowClosed: true });
+
+  const rootId = anchor.threadRoot || anchor._id;
+  const audience = client ? (q) => q.forClient() : (await readerAudience(userId)).apply;
+
+  const root = await audience(Message.findOne({ _id: rootId })).lean();
+  if (!root) throw new Error("Message not found");
+
+  const size = Math.max(1, Math.min(200, Number(limit) || 50));
+  const q = { threadRoot: rootId };
+  if (cursor) q._id = { $lt: cursor };
+  const page = await audience(Message.find(q)).sort({ _id: -1 }).limit(size).lean();
+  const oldest = page[page.length - 1];
+
+  return {
+    root,
+    replies: page.reverse(),
+    nextCursor: page.length === size ? String(oldest._id) : null,
+  };
+}
@@ -1,6 +1,7 @@
-import { ProjectRequest } from "../models/ProjectRequest.js";
+import { ProjectRequest, assignedEngineerIds } from "../models/ProjectRequest.js";
 import { Task } from "../models/Task.js";
 import { User } from "../models/User.js";
+import { connectedUserIds, presenceSummary } from "./presence.service.js";
 
 const rangeToDates = (range) => {
   const now = new Date();
@@ -47,12 +48,14 @@ export const overview = async ({ range = "month" }) => {
     User.countDocuments({ role: { $in: ["PM","Engineer","Admin"] } }),
   ]);
 
-  // Active/Idle (busy OR online = active)
-  const [activePMs, idlePMs, activeEngineers, idleEngineers] = await Promise.all([
-    User.countDocuments({ role: "PM",        $or: [{ isBusy: true }, { online: true }] }),
-    User.countDocuments({ role: "PM",        isBusy: false, online: false }),
-    User.countDocuments({ role: "Engineer",  $or: [{ isBusy: true }, { online: true }] }),
-    User.countDocuments({ role: "Engineer",  isBusy: false, online: false }),
+  // Active/Idle (busy OR connected = active)
+  const connected = await connectedUserIds();
+  const [activePMs, idlePMs, activeEngineers, idleEngineers, presence] = await Promise.all([
+    User.countDocuments({ role: "PM",        $or: [{ isBusy: true }, { _id: { $in: connected } }] }),
+    User.countDocuments({ role: "PM",        isBusy: false, _id: { $nin: connected } }),
+    User.countDocuments({ role: "Engineer",  $or: [{ isBusy: true }, { _id: { $in: connected } }] }),
+    User.countDocuments({ role: "Engineer",  isBusy: false, _id: { $nin: connected } }),
+    presenceSummary({ roles: ["PM", "Engineer", "Admin"] }),
   ]);
 
   const totals = {
@@ -62,6 +65,7 @@ export const overview = async ({ range = "month" }) => {
     completedThisRange: completedInRange,
     staff: { total: totalStaff, pm: pmCount, engineer: engCount, admin: adminCount },
     activePMs, idlePMs, activeEngineers, idleEngineers,
+    presence: presence.roles,
   };
 
   // ---- Charts (daily pipeline + role bars) ----
@@ -120,7 +124,7 @@ export const overview = async ({ range = "month" }) => {
   const completed = await ProjectRequest.find({
     status: "Complete",
     updatedAt: { $gte: from, $lte: to },
-  }).select("ratings pmAssigned engineerAssigned").lean();
+  }).select("ratings pmAssigned engineerAssigned engineersAssigned").lean();
 
   const ratingAgg = {};
   for (const p of completed) {
@@ -131,12 +135,14 @@ export const overview = async ({ range = "month" }) => {
       ratingAgg[k].sum += Number(p.ratings.pm.score);
       ratingAgg[k].count += 1;
     }
-    // Engineer
-    if (p.engineerAssigned && p.ratings?.engineer?.score) {
-      const k = `eng:${String(p.engineerAssigned)}`;
-      ratingAgg[k] = ratingAgg[k] || { id: String(p.engineerAssigned), role: "Engineer", sum: 0, count: 0 };
-      ratingAgg[k].sum += Number(p.ratings.engineer.score);
-      ratingAgg[k].count += 1;
+    // Engineers (every engineer on the project shares the engineer score)
+    if (p.ratings?.engineer?.score) {
+      for (const engId of assignedEngineerIds(p)) {
+        const k = `eng:${String(engId)}`;
+        ratingAgg[k] = ratingAgg[k] || { id: String(engId), role: "Engineer", sum: 0, count: 0 };
+        ratingAgg[k].sum += Number(p.ratings.engineer.score);
+        ratingAgg[k].count += 1;
+      }
     }
   }
 
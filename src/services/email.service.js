@@ -229,6 +229,20 @@ function keyval(label, value) {
   </tr>`;
 }
 
+/** keyval rows for intake custom-field answers (ProjectRequest.customFields) */
+function customFieldRows(req) {
+  return (req?.customFields || [])
+    .map((f) => {
+      const v = Array.isArray(f.value)
+        ? f.value.join(", ")
+        : typeof f.value === "boolean"
+        ? (f.value ? "Yes" : "No")
+        : f.value;
+      return keyval(f.label || f.name, v);
+    })
+    .join("");
+}
+
 function detailsTable(rowsHtml) {
   if (!rowsHtml || !rowsHtml.trim()) return "";
   return `<table role="presentation" width="100%" cellspacing="0" cellpadding="0"
@@ -295,7 +309,8 @@ function clientNewRequestHtml(req, pmName, engineerName) {
     ${detailsTable(
       keyval("Project", title) +
         keyval("Project Manager", pmName || "Assigning now") +
-        keyval("Engineer", engineerName || "Pending")
+        keyval("Engineer", engineerName || "Pending") +
+        customFieldRows(req)
     )}
 
     <p style="margin:16px 0 0;color:${MUTED}">
@@ -339,7 +354,8 @@ function adminsNewRequestHtml_NoPM(req, pmName, engineerName) {
       ) +
         keyval("Project", req?.projectTitle || "Untitled") +
         keyval("Project Manager", pmName || "Unassigned") +
-        keyval("Engineer", engineerName || "Pending")
+        keyval("Engineer", engineerName || "Pending") +
+        customFieldRows(req)
     )}
   `;
   return wrapHtml(inner, "New request", STAFF_LOGO);
@@ -386,7 +402,8 @@ function pmsBroadcastHtml(req, pmName, engineerName) {
       ) +
         keyval("Email", req?.email || "n/a") +
         keyval("Project Manager", pmName || "Not assigned yet") +
-        keyval("Engineer", engineerName || "Pending")
+        keyval("Engineer", engineerName || "Pending") +
+        customFieldRows(req)
     )}
     ${button("Open Chat", STAFF_CHAT_URL)}
   `;
@@ -999,6 +1016,73 @@ function clientPmAssignedHtml(req, pmName) {
   return wrapHtml(inner, "PM assigned", CLIENT_GIF);
 }
 
+/* ============================================================================
+ * CLIENT → PM handoff (project moved to a new PM)
+ * ========================================================================== */
+function clientPmHandoffSubject(req, pmName) {
+  const t = req?.projectTitle || "your project";
+  return `Your new Project Manager: ${pmName || "PM"} — ${t}`;
+}
+function clientPmHandoffHtml(req, pmName, previousPmName) {
+  const inner = `
+    <h1 style="margin:0 0 10px 0;font-size:26px;color:${TEXT}">Meet your new Project Manager</h1>
+    <p style="margin:0 0 10px 0;color:${MUTED}">
+      <strong>${escapeHtml(pmName || "Your new PM")}</strong> is taking over your project${
+        previousPmName ? ` from <strong>${escapeHtml(previousPmName)}</strong>` : ""
+      }. Your chat history, files and tasks stay exactly where they are.
+    </p>
+    ${detailsTable(
+      keyval("Project", req?.projectTitle || "Project") +
+        keyval("Project Manager", pmName || "PM") +
+        keyval("Previous PM", previousPmName)
+    )}
+    ${button("Open Chat", CLIENT_CHAT_URL)}
+  `;
+  return wrapHtml(inner, "New PM", CLIENT_GIF);
+}
+
+/* ============================================================================
+ * CLIENT → Someone replied to your message
+ * ========================================================================== */
+function clientMessageReplySubject(req, replierName) {
+  const t = req?.projectTitle || "your project";
+  return `${replierName || "Your team"} replied to your message — ${t}`;
+}
+function clientMessageReplyHtml(req, replierName, quoted, reply) {
+  const inner = `
+    <h1 style="margin:0 0 10px 0;font-size:26px;color:${TEXT}">You have a reply</h1>
+    <p style="margin:0 0 10px 0;color:${MUTED}">
+      <strong>${escapeHtml(replierName || "Your team")}</strong> replied to your message in the project chat.
+    </p>
+    ${detailsTable(
+      keyval("Project", req?.projectTitle || "Project") +
+        keyval("You wrote", quoted) +
+        keyval("Reply", reply)
+    )}
+    ${button("Open Chat", CLIENT_CHAT_URL)}
+  `;
+  return wrapHtml(inner, "New reply", CLIENT_GIF);
+}
+
+/* ============================================================================
+ * CLIENT → Someone @mentioned you
+ * ========================================================================== */
+function clientMentionSubject(req, mentionerName) {
+  const t = req?.projectTitle || "your project";
+  return `${mentionerName || "Your team"} mentioned you — ${t}`;
+}
+function clientMentionHtml(req, mentionerName, text) {
+  const inner = `
+    <h1 style="margin:0 0 10px 0;font-size:26px;color:${TEXT}">You were mentioned</h1>
+    <p style="margin:0 0 10px 0;color:${MUTED}">
+      <strong>${escapeHtml(mentionerName || "Your team")}</strong> mentioned you in the project chat.
+    </p>
+    ${detailsTable(keyval("Project", req?.projectTitle || "Project") + keyval("Message", text))}
+    ${button("Open Chat", CLIENT_CHAT_URL)}
+  `;
+  return wrapHtml(inner, "New mention", CLIENT_GIF);
+}
+
 /* ============================================================================
  * CLIENT → Project submitted & in Review (with /rate instruction)
  * ========================================================================== */
@@ -1028,6 +1112,45 @@ function clientProjectSubmittedHtml(req, pmName, engineerName) {
   return wrapHtml(inner, "Project in Review", CLIENT_GIF);
 }
 
+/* ============================================================================
+ * CLIENT → Project paused / resumed / cancelled
+ * ========================================================================== */
+const STATUS_CHANGE_COPY = {
+  OnHold: {
+    subject: (t) => `Project on hold: ${t}`,
+    heading: "Your project is on hold",
+    lead: (t) => `We’ve paused work on <strong>${t}</strong>. Nothing is lost — your chat and files stay available and we’ll pick up where we left off when the project resumes.`,
+    label: "On Hold",
+  },
+  Resumed: {
+    subject: (t) => `Project resumed: ${t}`,
+    heading: "Your project is back on",
+    lead: (t) => `Work on <strong>${t}</strong> has resumed. Your chat is open again.`,
+    label: "Resumed",
+  },
+  Cancelled: {
+    subject: (t) => `Project cancelled: ${t}`,
+    heading: "Your project was cancelled",
+    lead: (t) => `<strong>${t}</strong> has been cancelled and its chat is now closed. If this is unexpected, just reply to this email.`,
+    label: "Cancelled",
+  },
+};
+function clientStatusChangedHtml(req, kind, reason) {
+  const copy = STATUS_CHANGE_COPY[kind];
+  const title = escapeHtml(req?.projectTitle || "your project");
+  const inner = `
+    <h1 style="margin:0 0 10px 0;font-size:26px;color:${TEXT}">${copy.heading}</h1>
+    <p style="margin:0 0 12px 0;color:${MUTED}">${copy.lead(title)}</p>
+    ${detailsTable(
+      keyval("Project", req?.projectTitle || "Project") +
+        keyval("Status", copy.label) +
+        keyval("Reason", reason)
+    )}
+    ${kind === "Cancelled" ? "" : button("Open Chat", CLIENT_CHAT_URL)}
+  `;
+  return wrapHtml(inner, copy.heading, CLIENT_GIF);
+}
+
 /* ============================================================================
  * PUBLIC API (new exports)
  * ========================================================================== */
@@ -1040,6 +1163,15 @@ export async function emailClientPmAssigned(req, pmName) {
   });
 }
 
+export async function emailClientPmHandoff(req, pmName, previousPmName) {
+  if (!req?.email) return { skipped: true, reason: "no client email" };
+  return safeSend({
+    to: req.email,
+    subject: clientPmHandoffSubject(req, pmName),
+    html: clientPmHandoffHtml(req, pmName, previousPmName),
+  });
+}
+
 export async function emailClientProjectSubmitted(
   req,
   pmName,
@@ -1053,6 +1185,40 @@ export async function emailClientProjectSubmitted(
   });
 }
 
+/**
+ * Client notice when a project is put on hold, resumed or cancelled.
+ * @param {"OnHold"|"Resumed"|"Cancelled"} kind
+ */
+export async function emailClientProjectStatusChanged(req, kind, reason = "") {
+  if (!req?.email) return { skipped: true, reason: "no client email" };
+  const copy = STATUS_CHANGE_COPY[kind];
+  if (!copy) return { skipped: true, reason: `unknown kind ${kind}` };
+  return safeSend({
+    to: req.email,
+    subject: copy.subject(req?.projectTitle || "your project"),
+    html: clientStatusChangedHtml(req, kind, reason),
+  });
+}
+
+/** Client notice that a staff member replied to one of their chat messages. */
+export async function emailClientMessageReply(req, replierName, quoted, reply) {
+  if (!req?.email) return { skipped: true, reason: "no client email" };
+  return safeSend({
+    to: req.email,
+    subject: clientMessageReplySubject(req, replierName),
+    html: clientMessageReplyHtml(req, replierName, quoted, reply),
+  });
+}
+
+export async function emailClientMention(req, mentionerName, text) {
+  if (!req?.email) return { skipped: true, reason: "no client email" };
+  return safeSend({
+    to: req.email,
+    subject: clientMentionSubject(req, mentionerName),
+    html: clientMentionHtml(req, mentionerName, text),
+  });
+}
+
 // Simple, styled notification wrapper used by notify.service.js
 export async function emailNotifyUser(to, subject, body, link) {
   const inner = `
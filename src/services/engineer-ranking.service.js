@@ -0,0 +1,138 @@
+// src/services/engineer-ranking.service.js
+import mongoose from "mongoose";
+import { ProjectRequest, assignedEngineerIds } from "../models/ProjectRequest.js";
+import { User } from "../models/User.js";
+import { requestText, matchSkills } from "../utils/skillMatch.js";
+import { bayesianAverage } from "../utils/ratings.js";
+import { availabilityOf, capacityOf } from "../utils/availability.js";
+import { canManageRequest } from "./project.service.js";
+import { annotatePresence } from "./presence.service.js";
+
+/**
+ * Scored shortlist of engineers for one request. Every factor is normalised to 0..1
+ * and the weighted sum is reported as 0..100 together with its breakdown, so the PM
+ * can see *why* someone ranks high rather than trusting a bare number. Engineers at
+ * capacity or outside their working hours score 0 on availability and sort last.
+ */
+export const RANK_WEIGHTS = { skill: 0.45, load: 0.2, rating: 0.2, availability: 0.15 };
+
+// summed skill levels at which the skill factor maxes out (two expert matches)
+const SKILL_SATURATION = 10;
+
+const clamp01 = (n) => Math.max(0, Math.min(1, n));
+
+/** { engineerId → { sum, count } } of ratings.engineer across every project they were on. */
+async function engineerRatingStats(engineerIds) {
+  const ids = engineerIds.map((id) => new mongoose.Types.ObjectId(String(id)));
+  const rows = await ProjectRequest.aggregate([
+    {
+      $match: {
+        "ratings.engineer.score": { $gte: 1 },
+        $or: [{ engineersAssigned: { $in: ids } }, { engineerAssigned: { $in: ids } }],
+      },
+    },
+    {
+      $project: {
+        score: "$ratings.engineer.score",
+        engineers: {
+          $setUnion: [
+            { $ifNull: ["$engineersAssigned", []] },
+            { $cond: [{ $ifNull: ["$engineerAssigned", false] }, ["$engineerAssigned"], []] },
+          ],
+        },
+      },
+    },
+    { $unwind: "$engineers" },
+    { $match: { engineers: { $in: ids } } },
+    { $group: { _id: "$engineers", sum: { $sum: "$score" }, count: { $sum: 1 } } },
+  ]);
+  return new Map(rows.map((r) => [String(r._id), { sum: r.sum, count: r.count }]));
+}
+
+// eng.presence comes from annotatePresence; away/idle engineers are reachable but slower to respond
+function presenceFactor(eng, avail) {
+  if (!avail.available) return 0;
+  const state = eng.presence?.state || "offline";
+  if (state === "online") return eng.isBusy ? 0.6 : 1;
+  if (state !== "offline") return eng.isBusy ? 0.4 : 0.7;
+  return eng.isBusy ? 0.2 : 0.4;
+}
+
+/** Score engineer candidates against a request (pure apart from the ratings lookup). */
+export async function scoreEngineers(request, engineers, at = new Date()) {
+  const text = requestText(request);
+  const ratings = await engineerRatingStats(engineers.map((e) => e._id));
+  const onProject = new Set(assignedEngineerIds(request).map(String));
+
+  return engineers
+    .map((eng) => {
+      const { score: skillRaw, matched } = matchSkills(eng.skills, text);
+      const r = ratings.get(String(eng._id)) || { sum: 0, count: 0 };
+      const avail = availabilityOf(eng, at);
+      const average = bayesianAverage(r.sum, r.count);
+
+      const breakdown = {
+        skill: clamp01(skillRaw / SKILL_SATURATION),
+        load: 1 / (1 + Math.max(0, eng.numberOfTask || 0)),
+        rating: clamp01((average - 1) / 4),
+        availability: presenceFactor(eng, avail),
+      };
+      const score = Object.entries(RANK_WEIGHTS).reduce((acc, [k, w]) => acc + w * breakdown[k], 0);
+
+      return {
+        engineer: {
+          _id: eng._id,
+          firstName: eng.firstName,
+          lastName: eng.lastName,
+          email: eng.email,
+          online: !!eng.online,
+          presence: eng.presence?.state || "offline",
+          isBusy: !!eng.isBusy,
+          numberOfTask: eng.numberOfTask || 0,
+          maxConcurrent: capacityOf(eng),
+          timezone: eng.timezone || "UTC",
+          skills: eng.skills || [],
+        },
+        score: Math.round(score * 1000) / 10,
+        breakdown: Object.fromEntries(Object.entries(breakdown).map(([k, v]) => [k, Math.round(v * 100) / 100])),
+        matchedSkills: matched,
+        rating: { average: Math.round((r.count ? r.sum / r.count : 0) * 100) / 100, count: r.count },
+        onProject: onProject.has(String(eng._id)),
+        available: avail.available,
+        unavailableReason: avail.reason,
+        nextAvailableAt: avail.available ? null : avail.nextAvailableAt,
+      };
+    })
+    .sort(
+      (a, b) =>
+        Number(b.available) - Number(a.available) ||
+        b.score - a.score ||
+        a.engineer.numberOfTask - b.engineer.numberOfTask ||
+        String(a.engineer._id).localeCompare(String(b.engineer._id))
+    );
+}
+
+/** GET shortlist for the request's PM (or an admin). */
+export async function recommendEngineersForRequest(requestId, user, { limit = 10 } = {}) {
+  const request = await ProjectRequest.findById(requestId)
+    .select("projectTitle projectDescription tags customFields pmAssigned engineerAssigned engineersAssigned status")
+    .lean();
+  if (!request) throw new Error("Request not found");
+  if (!canManageRequest(request, user)) {
+    throw new Error("Only assigned PM or an admin can view recommendations");
+  }
+
+  const engineers = await annotatePresence(
+    await User.find({ role: "Engineer" })
+      .select("firstName lastName email role isBusy numberOfTask skills maxConcurrent timezone workingHours outOfOffice")
+      .lean()
+  );
+
+  const ranked = await scoreEngineers(request, engineers);
+  const n = Math.max(1, Math.min(50, Number(limit) || 10));
+  return {
+    request: { _id: request._id, projectTitle: request.projectTitle, tags: request.tags || [], status: request.status },
+    weights: RANK_WEIGHTS,
+    engineers: ranked.slice(0, n),
+  };
+}
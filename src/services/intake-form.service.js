@@ -0,0 +1,194 @@
+// src/services/intake-form.service.js
+import { IntakeForm, IntakeFieldTypes } from "../models/IntakeForm.js";
+import { logAudit } from "./audit.service.js";
+
+/** Built-in intake fields every form already has; custom fields may not shadow them. */
+export const CORE_INTAKE_FIELDS = [
+  "firstName",
+  "lastName",
+  "email",
+  "projectTitle",
+  "projectDescription",
+  "completionDate",
+  "clientKey",
+  "customFields",
+];
+
+export class IntakeValidationError extends Error {
+  constructor(errors) {
+    super(`Invalid intake: ${errors.map((e) => `${e.field} ${e.message}`).join("; ")}`);
+    this.name = "IntakeValidationError";
+    this.status = 400;
+    this.errors = errors;
+  }
+}
+
+/* ========================================================================== */
+/*                              Schema management                             */
+/* ========================================================================== */
+
+/** Check an admin-supplied field list; returns the cleaned, ordered list or throws. */
+function normalizeFields(fields) {
+  if (!Array.isArray(fields)) throw new Error("fields must be an array");
+  const seen = new Set();
+  const errors = [];
+
+  const out = fields.map((f, i) => {
+    const name = String(f?.name || "").trim();
+    const type = f?.type || "text";
+    const options = Array.isArray(f?.options) ? f.options.map((o) => String(o).trim()).filter(Boolean) : [];
+
+    if (!/^[A-Za-z][A-Za-z0-9_]{0,63}$/.test(name)) errors.push({ field: name || `#${i}`, message: "has an invalid name" });
+    else if (CORE_INTAKE_FIELDS.includes(name)) errors.push({ field: name, message: "is a built-in field" });
+    else if (seen.has(name)) errors.push({ field: name, message: "is defined twice" });
+    seen.add(name);
+
+    if (!IntakeFieldTypes.includes(type)) errors.push({ field: name, message: `has unknown type ${type}` });
+    if ((type === "select" || type === "multiselect") && !options.length) {
+      errors.push({ field: name, message: "needs at least one option" });
+    }
+
+    return {
+      name,
+      label: String(f?.label || name).trim(),
+      type,
+      required: !!f?.required,
+      options,
+      helpText: String(f?.helpText || ""),
+      order: typeof f?.order === "number" ? f.order : i,
+    };
+  });
+
+  if (errors.length) throw new IntakeValidationError(errors);
+  return out.sort((a, b) => a.order - b.order);
+}
+
+export const listIntakeForms = async () => IntakeForm.find({}).sort({ source: 1 }).lean();
+
+export const getIntakeForm = async (source) =>
+  IntakeForm.findOne({ source: String(source || "").toLowerCase() }).lean();
+
+/** Active form for a source, or null (no custom fields asked). */
+export const getActiveIntakeForm = async (source) =>
+  IntakeForm.findOne({ source: String(source || "").toLowerCase(), active: true }).lean();
+
+export const upsertIntakeForm = async (source, { name, fields, active } = {}, actor, auditMeta = {}) => {
+  const key = String(source || "").trim().toLowerCase();
+  if (!key) throw new Error("source is required");
+
+  const $set = { updatedBy: actor?._id || null };
+  if (name !== undefined) $set.name = String(name);
+  if (fields !== undefined) $set.fields = normalizeFields(fields);
+  if (active !== undefined) $set.active = !!active;
+
+  const form = await IntakeForm.findOneAndUpdate(
+    { source: key },
+    { $set, $setOnInsert: { source: key } },
+    { upsert: true, new: true, runValidators: true }
+  ).lean();
+
+  await logAudit({
+    action: "INTAKE_FORM_UPDATED",
+    actor: actor?._id || null,
+    target: form._id,
+    targetModel: "IntakeForm",
+    meta: { source: key, fields: (form.fields || []).map((f) => f.name), active: form.active, ...auditMeta },
+  });
+  return form;
+};
+
+export const deleteIntakeForm = async (source, actor, auditMeta = {}) => {
+  const form = await IntakeForm.findOneAndDelete({ source: String(source || "").toLowerCase() }).lean();
+  if (!form) throw new Error("Intake form not found");
+  await logAudit({
+    action: "INTAKE_FORM_DELETED",
+    actor: actor?._id || null,
+    target: form._id,
+    targetModel: "IntakeForm",
+    meta: { source: form.source, ...auditMeta },
+  });
+  return form;
+};
+
+/* ========================================================================== */
+/*                               Answer validation                            */
+/* ========================================================================== */
+
+const isBlank = (v) =>
+  v == null || (typeof v === "string" && v.trim() === "") || (Array.isArray(v) && v.length === 0);
+
+/** Coerce one answer to the field's type; returns { value } or { error }. */
+function coerceAnswer(field, raw) {
+  switch (field.type) {
+    case "text":
+    case "textarea": {
+      const v = String(raw).trim();
+      if (v.length > (field.type === "text" ? 500 : 5000)) return { error: "is too long" };
+      return { value: v };
+    }
+    case "email": {
+      const v = String(raw).trim().toLowerCase();
+      return /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(v) ? { value: v } : { error: "must be an email address" };
+    }
+    case "url": {
+      try {
+        const u = new URL(String(raw).trim());
+        if (!/^https?:$/.test(u.protocol)) throw new Error("protocol");
+        return { value: u.toString() };
+      } catch {
+        return { error: "must be an http(s) URL" };
+      }
+    }
+    case "number": {
+      const n = Number(raw);
+      return Number.isFinite(n) ? { value: n } : { error: "must be a number" };
+    }
+    case "date": {
+      const d = new Date(String(raw).trim());
+      return isNaN(d) ? { error: "must be a date" } : { value: d.toISOString().slice(0, 10) };
+    }
+    case "select": {
+      const v = String(raw).trim();
+      return field.options.includes(v) ? { value: v } : { error: `must be one of: ${field.options.join(", ")}` };
+    }
+    case "multiselect": {
+      const list = (Array.isArray(raw) ? raw : String(raw).split(",")).map((x) => String(x).trim()).filter(Boolean);
+      const bad = list.filter((x) => !field.options.includes(x));
+      return bad.length ? { error: `has unknown option(s): ${bad.join(", ")}` } : { value: [...new Set(list)] };
+    }
+    case "checkbox":
+      return { value: raw === true || /^(true|1|on|yes)$/i.test(String(raw).trim()) };
+    default:
+      return { value: raw };
+  }
+}
+
+/**
+ * Validate the custom answers in an intake body against the source's active form.
+ * Answers are read from body.customFields[name] first, then body[name] (flat WP posts).
+ * Returns [{ name, label, type, value }] in form order; throws IntakeValidationError.
+ */
+export const resolveCustomFields = async (source, body = {}) => {
+  const form = await getActiveIntakeForm(source);
+  if (!form?.fields?.length) return [];
+
+  const nested = body.customFields && typeof body.customFields === "object" ? body.customFields : {};
+  const errors = [];
+  const answers = [];
+
+  for (const field of form.fields) {
+    const raw = nested[field.name] !== undefined ? nested[field.name] : body[field.name];
+    if (isBlank(raw) && field.type !== "checkbox") {
+      if (field.required) errors.push({ field: field.name, message: "is required" });
+      continue;
+    }
+    // an unticked checkbox is simply absent from form posts
+    const { value, error } = isBlank(raw) ? { value: false } : coerceAnswer(field, raw);
+    if (error) errors.push({ field: field.name, message: error });
+    else if (field.type === "checkbox" && field.required && !value) errors.push({ field: field.name, message: "must be checked" });
+    else answers.push({ name: field.name, label: field.label, type: field.type, value });
+  }
+
+  if (errors.length) throw new IntakeValidationError(errors);
+  return answers;
+};
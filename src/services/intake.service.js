@@ -0,0 +1,75 @@
+// src/services/intake.service.js
+import crypto from "crypto";
+import { IntakeReceipt } from "../models/IntakeReceipt.js";
+import { config } from "../config/env.js";
+
+export class IdempotencyError extends Error {
+  constructor(message, status = 409) {
+    super(message);
+    this.name = "IdempotencyError";
+    this.status = status;
+  }
+}
+
+const hashBody = (raw) =>
+  crypto.createHash("sha256").update(raw == null ? "" : raw).digest("hex");
+
+/**
+ * Claim an Idempotency-Key for this source.
+ * - first sighting → { receipt } (caller must completeIntake or abortIntake)
+ * - finished earlier with the same body → { replay: { statusCode, response } }
+ * - stuck "processing" past the timeout with no request created → taken over as { receipt }
+ * - still processing, or the key was reused with a different body → IdempotencyError
+ */
+export async function beginIntake({ source, key, rawBody }) {
+  const bodyHash = hashBody(rawBody);
+  try {
+    const receipt = await IntakeReceipt.create({ source, key, bodyHash });
+    return { receipt };
+  } catch (e) {
+    if (e?.code !== 11000) throw e;
+  }
+
+  // the attempt holding the key died before creating anything; the first retry claims it
+  const cutoff = new Date(Date.now() - Math.max(1, config.intake.processingTimeoutSec) * 1000);
+  const stale = await IntakeReceipt.findOneAndUpdate(
+    { source, key, bodyHash, status: "processing", request: null, updatedAt: { $lt: cutoff } },
+    { $set: { updatedAt: new Date() } },
+    { new: true, timestamps: false }
+  ).lean();
+  if (stale) return { receipt: stale };
+
+  const prior = await IntakeReceipt.findOne({ source, key }).lean();
+  if (!prior) throw new IdempotencyError("Intake with this Idempotency-Key is being retried; try again");
+  if (prior.bodyHash !== bodyHash) {
+    throw new IdempotencyError("Idempotency-Key was already used with a different payload", 422);
+  }
+  if (prior.status !== "done") {
+    throw new IdempotencyError("Intake with this Idempotency-Key is still processing");
+  }
+  return { replay: { statusCode: prior.statusCode || 201, response: prior.response } };
+}
+
+/** Store the response so retries replay it. */
+export async function completeIntake(receipt, { statusCode, response, requestId = null }) {
+  await IntakeReceipt.updateOne(
+    { _id: receipt._id },
+    { $set: { status: "done", statusCode, response, request: requestId } }
+  );
+}
+
+/** Pin the created request to the receipt so the key is never released or taken over. */
+export async function recordIntakeRequest(receipt, requestId) {
+  if (!receipt || !requestId) return;
+  try {
+    await IntakeReceipt.updateOne({ _id: receipt._id }, { $set: { request: requestId } });
+  } catch {}
+}
+
+/** Release the key after a failure so the sender can retry it (never once a request exists). */
+export async function abortIntake(receipt) {
+  if (!receipt) return;
+  try {
+    await IntakeReceipt.deleteOne({ _id: receipt._id, status: "processing", request: null });
+  } catch {}
+}
@@ -0,0 +1,96 @@
+// src/services/lifecycle.service.js
+import { ProjectRequest, ProjectStatuses } from "../models/ProjectRequest.js";
+import { ProjectStatusHistory } from "../models/ProjectStatusHistory.js";
+
+/**
+ * Allowed ProjectRequest.status transitions (from → [to]).
+ * Every status write on a request must go through transitionRequest().
+ */
+export const TRANSITIONS = {
+  Pending:    ["InProgress", "OnHold", "Cancelled"],
+  InProgress: ["Review", "OnHold", "Cancelled"],
+  Review:     ["InProgress", "Complete", "OnHold", "Cancelled"],
+  Complete:   ["InProgress"], // PM reopen
+  OnHold:     ["Pending", "InProgress", "Review", "Cancelled"],
+  Cancelled:  [],
+};
+
+export class InvalidTransitionError extends Error {
+  constructor(from, to) {
+    super(`Cannot move project from ${from || "unknown"} to ${to}`);
+    this.name = "InvalidTransitionError";
+    this.status = 409;
+    this.from = from;
+    this.to = to;
+  }
+}
+
+export const canTransition = (from, to) => (TRANSITIONS[from] || []).includes(to);
+
+/** Throw InvalidTransitionError unless from → to is declared (same-state is allowed). */
+export function assertTransition(from, to) {
+  if (!ProjectStatuses.includes(to)) throw new Error(`Unknown project status: ${to}`);
+  if (from === to) return;
+  if (!canTransition(from, to)) throw new InvalidTransitionError(from, to);
+}
+
+/** Paused or dead requests: no new work, no accepts, no standby assignment. */
+export const FROZEN_STATUSES = ["OnHold", "Cancelled"];
+
+/** Throw a 409 when work is attempted on an on-hold or cancelled request. */
+export function assertNotFrozen(request) {
+  if (!FROZEN_STATUSES.includes(request?.status)) return;
+  const err = new Error(
+    request.status === "OnHold" ? "Project is on hold" : "Project was cancelled"
+  );
+  err.status = 409;
+  throw err;
+}
+
+/** Append a history row; never breaks the calling flow. */
+async function recordHistory({ request, from, to, actor = null, reason = "", meta = {} }) {
+  try {
+    return await ProjectStatusHistory.create({ request, from, to, actor, reason, meta });
+  } catch (e) {
+    console.error("Status history error:", e.message);
+    return null;
+  }
+}
+
+/** Seed the timeline with the status a request was created in. */
+export const recordCreated = (request, { actor = null, reason = "Request created", meta = {} } = {}) =>
+  recordHistory({ request: request._id, from: null, to: request.status || "Pending", actor, reason, meta });
+
+/**
+ * Move a request to `to` and record the transition.
+ * - CAS on the current status so concurrent writers can't both leave the same state
+ * - keeps the caller's (mongoose or lean) doc in sync without re-saving `status`
+ * - same-state calls are no-ops and return false
+ */
+export async function transitionRequest(request, to, { actor = null, reason = "", meta = {} } = {}) {
+  const from = request.status;
+  assertTransition(from, to);
+  if (from === to) return false;
+
+  const res = await ProjectRequest.updateOne(
+    { _id: request._id, status: from },
+    { $set: { status: to } }
+  );
+  if (!res.modifiedCount) {
+    const fresh = await ProjectRequest.findById(request._id).select("status").lean();
+    throw new InvalidTransitionError(fresh?.status || from, to);
+  }
+
+  request.status = to;
+  request.unmarkModified?.("status");
+
+  await recordHistory({ request: request._id, from, to, actor, reason, meta });
+  return true;
+}
+
+/** Full timeline for one request, oldest first. */
+export const getRequestHistory = async (requestId) =>
+  ProjectStatusHistory.find({ request: requestId })
+    .sort({ at: 1, _id: 1 })
+    .populate("actor", "firstName lastName role")
+    .lean();
@@ -0,0 +1,119 @@
+// src/services/mention.service.js
+import { ChatRoom } from "../models/ChatRoom.js";
+import { ProjectRequest } from "../models/ProjectRequest.js";
+import { User } from "../models/User.js";
+import { createAndEmit, links } from "./notify.service.js";
+import { getPresence } from "./presence.service.js";
+import { emailClientMention } from "./email.service.js";
+
+/**
+ * @mentions in chat text. Handles resolve against the room's members only:
+ *   @PM / @PMs              every PM in the room
+ *   @engineer / @engineers  every engineer in the room
+ *   @Firstname              members with that first name (case-insensitive)
+ * A handle that matches no member rejects the message, so nobody is left thinking
+ * they pinged someone who will never hear about it. Email addresses aren't mentions:
+ * the "@" has to start a word.
+ */
+const MENTION_RE = /(^|[^\w@.])@([A-Za-z][\w-]*)/g;
+const ROLE_HANDLES = { pm: "PM", pms: "PM", engineer: "Engineer", engineers: "Engineer" };
+const PREVIEW_CHARS = 140;
+
+const mentionError = (message) => Object.assign(new Error(message), { status: 400 });
+
+/** Distinct handles in `text`, as typed (first spelling wins). */
+export function parseMentionHandles(text = "") {
+  const seen = new Map();
+  for (const m of String(text).matchAll(MENTION_RE)) {
+    const key = m[2].toLowerCase();
+    if (!seen.has(key)) seen.set(key, m[2]);
+  }
+  return [...seen.values()];
+}
+
+/**
+ * Resolve the mentions in `text` for a message in `roomId`, or throw (status 400) for a
+ * handle with no member behind it. Clients can't be mentioned in internal notes.
+ * Returns Message.mentions entries: [{ user, kind: "pm" | "engineer" | "user", handle }].
+ */
+export async function resolveMentions(roomId, text, { internal = false } = {}) {
+  const handles = parseMentionHandles(text);
+  if (!handles.length) return [];
+
+  const room = await ChatRoom.findById(roomId).select("members").lean();
+  const members = await User.find({ _id: { $in: room?.members || [] } })
+    .select("firstName lastName role")
+    .lean();
+
+  const mentions = [];
+  const add = (u, kind, handle) => {
+    if (!mentions.some((m) => String(m.user) === String(u._id))) mentions.push({ user: u._id, kind, handle });
+  };
+
+  for (const handle of handles) {
+    const role = ROLE_HANDLES[handle.toLowerCase()];
+    if (role) {
+      const matches = members.filter((u) => u.role === role);
+      if (!matches.length) throw mentionError(`Can't mention @${handle}: this room has no ${role} yet`);
+      matches.forEach((u) => add(u, role === "PM" ? "pm" : "engineer", handle));
+      continue;
+    }
+
+    const matches = members.filter((u) => (u.firstName || "").trim().toLowerCase() === handle.toLowerCase());
+    if (!matches.length) throw mentionError(`Can't mention @${handle}: no one in this room goes by that name`);
+    if (internal && matches.some((u) => /client/i.test(u.role || ""))) {
+      throw mentionError(`Can't mention @${handle} in an internal note: clients can't see it`);
+    }
+    matches.forEach((u) => add(u, "user", handle));
+  }
+  return mentions;
+}
+
+/**
+ * MENTION notification for everyone in `mentions` except the sender and anyone in
+ * `skip` (already notified, e.g. before an edit). Staff get the usual email mirror only
+ * while offline; offline clients get the client-styled email. Best effort.
+ */
+export async function notifyMentions(msg, mentions, { senderId = null, senderName = "", skip = [] } = {}) {
+  const skipIds = new Set([senderId, ...skip].filter(Boolean).map(String));
+  const targets = (mentions || []).filter((m) => !skipIds.has(String(m.user)));
+  if (!targets.length) return;
+
+  try {
+    const [req, presence, users] = await Promise.all([
+      ProjectRequest.findOne({ chatRoom: msg.room }).select("projectTitle email firstName lastName").lean(),
+      getPresence(targets.map((m) => m.user)),
+      User.find({ _id: { $in: targets.map((m) => m.user) } }).select("role").lean(),
+    ]);
+    const roleOf = new Map(users.map((u) => [String(u._id), u.role]));
+    const name = senderName || "Someone";
+    const preview = String(msg.text || "").slice(0, PREVIEW_CHARS);
+
+    for (const m of targets) {
+      const id = String(m.user);
+      const isClient = /client/i.test(roleOf.get(id) || "");
+      const offline = (presence.get(id)?.state || "offline") === "offline";
+      try {
+        await createAndEmit(
+          m.user,
+          {
+            type: "MENTION",
+            title: `${name} mentioned you${req?.projectTitle ? ` in ${req.projectTitle}` : ""}`,
+            body: preview,
+            link: isClient ? links.chat() : links.chatRoom(msg.room),
+            meta: { ...(req ? { requestId: req._id } : {}), refId: `mention:${msg._id}` },
+          },
+          { email: offline }
+        );
+        if (isClient && offline) {
+          const u = await User.findById(id).select("email firstName lastName").lean();
+          await emailClientMention({ ...req, email: u?.email || req?.email }, name, preview);
+        }
+      } catch (e) {
+        console.warn("[chat] mention notification failed:", e?.message);
+      }
+    }
+  } catch (e) {
+    console.warn("[chat] mention notifications failed:", e?.message);
+  }
+}
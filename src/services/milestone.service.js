@@ -0,0 +1,283 @@
+// src/services/milestone.service.js
+import { Milestone } from "../models/Milestone.js";
+import { ProjectRequest, assignedEngineerIds } from "../models/ProjectRequest.js";
+import { User } from "../models/User.js";
+import { logAudit } from "./audit.service.js";
+import { createAndEmit, links } from "./notify.service.js";
+import { getIO, saveAndEmitSystemForClients } from "../lib/io.js";
+import { emitSystem } from "../lib/events.js";
+import { resolveClientRequest } from "../utils/clientAccess.js";
+
+/* ========================================================================== */
+/*                               Utilities                                    */
+/* ========================================================================== */
+
+/** Accept ["Design", { title, done }] and drop blanks. */
+function normalizeDeliverables(list) {
+  if (!Array.isArray(list)) return [];
+  return list
+    .map((d) => (typeof d === "string" ? { title: d } : d))
+    .filter((d) => d && String(d.title || "").trim())
+    .map((d) => ({ title: String(d.title).trim(), done: !!d.done }));
+}
+
+async function loadForPm(requestId, pmUser) {
+  const req = await ProjectRequest.findById(requestId);
+  if (!req) throw new Error("Request not found");
+  if (!req.pmAssigned?.equals(pmUser._id)) throw new Error("Only assigned PM can manage milestones");
+  return req;
+}
+
+async function loadMilestoneForPm(milestoneId, pmUser) {
+  const ms = await Milestone.findById(milestoneId);
+  if (!ms) throw new Error("Milestone not found");
+  const req = await loadForPm(ms.request, pmUser);
+  return { ms, req };
+}
+
+const emitUpdated = (req, ms) => {
+  try {
+    if (req.chatRoom) {
+      getIO()?.to(req.chatRoom.toString()).emit("milestone:updated", {
+        requestId: String(req._id),
+        milestone: ms.toObject?.() || ms,
+      });
+    }
+  } catch {}
+};
+
+/* ========================================================================== */
+/*                               PM flows                                     */
+/* ========================================================================== */
+
+export const createMilestone = async (
+  { requestId, pmUser, title, description = "", dueDate, deliverables = [], order },
+  auditMeta = {}
+) => {
+  const req = await loadForPm(requestId, pmUser);
+  if (!String(title || "").trim()) throw new Error("Milestone title is required");
+  if (["Complete", "Cancelled"].includes(req.status)) {
+    throw new Error(`Cannot add milestones to a ${req.status} project`);
+  }
+
+  const nextOrder =
+    typeof order === "number" ? order : await Milestone.countDocuments({ request: req._id });
+
+  const ms = await Milestone.create({
+    request: req._id,
+    createdBy: pmUser._id,
+    title,
+    description,
+    dueDate,
+    deliverables: normalizeDeliverables(deliverables),
+    order: nextOrder,
+  });
+
+  await logAudit({
+    action: "MILESTONE_CREATED",
+    actor: pmUser._id,
+    target: ms._id,
+    targetModel: "Milestone",
+    request: req._id,
+    room: req.chatRoom,
+    meta: { title: ms.title, dueDate: ms.dueDate ? ms.dueDate.toISOString() : null, ...auditMeta },
+  });
+
+  emitUpdated(req, ms);
+  return ms;
+};
+
+export const updateMilestone = async (milestoneId, pmUser, patch = {}, auditMeta = {}) => {
+  const { ms, req } = await loadMilestoneForPm(milestoneId, pmUser);
+  if (ms.status === "Approved") throw new Error("Approved milestones are locked");
+
+  const changed = [];
+  if (typeof patch.title === "string" && patch.title.trim()) { ms.title = patch.title; changed.push("title"); }
+  if (typeof patch.description === "string") { ms.description = patch.description; changed.push("description"); }
+  if (patch.dueDate !== undefined) { ms.dueDate = patch.dueDate; changed.push("dueDate"); }
+  if (Array.isArray(patch.deliverables)) {
+    ms.deliverables = normalizeDeliverables(patch.deliverables);
+    changed.push("deliverables");
+  }
+  if (typeof patch.order === "number") { ms.order = patch.order; changed.push("order"); }
+  await ms.save();
+
+  await logAudit({
+    action: "MILESTONE_UPDATED",
+    actor: pmUser._id,
+    target: ms._id,
+    targetModel: "Milestone",
+    request: req._id,
+    room: req.chatRoom,
+    meta: { changed, ...auditMeta },
+  });
+
+  emitUpdated(req, ms);
+  return ms;
+};
+
+/** PM hands a milestone to the client for sign-off (also used to resubmit after a rejection). */
+export const submitMilestone = async (milestoneId, pmUser, auditMeta = {}) => {
+  const { ms, req } = await loadMilestoneForPm(milestoneId, pmUser);
+  if (ms.status === "Approved") throw new Error("Milestone already approved");
+  if (ms.status === "Submitted") return ms;
+
+  ms.status = "Submitted";
+  ms.revision += 1;
+  ms.submittedAt = new Date();
+  ms.decidedAt = null;
+  ms.decidedBy = null;
+  ms.decisionNote = "";
+  await ms.save();
+
+  try {
+    if (req.chatRoom) {
+      await saveAndEmitSystemForClients({
+        roomId: req.chatRoom.toString(),
+        kind: "milestone_submitted",
+        text: `Milestone “${ms.title}” is ready for your sign-off. Please approve it or tell us what needs changing.`,
+        meta: { requestId: req._id, milestoneId: ms._id, revision: ms.revision },
+      });
+    }
+  } catch {}
+
+  await logAudit({
+    action: "MILESTONE_SUBMITTED",
+    actor: pmUser._id,
+    target: ms._id,
+    targetModel: "Milestone",
+    request: req._id,
+    room: req.chatRoom,
+    meta: { revision: ms.revision, ...auditMeta },
+  });
+
+  emitUpdated(req, ms);
+  return ms;
+};
+
+/* ========================================================================== */
+/*                             Client sign-off                                */
+/* ========================================================================== */
+
+/**
+ * Client approves or rejects a submitted milestone.
+ * Posts a client bubble, an inline notice for staff, and notifies the PM.
+ */
+export const clientDecideMilestone = async (
+  { milestoneId, decision, note = "", clientKey, user },
+  auditMeta = {}
+) => {
+  const approve = /^approve(d)?$/i.test(String(decision || ""));
+  const reject = /^reject(ed)?$/i.test(String(decision || ""));
+  if (!approve && !reject) throw new Error("decision must be approve or reject");
+
+  const found = await Milestone.findById(milestoneId);
+  if (!found) throw new Error("Milestone not found");
+  const req = await resolveClientRequest({ requestId: found.request, clientKey, user });
+
+  if (found.status !== "Submitted") throw new Error("Milestone is not awaiting sign-off");
+  if (reject && !String(note).trim()) throw new Error("Please tell us what needs changing");
+
+  // CAS on the submitted revision: a double-submitted approve/reject decides it once
+  const ms = await Milestone.findOneAndUpdate(
+    {
+      _id: found._id,
+      status: "Submitted",
+      // older documents may have no revision field at all
+      revision: found.revision ? found.revision : { $in: [0, null] },
+    },
+    {
+      $set: {
+        status: approve ? "Approved" : "Rejected",
+        decidedAt: new Date(),
+        decidedBy: user?._id || null,
+        decisionNote: String(note || "").trim(),
+      },
+    },
+    { new: true }
+  );
+  if (!ms) throw new Error("Milestone is not awaiting sign-off");
+
+  const roomId = req.chatRoom?.toString();
+  try {
+    if (roomId) {
+      await saveAndEmitSystemForClients({
+        roomId,
+        kind: approve ? "milestone_approved" : "milestone_rejected",
+        text: approve
+          ? `Thanks! Milestone “${ms.title}” is approved.`
+          : `Got it — we’ve sent your feedback on “${ms.title}” to your PM.`,
+        meta: { requestId: req._id, milestoneId: ms._id, revision: ms.revision },
+      });
+      emitSystem(roomId, {
+        type: approve ? "milestone_approved" : "milestone_rejected",
+        role: "Client",
+        milestone: { id: String(ms._id), title: ms.title, note: ms.decisionNote },
+      });
+    }
+  } catch {}
+
+  await logAudit({
+    action: approve ? "MILESTONE_APPROVED" : "MILESTONE_REJECTED",
+    actor: user?._id || null,
+    target: ms._id,
+    targetModel: "Milestone",
+    request: req._id,
+    room: req.chatRoom,
+    meta: { revision: ms.revision, note: ms.decisionNote, ...auditMeta },
+  });
+
+  try {
+    if (req.pmAssigned) {
+      await createAndEmit(req.pmAssigned, {
+        type: approve ? "MILESTONE_APPROVED" : "MILESTONE_REJECTED",
+        title: approve ? "Client approved a milestone" : "Client rejected a milestone",
+        body: approve
+          ? `“${ms.title}” on “${req.projectTitle || "Project"}” was approved`
+          : `“${ms.title}” on “${req.projectTitle || "Project"}” needs changes: ${ms.decisionNote}`,
+        link: links.chatRoom(req.chatRoom),
+        meta: {
+          requestId: req._id,
+          roomId: req.chatRoom,
+          milestoneId: ms._id,
+          refId: `${ms._id}:${ms.revision}`,
+        },
+      });
+    }
+  } catch {}
+
+  emitUpdated(req, ms);
+  return ms;
+};
+
+/* ========================================================================== */
+/*                                  Reads                                     */
+/* ========================================================================== */
+
+export const listMilestones = async (requestId) =>
+  Milestone.find({ request: requestId }).sort({ order: 1, createdAt: 1 }).lean();
+
+/** Staff read: assigned PM, any engineer on the request, or Admin/SuperAdmin. */
+export const listMilestonesForStaff = async (requestId, user) => {
+  const req = await ProjectRequest.findById(requestId).lean();
+  if (!req) throw new Error("Request not found");
+
+  const role = String(user?.role || "");
+  const uid = String(user?._id);
+  const allowed =
+    /admin/i.test(role) ||
+    String(req.pmAssigned) === uid ||
+    assignedEngineerIds(req).some((e) => String(e) === uid);
+  if (!allowed) throw new Error("Forbidden");
+
+  return listMilestones(req._id);
+};
+
+export const listMilestonesForClient = async ({ requestId, clientKey, user }) => {
+  const req = await resolveClientRequest({ requestId, clientKey, user });
+  const items = await listMilestones(req._id);
+  const pmIds = [...new Set(items.map((m) => String(m.createdBy)))];
+  const pms = await User.find({ _id: { $in: pmIds } }).select("firstName lastName").lean();
+  const names = new Map(pms.map((p) => [String(p._id), `${p.firstName || ""} ${p.lastName || ""}`.trim()]));
+  return items.map((m) => ({ ...m, createdByName: names.get(String(m.createdBy)) || "PM" }));
+};
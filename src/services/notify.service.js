@@ -2,6 +2,7 @@ import { Notification } from "../models/Notification.js";
 import { User } from "../models/User.js";
 import { getIO } from "../lib/io.js";
 import { emailNotifyUser } from "./email.service.js";
+import { isOutOfOffice } from "../utils/availability.js";
 
 export const links = {
   chat: () => "/chat",
@@ -12,15 +13,19 @@ export const links = {
 
 /**
  * Upsert a notification, emit over socket, and mirror as email.
- * Ensures a single (user,type,requestId,taskId) entry by unique index.
+ * Ensures a single (user,type,requestId,taskId,refId) entry by unique index.
+ * `meta.refId` identifies non-task subjects (e.g. a milestone sign-off round).
+ * While the recipient is out of office a copy goes to their delegate (one hop only).
+ * `{ email: false }` skips the email mirror (e.g. the recipient is online and saw it live).
  */
-export async function createAndEmit(userId, payload) {
+export async function createAndEmit(userId, payload, { email = true } = {}) {
   const filter = {
     user: userId,
     type: payload.type,
   };
   if (payload?.meta?.requestId) filter["meta.requestId"] = payload.meta.requestId;
   if (payload?.meta?.taskId)    filter["meta.taskId"]    = payload.meta.taskId;
+  if (payload?.meta?.refId)     filter["meta.refId"]     = payload.meta.refId;
 
   const update = {
     $setOnInsert: {
@@ -44,14 +49,33 @@ export async function createAndEmit(userId, payload) {
   try { getIO()?.to(`user:${userId.toString()}`).emit("notify:event", doc); } catch {}
 
   // Email mirror
+  let u = null;
   try {
-    const u = await User.findById(userId).lean();
-    if (u?.email && !/client/i.test(String(u.role || ""))) {
+    u = await User.findById(userId).lean();
+    if (email && u?.email && !/client/i.test(String(u.role || ""))) {
       const subject = payload.title || "Notification";
       await emailNotifyUser(u.email, subject, payload.body || "", payload.link || "");
     }
   } catch {}
 
+  // Out-of-office forward
+  try {
+    const delegate = u?.outOfOffice?.delegate;
+    if (delegate && !payload?.meta?.forwardedFrom && String(delegate) !== String(userId) && isOutOfOffice(u)) {
+      const name = [u.firstName, u.lastName].filter(Boolean).join(" ") || "a colleague";
+      await createAndEmit(delegate, {
+        ...payload,
+        title: `[Covering for ${name}] ${payload.title || "Notification"}`,
+        meta: {
+          ...(payload.meta || {}),
+          forwardedFrom: userId,
+          // keep the delegate's own notification of the same type/request separate
+          refId: `ooo:${userId}:${payload?.meta?.refId || ""}`,
+        },
+      });
+    }
+  } catch {}
+
   return doc;
 }
 
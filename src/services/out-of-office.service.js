@@ -0,0 +1,227 @@
+// src/services/out-of-office.service.js
+import { User } from "../models/User.js";
+import { ProjectRequest, assignedEngineerIds } from "../models/ProjectRequest.js";
+import { Message } from "../models/Message.js";
+import { Task } from "../models/Task.js";
+import { saveAndEmitSystemForClients } from "../lib/io.js";
+import { logAudit } from "./audit.service.js";
+import { createAndEmit, links } from "./notify.service.js";
+import { isOutOfOffice } from "../utils/availability.js";
+
+const STAFF_ROLES = ["SuperAdmin", "Admin", "PM", "Engineer"];
+const ACTIVE_STATUSES = ["Pending", "InProgress", "Review"];
+// one auto-reply per away member per room in this window, however chatty the client is
+const AUTO_REPLY_EVERY_MS = 12 * 60 * 60 * 1000;
+
+const nameOf = (u) => [u?.firstName, u?.lastName].filter(Boolean).join(" ") || "Team member";
+const day = (d) => new Date(d).toISOString().slice(0, 10);
+
+/* ========================================================================== */
+/*                                  Settings                                  */
+/* ========================================================================== */
+
+export const setOutOfOffice = async (userId, { from, until, delegateId, message = "" } = {}, actor, auditMeta = {}) => {
+  const user = await User.findOne({ _id: userId, role: { $in: STAFF_ROLES } });
+  if (!user) throw new Error("Staff member not found");
+
+  const start = from ? new Date(from) : null;
+  const end = new Date(until);
+  if (!until || isNaN(end)) throw new Error("until must be a date");
+  if (start && isNaN(start)) throw new Error("from must be a date");
+  if (end <= (start || new Date())) throw new Error("until must be after from (and in the future)");
+
+  let delegate = null;
+  if (delegateId) {
+    if (String(delegateId) === String(user._id)) throw new Error("You can't delegate to yourself");
+    delegate = await User.findOne({ _id: delegateId, role: { $in: STAFF_ROLES } })
+      .select("firstName lastName outOfOffice")
+      .lean();
+    if (!delegate) throw new Error("Delegate not found");
+    if (String(delegate.outOfOffice?.delegate || "") === String(user._id) && isOutOfOffice(delegate)) {
+      throw new Error("Delegate is away and delegating back to you");
+    }
+  }
+
+  user.outOfOffice = { from: start, until: end, delegate: delegate?._id || null, message: String(message || "").trim() };
+  await user.save();
+
+  await logAudit({
+    action: "USER_OOO_SET",
+    actor: actor._id,
+    target: user._id,
+    targetModel: "User",
+    meta: { from: start, until: end, delegate: delegate?._id || null, ...auditMeta },
+  });
+
+  if (delegate && String(delegate._id) !== String(actor._id)) {
+    try {
+      await createAndEmit(delegate._id, {
+        type: "OOO_DELEGATE",
+        title: "You're covering for a colleague",
+        body: `${nameOf(user)} is out of office until ${day(end)} and named you as their delegate.`,
+        link: links.chat(),
+        meta: { refId: `ooo:${user._id}:${end.getTime()}` },
+      });
+    } catch {}
+  }
+  return user.outOfOffice;
+};
+
+export const clearOutOfOffice = async (userId, actor, auditMeta = {}) => {
+  const user = await User.findOneAndUpdate(
+    { _id: userId, role: { $in: STAFF_ROLES } },
+    { $set: { outOfOffice: { from: null, until: null, delegate: null, message: "" } } },
+    { new: true }
+  ).lean();
+  if (!user) throw new Error("Staff member not found");
+
+  await logAudit({
+    action: "USER_OOO_CLEARED",
+    actor: actor._id,
+    target: user._id,
+    targetModel: "User",
+    meta: { ...auditMeta },
+  });
+  return user.outOfOffice;
+};
+
+/* ========================================================================== */
+/*                                 Auto-reply                                 */
+/* ========================================================================== */
+
+/**
+ * Called after a client message lands: for each away PM/engineer on the request,
+ * post a client bubble (throttled per room) and ping their delegate.
+ * Best effort — never throws into the send path.
+ */
+export async function autoReplyForAwayStaff(requestOrId) {
+  try {
+    const req =
+      typeof requestOrId === "object" && requestOrId?.chatRoom !== undefined
+        ? requestOrId
+        : await ProjectRequest.findById(requestOrId).lean();
+    if (!req?.chatRoom) return;
+
+    const ids = [req.pmAssigned, ...assignedEngineerIds(req)].filter(Boolean);
+    if (!ids.length) return;
+
+    const away = (
+      await User.find({ _id: { $in: ids }, "outOfOffice.until": { $gt: new Date() } })
+        .select("firstName lastName role outOfOffice")
+        .lean()
+    ).filter((u) => isOutOfOffice(u));
+
+    for (const u of away) {
+      const recent = await Message.exists({
+        room: req.chatRoom,
+        kind: "ooo_autoreply",
+        "meta.userId": u._id,
+        createdAt: { $gte: new Date(Date.now() - AUTO_REPLY_EVERY_MS) },
+      });
+      if (recent) continue;
+
+      const delegate = u.outOfOffice.delegate
+        ? await User.findById(u.outOfOffice.delegate).select("firstName lastName").lean()
+        : null;
+      const role = String(req.pmAssigned) === String(u._id) ? "project manager" : "engineer";
+
+      const text = [
+        `${u.firstName || nameOf(u)}, your ${role}, is out of office until ${day(u.outOfOffice.until)}.`,
+        u.outOfOffice.message || "",
+        delegate ? `${nameOf(delegate)} is covering and has been notified of your message.` : "",
+      ]
+        .filter(Boolean)
+        .join(" ");
+
+      await saveAndEmitSystemForClients({
+        roomId: String(req.chatRoom),
+        text,
+        kind: "ooo_autoreply",
+        meta: { userId: u._id, delegateId: delegate?._id || null, until: u.outOfOffice.until },
+      });
+
+      if (delegate) {
+        await createAndEmit(delegate._id, {
+          type: "OOO_CLIENT_MESSAGE",
+          title: `Client message for ${nameOf(u)}`,
+          body: `New client message on “${req.projectTitle || "Project"}” while ${nameOf(u)} is away.`,
+          link: links.chatRoom(req.chatRoom),
+          meta: { requestId: req._id, refId: `ooo-msg:${u._id}:${Date.now()}`, forwardedFrom: u._id },
+        });
+      }
+    }
+  } catch (e) {
+    console.warn("[ooo] auto-reply failed:", e?.message);
+  }
+}
+
+/* ========================================================================== */
+/*                               Coverage report                              */
+/* ========================================================================== */
+
+/**
+ * Staff away now or starting within `days`, with the active projects they hold.
+ * needsCoverage: they hold work and have no delegate, or the delegate is away too.
+ */
+export async function coverageReport({ days = 7 } = {}) {
+  const now = new Date();
+  const horizon = new Date(now.getTime() + Math.max(0, Number(days) || 0) * 86_400_000);
+
+  const staff = await User.find({
+    role: { $in: STAFF_ROLES },
+    "outOfOffice.until": { $gt: now },
+    $or: [{ "outOfOffice.from": null }, { "outOfOffice.from": { $lte: horizon } }],
+  })
+    .select("firstName lastName email role outOfOffice")
+    .lean();
+  if (!staff.length) return { generatedAt: now, days: Number(days) || 0, entries: [] };
+
+  const ids = staff.map((u) => u._id);
+  const delegateIds = staff.map((u) => u.outOfOffice.delegate).filter(Boolean);
+
+  const [requests, openTasks, delegates] = await Promise.all([
+    ProjectRequest.find({
+      status: { $in: ACTIVE_STATUSES },
+      $or: [{ pmAssigned: { $in: ids } }, { engineersAssigned: { $in: ids } }, { engineerAssigned: { $in: ids } }],
+    })
+      .select("projectTitle status pmAssigned engineerAssigned engineersAssigned chatRoom")
+      .lean(),
+    Task.aggregate([
+      { $match: { engineer: { $in: ids }, status: { $in: ["Pending", "InProgress"] } } },
+      { $group: { _id: { engineer: "$engineer", request: "$request" }, count: { $sum: 1 } } },
+    ]),
+    User.find({ _id: { $in: delegateIds } }).select("firstName lastName email role outOfOffice").lean(),
+  ]);
+
+  const taskCount = new Map(openTasks.map((t) => [`${t._id.engineer}:${t._id.request}`, t.count]));
+  const delegateMap = new Map(delegates.map((d) => [String(d._id), d]));
+
+  const entries = staff.map((u) => {
+    const uid = String(u._id);
+    const delegate = delegateMap.get(String(u.outOfOffice.delegate || "")) || null;
+    const projects = requests
+      .filter((r) => String(r.pmAssigned) === uid || assignedEngineerIds(r).some((e) => String(e) === uid))
+      .map((r) => ({
+        requestId: r._id,
+        title: r.projectTitle || "Untitled",
+        status: r.status,
+        roomId: r.chatRoom || null,
+        as: String(r.pmAssigned) === uid ? "PM" : "Engineer",
+        openTasks: taskCount.get(`${uid}:${r._id}`) || 0,
+      }));
+    const delegateAway = !!delegate && isOutOfOffice(delegate, new Date(Math.max(now, u.outOfOffice.from || now)));
+
+    return {
+      user: { _id: u._id, name: nameOf(u), email: u.email, role: u.role },
+      from: u.outOfOffice.from,
+      until: u.outOfOffice.until,
+      activeNow: isOutOfOffice(u, now),
+      delegate: delegate ? { _id: delegate._id, name: nameOf(delegate), role: delegate.role, away: delegateAway } : null,
+      projects,
+      needsCoverage: projects.length > 0 && (!delegate || delegateAway),
+    };
+  });
+
+  entries.sort((a, b) => Number(b.needsCoverage) - Number(a.needsCoverage) || new Date(a.until) - new Date(b.until));
+  return { generatedAt: now, days: Number(days) || 0, entries };
+}
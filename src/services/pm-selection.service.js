@@ -1,70 +1,66 @@
 import { User } from "../models/User.js";
+import {
+  getStrategy,
+  listStrategies,
+  resolveStrategy,
+  resolveStrategyName,
+} from "./assignment-strategy.service.js";
+import { availabilityOf, capacityFilter } from "../utils/availability.js";
+import { onlineFilter, getPresence } from "./presence.service.js";
 
-/**
- * A PM is considered "online & active" only if lastActive is within this window.
- * Keep it strict so only truly active users qualify.
- */
-export const ONLINE_WINDOW_MS = 10 * 1000; // 10 seconds
+// fields availabilityOf / capacityFilter need
+const AVAILABILITY_FIELDS = "role numberOfTask maxConcurrent timezone workingHours outOfOffice";
 
-export function onlineActiveFilter() {
-  return {
-    online: true,
-    lastActive: { $gte: new Date(Date.now() - ONLINE_WINDOW_MS) },
-  };
-}
+const claimUpdate = (now) => ({
+  $set: { isBusy: true, lastDateTaskAssign: now },
+  $inc: { numberOfTask: 1 },
+});
 
 /**
- * Ensure we never select a stale "online" PM.
- * This runs immediately before any selection attempt.
+ * Walk a ranked list and atomically claim the first PM that still matches `extra`
+ * and is under their capacity (their state may have changed since the candidate read).
  */
-async function pruneStaleOnlineFlags() {
-  const cutoff = new Date(Date.now() - ONLINE_WINDOW_MS);
-  try {
-    await User.updateMany(
-      { role: "PM", online: true, lastActive: { $lt: cutoff } },
-      { $set: { online: false } }
-    );
-  } catch {
-    // best effort; ignore failures
+async function claimFirst(ranked, extra, now) {
+  for (const { pm } of ranked) {
+    const claimed = await User.findOneAndUpdate(
+      { _id: pm._id, role: "PM", ...onlineFilter(), ...capacityFilter(pm), ...extra },
+      claimUpdate(now),
+      { new: true }
+    ).lean();
+    if (claimed) return claimed;
   }
+  return null;
 }
 
-// Make null lastDateTaskAssign sort first (Mongo does this by default asc)
-const sortByLoad = {
-  numberOfTask: 1,
-  lastDateTaskAssign: 1,
-  _id: 1,
-};
-
 /**
  * Select & claim an ONLINE PM (strict), preferring free first.
+ * PMs at their capacity or outside their working hours are skipped.
+ * Within each tier the order comes from the assignment strategy: `strategy` if given,
+ * else the policy for `source` (defaults to the request's intake source).
  */
-export const selectAndClaimOnlinePM = async () => {
+export const selectAndClaimOnlinePM = async ({ request = null, source, strategy } = {}) => {
   const now = new Date();
 
-  // harden against stale flags before picking
-  await pruneStaleOnlineFlags();
+  const online = await User.find({ role: "PM", ...onlineFilter() })
+    .select(`_id lastDateTaskAssign isBusy skills ${AVAILABILITY_FIELDS}`)
+    .lean();
+  const candidates = online.filter((pm) => availabilityOf(pm, now).available);
+  if (!candidates.length) return null;
+
+  const name = strategy || (await resolveStrategyName({ source: source ?? request?.intakeSource }));
+  const ranked = await getStrategy(name).rank(candidates, { request });
 
   // Prefer free PMs who are strictly online
-  let pm = await User.findOneAndUpdate(
-    { role: "PM", isBusy: false, ...onlineActiveFilter() },
-    { $set: { isBusy: true, lastDateTaskAssign: now }, $inc: { numberOfTask: 1 } },
-    { new: true, sort: sortByLoad }
-  ).lean();
+  const pm = await claimFirst(ranked.filter((r) => !r.pm.isBusy), { isBusy: false }, now);
   if (pm) return pm;
 
-  // Else pick strictly online (even if currently marked busy), least-loaded
-  pm = await User.findOneAndUpdate(
-    { role: "PM", ...onlineActiveFilter() },
-    { $set: { isBusy: true, lastDateTaskAssign: now }, $inc: { numberOfTask: 1 } },
-    { new: true, sort: sortByLoad }
-  ).lean();
-
-  return pm || null;
+  // Else pick strictly online (even if currently marked busy)
+  return claimFirst(ranked, {}, now);
 };
 
 /**
  * Try to claim one specific PM (usually because they just became active).
+ * Returns null when they are at capacity or outside their working hours.
  */
 export const tryClaimSpecificPM = async (
   pmId,
@@ -72,10 +68,10 @@ export const tryClaimSpecificPM = async (
 ) => {
   const now = new Date();
 
-  // harden against stale flags before picking
-  await pruneStaleOnlineFlags();
+  const me = await User.findOne({ _id: pmId, role: "PM" }).select(AVAILABILITY_FIELDS).lean();
+  if (!me || !availabilityOf(me, now).available) return null;
 
-  const base = { _id: pmId, role: "PM", ...onlineActiveFilter() };
+  const base = { _id: pmId, role: "PM", ...onlineFilter(), ...capacityFilter(me) };
 
   if (preferFree) {
     const freePick = await User.findOneAndUpdate(
@@ -97,3 +93,89 @@ export const tryClaimSpecificPM = async (
 
   return null;
 };
+
+/**
+ * Read-only rehearsal of selectAndClaimOnlinePM for the admin simulator.
+ * Same eligibility rules, strategy resolution and two-tier order, but nothing is
+ * claimed. Returns every PM either in `candidates` (ranked, with the
+ * strategy's reason) or in `excluded` (with why), plus who would be chosen.
+ */
+export const simulatePmSelection = async ({ request = null, source, strategy } = {}) => {
+  const now = new Date();
+
+  const pms = await User.find({ role: "PM" })
+    .select(`_id firstName lastName email lastDateTaskAssign isBusy skills ${AVAILABILITY_FIELDS}`)
+    .lean();
+  const presence = await getPresence(pms.map((pm) => pm._id), now.getTime());
+
+  const eligible = [];
+  const excluded = [];
+  for (const pm of pms) {
+    const reasons = [];
+    const p = presence.get(String(pm._id));
+    pm.presence = p;
+    if (p.state === "offline") reasons.push("offline");
+    else if (p.state !== "online") {
+      reasons.push(`${p.state} (last active ${p.lastActive ? new Date(p.lastActive).toISOString() : "never"})`);
+    }
+    const avail = availabilityOf(pm, now);
+    if (!avail.available) reasons.push(avail.reason);
+    if (reasons.length) excluded.push({ pm, reasons, nextAvailableAt: avail.nextAvailableAt });
+    else eligible.push(pm);
+  }
+
+  if (strategy && !listStrategies().some((s) => s.name === strategy)) throw new Error(`Unknown strategy: ${strategy}`);
+  const resolved = strategy
+    ? { name: strategy, from: "override" }
+    : await resolveStrategy({ source: source ?? request?.intakeSource });
+  const ranked = eligible.length ? await getStrategy(resolved.name).rank(eligible, { request }) : [];
+
+  const free = ranked.filter((r) => !r.pm.isBusy);
+  const order = [...free, ...ranked.filter((r) => r.pm.isBusy)];
+  const chosen = order[0]?.pm || null;
+
+  const brief = (pm) => ({
+    _id: pm._id,
+    name: [pm.firstName, pm.lastName].filter(Boolean).join(" "),
+    email: pm.email,
+    numberOfTask: pm.numberOfTask || 0,
+    isBusy: !!pm.isBusy,
+    presence: pm.presence?.state || "offline",
+    lastActive: pm.presence?.lastActive || null,
+  });
+
+  return {
+    simulatedAt: now,
+    strategy: resolved,
+    chosen: chosen ? brief(chosen) : null,
+    wouldStandby: !chosen,
+    candidates: order.map((r, i) => ({
+      rank: i + 1,
+      pm: brief(r.pm),
+      tier: r.pm.isBusy ? "busy" : "free",
+      score: r.score,
+      reason: r.pm.isBusy && free.length ? `${r.reason}; passed over: busy while a free PM is online` : r.reason,
+    })),
+    excluded: excluded.map((x) => ({ pm: brief(x.pm), reasons: x.reasons, nextAvailableAt: x.nextAvailableAt || null })),
+  };
+};
+
+/**
+ * When could a PM next take a new request? Used for the standby message.
+ *   { availableNow: true }                             someone is in hours with spare capacity
+ *   { availableNow: false, reason: "off_hours", eta }  earliest start of a PM who has capacity
+ *   { availableNow: false, reason: "at_capacity" }     everyone is full; no honest ETA
+ *   { availableNow: false, reason: "no_pms" }
+ * Online state is ignored on purpose: a PM inside their hours is expected to log in.
+ */
+export const estimatePmAvailability = async (now = new Date()) => {
+  const pms = await User.find({ role: "PM" }).select(AVAILABILITY_FIELDS).lean();
+  if (!pms.length) return { availableNow: false, reason: "no_pms", eta: null };
+
+  const states = pms.map((pm) => availabilityOf(pm, now));
+  if (states.some((s) => s.available)) return { availableNow: true, reason: null, eta: now };
+
+  const etas = states.map((s) => s.nextAvailableAt).filter(Boolean);
+  if (!etas.length) return { availableNow: false, reason: "at_capacity", eta: null };
+  return { availableNow: false, reason: "off_hours", eta: new Date(Math.min(...etas.map((d) => d.getTime()))) };
+};
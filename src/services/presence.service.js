@@ -0,0 +1,245 @@
+// src/services/presence.service.js
+import { User } from "../models/User.js";
+import { config } from "../config/env.js";
+import { createMemoryStore, createMongoStore } from "../lib/presence-store.js";
+import { isLeader } from "../lib/leader.js";
+
+/**
+ * Single source of truth for who is around. The socket layer reports connects,
+ * disconnects, activity and heartbeats; assignment composes onlineFilter() into its
+ * queries; dashboards read states. A connected user is, by time since last activity:
+ *   online   within onlineWindowMs — the only state auto-assignment picks
+ *   away     quieter than that
+ *   idle     quiet for idleAfterMs; signed out after forceLogoutIdleMs (policy permitting)
+ * and "offline" once their last connection is gone or no instance has vouched for it.
+ *
+ * Where it's kept is the store's business (lib/presence-store.js, PRESENCE_STORE).
+ */
+export const PRESENCE_STATES = ["online", "away", "idle", "offline"];
+
+const STORES = { memory: createMemoryStore, mongo: createMongoStore };
+if (!STORES[config.presence.store]) {
+  console.warn(`[presence] unknown store "${config.presence.store}", using mongo`);
+}
+const store = (STORES[config.presence.store] || createMongoStore)();
+
+// three missed heartbeats and a connection is presumed dead
+const STALE_AFTER_MS = config.presence.heartbeatMs * 3;
+// activity is written through at most this often per user (typing fires a lot)
+const ACTIVE_WRITE_GAP_MS = 1000;
+
+// users with sockets on this instance: userId → { role, sockets, lastActive, lastWrite, state }
+const local = new Map();
+const listeners = { change: new Set(), forceLogout: new Set() };
+let timer = null;
+let ticking = false;
+
+export const presenceStoreName = () => store.name;
+
+/** State of a store record ({ connected, lastActive, lastSeen }) at `now`. */
+export function stateOf(p, now = Date.now()) {
+  if (!p?.connected) return "offline";
+  if (!p.lastSeen || now - new Date(p.lastSeen).getTime() > STALE_AFTER_MS) return "offline";
+  const quiet = now - new Date(p.lastActive || 0).getTime();
+  if (quiet < config.presence.onlineWindowMs) return "online";
+  if (quiet < config.presence.idleAfterMs) return "away";
+  return "idle";
+}
+
+/* -------------------------------- events -------------------------------- */
+
+/** fn({ userId, role, state, prev, at }) on every state transition seen by this instance. */
+export const onPresenceChange = (fn) => {
+  listeners.change.add(fn);
+  return () => listeners.change.delete(fn);
+};
+
+/** fn({ userId, reason, socketIds }) when the policy signs a user out; the socket layer disconnects them. */
+export const onForceLogout = (fn) => {
+  listeners.forceLogout.add(fn);
+  return () => listeners.forceLogout.delete(fn);
+};
+
+function emit(kind, payload) {
+  for (const fn of listeners[kind]) {
+    try { fn(payload); } catch {}
+  }
+}
+
+function transition(userId, role, state, now) {
+  const entry = local.get(userId);
+  const prev = entry ? entry.state : "offline";
+  if (entry) entry.state = state;
+  if (prev !== state) emit("change", { userId, role: role || null, state, prev, at: new Date(now) });
+}
+
+/* ------------------------------ socket layer ------------------------------ */
+
+/** A socket for `userId` opened on this instance. Connecting counts as activity. */
+export async function connect(userId, socketId, role = null) {
+  if (!userId) return;
+  const id = String(userId);
+  const now = Date.now();
+  const entry = local.get(id) || { role, sockets: new Set(), lastActive: 0, lastWrite: 0, state: "offline" };
+  entry.role = role || entry.role;
+  entry.sockets.add(socketId);
+  entry.lastActive = entry.lastWrite = now;
+  local.set(id, entry);
+  await store.active(id, new Date(now)).catch(() => {});
+  transition(id, entry.role, "online", now);
+}
+
+/** A socket closed; the user goes offline with their last one. */
+export async function disconnect(userId, socketId) {
+  const id = String(userId || "");
+  const entry = local.get(id);
+  if (!entry) return;
+  entry.sockets.delete(socketId);
+  if (entry.sockets.size) return;
+
+  const now = Date.now();
+  transition(id, entry.role, "offline", now);
+  local.delete(id);
+  await store.offline(id, new Date(now)).catch(() => {});
+}
+
+/** User did something (message, typing, join, presence:active). Ignored for users not connected here. */
+export async function touch(userId) {
+  const id = String(userId || "");
+  const entry = local.get(id);
+  if (!entry) return;
+  const now = Date.now();
+  entry.lastActive = now;
+  transition(id, entry.role, "online", now);
+  if (now - entry.lastWrite < ACTIVE_WRITE_GAP_MS) return;
+  entry.lastWrite = now;
+  await store.active(id, new Date(now)).catch(() => {});
+}
+
+/** Explicit sign-out: drop the user everywhere without waiting for their sockets to close. */
+export async function markOffline(userId) {
+  const id = String(userId || "");
+  const now = Date.now();
+  const entry = local.get(id);
+  transition(id, entry?.role, "offline", now);
+  local.delete(id);
+  await store.offline(id, new Date(now)).catch(() => {});
+}
+
+/* --------------------------------- policy --------------------------------- */
+
+const forceLogoutApplies = (role) =>
+  config.presence.forceLogoutIdleMs > 0 &&
+  (!config.presence.forceLogoutRoles.length || config.presence.forceLogoutRoles.includes(role));
+
+/** Revoke the user's tokens and tell the socket layer to close their sockets. */
+export async function forceLogout(userId, reason = "idle_timeout") {
+  const id = String(userId);
+  const socketIds = [...(local.get(id)?.sockets || [])];
+  await User.updateOne({ _id: id }, { $inc: { tokenVersion: 1 } }).catch(() => {});
+  await markOffline(id);
+  emit("forceLogout", { userId: id, reason, socketIds });
+}
+
+/* ---------------------------------- tick ---------------------------------- */
+
+/**
+ * Every heartbeatMs: vouch for this instance's connections, re-evaluate their states
+ * (online → away → idle happen by time passing), apply the force-logout policy, and
+ * reap connections nobody vouched for. With a shared store the reap is cluster work
+ * and runs on the leader only.
+ */
+async function tick() {
+  const now = Date.now();
+  await store.seen([...local.keys()], new Date(now)).catch(() => {});
+
+  for (const [id, entry] of [...local]) {
+    const quiet = now - entry.lastActive;
+    if (forceLogoutApplies(entry.role) && quiet >= config.presence.forceLogoutIdleMs) {
+      await forceLogout(id, "idle_timeout");
+      continue;
+    }
+    transition(id, entry.role, stateOf({ connected: true, lastActive: entry.lastActive, lastSeen: now }, now), now);
+  }
+
+  if (store.shared && !isLeader()) return;
+  const gone = await store.reap(new Date(now - STALE_AFTER_MS)).catch(() => []);
+  for (const id of gone) {
+    if (!local.has(id)) emit("change", { userId: id, role: null, state: "offline", prev: "unknown", at: new Date(now) });
+  }
+}
+
+/** Start the heartbeat loop; also clears connections left over by a previous run. */
+export function startPresence() {
+  if (timer) return;
+  store.reap(new Date(Date.now() - STALE_AFTER_MS)).catch(() => {});
+  timer = setInterval(async () => {
+    if (ticking) return;
+    ticking = true;
+    try {
+      await tick();
+    } catch (e) {
+      console.warn("[presence] tick failed:", e?.message);
+    } finally {
+      ticking = false;
+    }
+  }, config.presence.heartbeatMs);
+}
+
+export function stopPresence() {
+  if (timer) clearInterval(timer);
+  timer = null;
+}
+
+/* --------------------------------- queries --------------------------------- */
+
+/** User query fragment for "online right now" (connected and recently active). */
+export const onlineFilter = (now = Date.now()) => store.onlineFilter(new Date(now - config.presence.onlineWindowMs));
+
+/** Map userId → { state, lastActive, lastSeen }. */
+export async function getPresence(userIds, now = Date.now()) {
+  const records = await store.get(userIds.map(String));
+  return new Map(
+    [...records].map(([id, p]) => [id, { state: stateOf(p, now), lastActive: p.lastActive || null, lastSeen: p.lastSeen || null }])
+  );
+}
+
+/** Adds `presence` to lean user docs and sets the legacy `online` flag from it. */
+export async function annotatePresence(users, now = Date.now()) {
+  if (!users.length) return users;
+  const map = await getPresence(users.map((u) => u._id), now);
+  return users.map((u) => {
+    const p = map.get(String(u._id)) || { state: "offline", lastActive: null, lastSeen: null };
+    return { ...u, online: p.state !== "offline", lastActive: p.lastActive, presence: p };
+  });
+}
+
+/** Ids of everyone connected (any state but offline). */
+export async function connectedUserIds(now = Date.now()) {
+  const rows = await store.connected();
+  return rows.filter((r) => stateOf(r, now) !== "offline").map((r) => r.userId);
+}
+
+/** Counts per role and state for dashboards: { PM: { online, away, idle, offline, total }, ... }. */
+export async function presenceSummary({ roles = ["PM", "Engineer", "Admin", "SuperAdmin", "Client"], now = Date.now() } = {}) {
+  const [rows, totals] = await Promise.all([
+    store.connected(),
+    User.aggregate([{ $match: { role: { $in: roles } } }, { $group: { _id: "$role", count: { $sum: 1 } } }]),
+  ]);
+  const connected = rows.filter((r) => stateOf(r, now) !== "offline");
+  const roleOf = new Map(
+    (await User.find({ _id: { $in: connected.map((r) => r.userId) }, role: { $in: roles } }).select("role").lean()).map(
+      (u) => [String(u._id), u.role]
+    )
+  );
+
+  const summary = Object.fromEntries(
+    roles.map((r) => [r, { online: 0, away: 0, idle: 0, offline: 0, total: totals.find((t) => t._id === r)?.count || 0 }])
+  );
+  for (const row of connected) {
+    const role = roleOf.get(row.userId);
+    if (role) summary[role][stateOf(row, now)] += 1;
+  }
+  for (const s of Object.values(summary)) s.offline = Math.max(0, s.total - s.online - s.away - s.idle);
+  return { store: store.name, generatedAt: new Date(now), roles: summary };
+}
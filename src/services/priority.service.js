@@ -0,0 +1,82 @@
+// src/services/priority.service.js
+import { ProjectRequest, PriorityLanes } from "../models/ProjectRequest.js";
+import { config } from "../config/env.js";
+import { logAudit } from "./audit.service.js";
+
+/**
+ * Standby priority lanes.
+ *
+ * Instead of sorting by lane and then age (which starves low lanes), every request
+ * gets `queueAt = createdAt − rank × agingMinutes`. The picker sorts by queueAt, so a
+ * request one lane up is treated as if it had arrived agingMinutes earlier: a "normal"
+ * request that has waited longer than that still beats a "high" one that just came in.
+ */
+export const PRIORITY_LANES = PriorityLanes;
+const LANE_RANK = { urgent: 2, high: 1, normal: 0, low: -1 };
+
+export const PRIORITY_REASONS = ["vip_client", "urgent_deadline", "returning_client", "admin"];
+
+export const laneRank = (lane) => LANE_RANK[lane] ?? 0;
+
+export const queueAtFor = (createdAt, lane) =>
+  new Date(new Date(createdAt || Date.now()).getTime() - laneRank(lane) * config.priority.agingMinutes * 60_000);
+
+const isVipEmail = (email) => {
+  const e = String(email || "").toLowerCase();
+  return config.priority.vipEmails.some((v) => (v.startsWith("@") ? e.endsWith(v) : e === v));
+};
+
+// completionDate is a free-form string from intake; only trust it when it parses
+const daysUntil = (dateStr, now) => {
+  const d = new Date(String(dateStr || ""));
+  return isNaN(d) ? null : (d.getTime() - now.getTime()) / 86_400_000;
+};
+
+/** Lane + reasons for a new request, from VIP list, deadline and client history. */
+export async function computeIntakePriority({ email, clientId, completionDate }, now = new Date()) {
+  const reasons = [];
+  let lane = "normal";
+  const raise = (to, reason) => {
+    reasons.push(reason);
+    if (laneRank(to) > laneRank(lane)) lane = to;
+  };
+
+  const days = daysUntil(completionDate, now);
+  if (days !== null && days <= config.priority.urgentDeadlineDays) raise("urgent", "urgent_deadline");
+  if (isVipEmail(email)) raise("high", "vip_client");
+
+  const returning = await ProjectRequest.exists({
+    status: "Complete",
+    $or: [{ email: String(email || "").toLowerCase() }, ...(clientId ? [{ clientId }] : [])],
+  });
+  if (returning) raise("high", "returning_client");
+
+  return { priority: lane, priorityReasons: reasons };
+}
+
+/** Admin override of a request's lane; re-slots it in the standby queue. */
+export async function setRequestPriority(requestId, lane, actor, { reason = "" } = {}, auditMeta = {}) {
+  if (!PRIORITY_LANES.includes(lane)) throw new Error(`priority must be one of: ${PRIORITY_LANES.join(", ")}`);
+
+  const req = await ProjectRequest.findById(requestId);
+  if (!req) throw new Error("Request not found");
+
+  const before = req.priority || "normal";
+  req.priority = lane;
+  req.priorityReasons = [...new Set([...(req.priorityReasons || []).filter((r) => r !== "admin"), "admin"])];
+  req.priorityNote = String(reason || "").trim();
+  req.priorityUpdatedBy = actor._id;
+  req.queueAt = queueAtFor(req.createdAt, lane);
+  await req.save();
+
+  await logAudit({
+    action: "REQUEST_PRIORITY_CHANGED",
+    actor: actor._id,
+    target: req._id,
+    targetModel: "ProjectRequest",
+    request: req._id,
+    room: req.chatRoom || null,
+    meta: { before, after: lane, reason: req.priorityNote, ...auditMeta },
+  });
+  return req;
+}
@@ -1,17 +1,26 @@
 // src/services/project.service.js
-import { ProjectRequest } from "../models/ProjectRequest.js";
+import { ProjectRequest, assignedEngineerIds } from "../models/ProjectRequest.js";
 import { ChatRoom } from "../models/ChatRoom.js";
 import { User } from "../models/User.js";
 import { Message } from "../models/Message.js";
+import { Task } from "../models/Task.js";
 import {
   selectAndClaimOnlinePM,
   tryClaimSpecificPM,
-  ONLINE_WINDOW_MS,
+  estimatePmAvailability,
 } from "./pm-selection.service.js";
+import { onlineFilter } from "./presence.service.js";
 import { generateClientKey } from "../utils/token.utils.js";
+import { adjustTaskCount } from "../utils/userStatus.js";
+import { normalizeTags } from "../utils/skillMatch.js";
+import { assertNotOutOfOffice } from "../utils/availability.js";
+import { standbyFilter, STANDBY_SORT, getQueuePosition, describePosition } from "./standby-queue.service.js";
+import { computeIntakePriority, queueAtFor } from "./priority.service.js";
 import { logAudit } from "./audit.service.js";
+import { assertTransition, assertNotFrozen, transitionRequest, recordCreated } from "./lifecycle.service.js";
 import crypto from "crypto";
 import { getIO } from "../lib/io.js";
+import { emitSystem } from "../lib/events.js";
 
 /* 🔔 notifications (socket + in-app) */
 import { createAndEmit, notifySuperAdmins, links } from "./notify.service.js";
@@ -32,87 +41,146 @@ import {
   emailPMsOnPmAssigned,
   emailSuperAdminsAssigned,
   emailClientPmAssigned,
+  emailClientProjectStatusChanged,
+  emailClientPmHandoff,
 } from "./email.service.js";
 
 /* -------------------------------- FOLLOW-UP SCHEDULER -------------------------------- */
 
-async function startStandbyFollowups(roomId, requestId) {
-  const io = getIO();
-  if (!io) return;
-
-  const send = async (text, kind) => {
-    try {
-      await saveAndEmitSystemForClients({ roomId, text, kind });
-    } catch {}
-  };
-
-  const intervals = [30_000, 40_000];
-  let tick = 0;
+const STANDBY_BUSY_TEXT =
+  "All our PMs are currently assisting other clients. You're in the right place — a PM will join this chat shortly. Thanks for your patience!";
 
-  const loop = async () => {
-    const req = await ProjectRequest.findById(requestId).select("pmAssigned").lean();
-    if (!req || req.pmAssigned) return;
+const formatEta = (eta, now = new Date()) => {
+  const hours = Math.round((eta - now) / 3_600_000);
+  const when = `${eta.toISOString().slice(0, 16).replace("T", " ")} UTC`;
+  return hours >= 1 ? `${when} (in about ${hours} hour${hours === 1 ? "" : "s"})` : when;
+};
 
-    const roomClients = io.sockets.adapter.rooms.get(`room:${roomId}:clients`);
-    const isActive = roomClients && roomClients.size > 0;
-    if (!isActive) {
-      setTimeout(loop, 15_000);
-      return;
-    }
+/**
+ * Client-facing standby copy. Only promises "shortly" when some PM is actually inside
+ * their working hours with spare capacity; otherwise says when, or that we can't say yet.
+ */
+async function standbyNotice(requestId) {
+  const est = await estimatePmAvailability();
+  if (est.availableNow) {
+    const entry = await getQueuePosition(requestId).catch(() => null);
+    return {
+      text: entry ? `${STANDBY_BUSY_TEXT} ${describePosition(entry)}` : STANDBY_BUSY_TEXT,
+      kind: "standby",
+      meta: { eta: entry?.etaAt || null, position: entry?.position || null },
+      followups: true,
+    };
+  }
 
-    tick++;
-    if (tick === 1) {
-      await send(
-        "We’re still connecting you to an available Project Manager. Thanks for holding on!",
-        "followup_30s"
-      );
-      setTimeout(loop, intervals[1]);
-    } else if (tick === 2) {
-      await send(
-        "Almost there — our team is finishing with other clients and will join shortly.",
-        "followup_40s"
-      );
-      setTimeout(loop, 60_000);
-    } else {
-      await send(
-        "Thanks for your patience. We’re still finding the best Project Manager to assist you.",
-        "followup_repeat"
-      );
-      setTimeout(loop, 60_000);
-    }
+  if (est.reason === "off_hours") {
+    return {
+      text:
+        `Our project managers are outside working hours right now. The next one starts at ${formatEta(est.eta)} ` +
+        "and will pick up your request then. You don't need to keep this page open — we'll email you as soon as a PM joins.",
+      kind: "standby_off_hours",
+      meta: { eta: est.eta },
+      followups: false,
+    };
+  }
+  return {
+    text:
+      "All our project managers are fully booked at the moment, so we can't give you an exact time yet. " +
+      "Your request is queued and we'll email you as soon as a PM joins this chat.",
+    kind: "standby_at_capacity",
+    meta: { eta: null },
+    followups: false,
   };
+}
 
-  setTimeout(loop, intervals[0]);
+/**
+ * Standby follow-ups are persisted on the request (standbyFollowup.{step,nextAt}) and
+ * sent by runStandbyFollowups on the scheduler leader, so they survive restarts and
+ * move with leadership instead of living in one process's setTimeout chain.
+ */
+const FOLLOWUP_STEPS = [
+  { kind: "followup_30s", text: "We’re still connecting you to an available Project Manager. Thanks for holding on!", nextMs: 40_000 },
+  { kind: "followup_40s", text: "Our team is finishing with other clients.", nextMs: 60_000 },
+  { kind: "followup_repeat", text: "Thanks for your patience. We’re still finding the best Project Manager to assist you.", nextMs: 60_000 },
+];
+const FOLLOWUP_FIRST_MS = 30_000;
+const FOLLOWUP_IDLE_RETRY_MS = 15_000; // client not in the room: check again later, don't advance
+
+async function startStandbyFollowups(_roomId, requestId) {
+  await ProjectRequest.updateOne(
+    { _id: requestId },
+    { $set: { standbyFollowup: { step: 0, nextAt: new Date(Date.now() + FOLLOWUP_FIRST_MS) } } }
+  );
 }
 
-/* ----------------------- helpers: workload & busy state ----------------------- */
+/** Send every due follow-up. Leader-only (see index.js); each step is claimed with a CAS. */
+export async function runStandbyFollowups({ limit = 100 } = {}) {
+  const io = getIO();
+  if (!io) return { sent: 0 };
+  const now = new Date();
 
-async function adjustTaskCount(userId, delta, { touchAssignDate = false } = {}) {
-  if (!userId) return null;
+  const due = await ProjectRequest.find({ ...standbyFilter(), "standbyFollowup.nextAt": { $lte: now } })
+    .select("chatRoom standbyFollowup")
+    .sort({ "standbyFollowup.nextAt": 1 })
+    .limit(limit)
+    .lean();
 
-  let doc = await User.findByIdAndUpdate(
-    userId,
-    { $inc: { numberOfTask: delta } },
-    { new: true }
-  );
+  let sent = 0;
+  for (const req of due) {
+    const roomId = String(req.chatRoom);
+    const { step = 0, nextAt } = req.standbyFollowup || {};
 
-  if (!doc) return null;
+    // cluster-wide with the shared adapter (lib/socket-adapter.js), not just the leader's sockets
+    const clients = await io.in(roomKey.clients(roomId)).fetchSockets().catch(() => []);
+    const active = clients.length > 0;
+    const def = FOLLOWUP_STEPS[Math.min(step, FOLLOWUP_STEPS.length - 1)];
 
-  if (doc.numberOfTask <= 0) {
-    doc.numberOfTask = 0;
-    doc.isBusy = false;
-  } else {
-    doc.isBusy = true;
-  }
+    const claimed = await ProjectRequest.updateOne(
+      { _id: req._id, "standbyFollowup.step": step, "standbyFollowup.nextAt": nextAt },
+      {
+        $set: {
+          standbyFollowup: active
+            ? { step: step + 1, nextAt: new Date(now.getTime() + def.nextMs) }
+            : { step, nextAt: new Date(now.getTime() + FOLLOWUP_IDLE_RETRY_MS) },
+        },
+      }
+    );
+    if (!claimed.modifiedCount || !active) continue;
 
-  if (touchAssignDate && delta > 0) {
-    doc.lastDateTaskAssign = new Date();
+    try {
+      const entry = await getQueuePosition(req._id);
+      await saveAndEmitSystemForClients({
+        roomId,
+        text: `${def.text} ${describePosition(entry)}`,
+        kind: def.kind,
+        meta: { position: entry?.position || null, eta: entry?.etaAt || null },
+      });
+      sent++;
+    } catch {}
   }
+  return { sent };
+}
+
+/* ----------------------- helpers: workload & busy state ----------------------- */
 
-  await doc.save();
-  return doc;
+/**
+ * Engineer workload slots held on a request: one per accepted task (see engineerAcceptTask).
+ * Engineers removed from the request already gave theirs back (see replaceEngineerOnRequest).
+ * Legacy requests with no Task documents at all fall back to the single engineerAssigned;
+ * an assigned but not yet accepted task holds no slot.
+ */
+async function engineerSlotsFor(req) {
+  const tasks = await Task.find({ request: req._id }).select("engineer status").lean();
+  if (!tasks.length) return req.engineerAssigned ? [req.engineerAssigned] : [];
+  const onRequest = new Set(assignedEngineerIds(req).map(String));
+  return tasks
+    .filter((t) => ["InProgress", "Complete"].includes(t.status))
+    .map((t) => t.engineer)
+    .filter((e) => onRequest.has(String(e)));
 }
 
+const isAssignedEngineer = (req, userId) =>
+  assignedEngineerIds(req).some((id) => String(id) === String(userId));
+
 /* ----------------------- helper: resolve client email (strong) ----------------------- */
 /**
  * Tries, in order:
@@ -153,11 +221,11 @@ async function resolveClientEmailStrong(reqLean) {
   return null;
 }
 
-/** CAS: claim this request for pmId only if pmAssigned is still empty. */
+/** CAS: claim this request for pmId only if it is still Pending and pmAssigned is empty. */
 async function safeSetPmAssigned(requestId, pmId) {
   const res = await ProjectRequest.updateOne(
-    { _id: requestId, $or: [{ pmAssigned: null }, { pmAssigned: { $exists: false } }] },
-    { $set: { pmAssigned: pmId, status: "Pending" } }
+    { _id: requestId, status: "Pending", $or: [{ pmAssigned: null }, { pmAssigned: { $exists: false } }] },
+    { $set: { pmAssigned: pmId, pmAssignedAt: new Date() }, $unset: { standbyFollowup: "" } }
   );
   return res.modifiedCount > 0;
 }
@@ -342,8 +410,13 @@ export const createProjectRequestAndAssignPM = async (payload, auditMeta = {}) =
     completionDate,
     clientKey: clientKeyOverride,
     clientId,
+    intakeSource,
+    customFields,
   } = payload;
 
+  const createdAt = new Date();
+  const { priority, priorityReasons } = await computeIntakePriority({ email, clientId, completionDate }, createdAt);
+
   const request = await ProjectRequest.create({
     firstName,
     lastName,
@@ -354,6 +427,12 @@ export const createProjectRequestAndAssignPM = async (payload, auditMeta = {}) =
     status: "Pending",
     clientKey: clientKeyOverride || generateClientKey(),
     clientId: clientId || null,
+    intakeSource: intakeSource || null,
+    customFields: Array.isArray(customFields) ? customFields : [],
+    priority,
+    priorityReasons,
+    queueAt: queueAtFor(createdAt, priority),
+    createdAt,
   });
 
   const roomTitle = `${projectTitle} - ${firstName} - ${request._id.toString().slice(-5)}`;
@@ -371,6 +450,7 @@ export const createProjectRequestAndAssignPM = async (payload, auditMeta = {}) =
 
   request.chatRoom = room._id;
   await request.save();
+  await recordCreated(request);
 
   (async () => {
     try {
@@ -389,7 +469,7 @@ export const createProjectRequestAndAssignPM = async (payload, auditMeta = {}) =
     }
   })();
 
-  let pm = await selectAndClaimOnlinePM();
+  let pm = await selectAndClaimOnlinePM({ request });
 
   if (pm) {
     const ok = await safeSetPmAssigned(request._id, pm._id);
@@ -404,13 +484,15 @@ export const createProjectRequestAndAssignPM = async (payload, auditMeta = {}) =
 
   if (!pm) {
     try {
+      const notice = await standbyNotice(request._id);
       await saveAndEmitSystemForClients({
         roomId: room._id.toString(),
-        text:
-          "All our PMs are currently assisting other clients. You're in the right place — a PM will join this chat shortly. Thanks for your patience!",
-        kind: "standby",
+        text: notice.text,
+        kind: notice.kind,
+        meta: notice.meta,
       });
-      startStandbyFollowups(room._id.toString(), request._id.toString());
+      // "almost there" follow-ups would be untrue when nobody can start soon
+      if (notice.followups) await startStandbyFollowups(room._id.toString(), request._id.toString());
     } catch {}
   }
 
@@ -440,17 +522,11 @@ export const createProjectRequestAndAssignPM = async (payload, auditMeta = {}) =
 /* -------------------- standby auto-assign on PM presence -------------------- */
 
 export const autoAssignFromStandby = async () => {
-  const pending = await ProjectRequest.findOne({
-    status: "Pending",
-    chatRoom: { $ne: null },
-    $or: [{ pmAssigned: null }, { pmAssigned: { $exists: false } }],
-  })
-    .sort({ createdAt: 1, _id: 1 })
-    .lean();
+  const pending = await ProjectRequest.findOne(standbyFilter()).sort(STANDBY_SORT).lean();
 
   if (!pending) return { assigned: false };
 
-  const pm = await selectAndClaimOnlinePM();
+  const pm = await selectAndClaimOnlinePM({ request: pending });
   if (!pm) return { assigned: false };
 
   const ok = await safeSetPmAssigned(pending._id, pm._id);
@@ -466,29 +542,18 @@ export const autoAssignFromStandby = async () => {
 };
 
 export const autoAssignFromStandbyForPM = async (pmId) => {
-  const pending = await ProjectRequest.findOne({
-    status: "Pending",
-    chatRoom: { $ne: null },
-    $or: [{ pmAssigned: null }, { pmAssigned: { $exists: false } }],
-  })
-    .sort({ createdAt: 1, _id: 1 })
-    .lean();
+  const pending = await ProjectRequest.findOne(standbyFilter()).sort(STANDBY_SORT).lean();
 
   if (!pending) return { assigned: false };
 
   let pm = await tryClaimSpecificPM(pmId, { preferFree: true, allowBusyFallback: false });
 
   if (!pm) {
-    const someoneFree = await User.exists({
-      role: "PM",
-      isBusy: false,
-      online: true,
-      lastActive: { $gte: new Date(Date.now() - ONLINE_WINDOW_MS) },
-    });
+    const someoneFree = await User.exists({ role: "PM", isBusy: false, ...onlineFilter() });
 
     if (someoneFree) return autoAssignFromStandby();
 
-    pm = await selectAndClaimOnlinePM();
+    pm = await selectAndClaimOnlinePM({ request: pending });
     if (!pm) return { assigned: false };
   }
 
@@ -512,8 +577,10 @@ export const setEngineerForRequest = async (requestId, engineerId, pmUser, audit
   const req = await ProjectRequest.findById(requestId);
   if (!req) throw new Error("Request not found");
   if (!req.pmAssigned?.equals(pmUser._id)) throw new Error("Only assigned PM can set engineer");
+  assertNotFrozen(req);
 
-  req.engineerAssigned = engineerId;
+  if (!req.engineerAssigned) req.engineerAssigned = engineerId;
+  req.engineersAssigned.addToSet(engineerId);
   await req.save();
 
   try {
@@ -590,10 +657,11 @@ export const setEngineerForRequest = async (requestId, engineerId, pmUser, audit
 export const engineerAcceptsTask = async (requestId, engineerUser, auditMeta = {}) => {
   const req = await ProjectRequest.findById(requestId);
   if (!req) throw new Error("Request not found");
-  if (!req.engineerAssigned?.equals(engineerUser._id)) throw new Error("Not your request");
+  if (!isAssignedEngineer(req, engineerUser._id)) throw new Error("Not your request");
+  assertNotFrozen(req);
 
-  if (req.__engineerAccepted) return req;
-  req.__engineerAccepted = true;
+  if (req.engineerAcceptedAt) return req;
+  req.engineerAcceptedAt = new Date();
   await req.save();
 
   try {
@@ -691,10 +759,16 @@ export const engineerAcceptsTask = async (requestId, engineerUser, auditMeta = {
 export const markRequestReview = async (requestId, engineerUser, auditMeta = {}) => {
   const req = await ProjectRequest.findById(requestId);
   if (!req) throw new Error("Request not found");
-  if (!req.engineerAssigned?.equals(engineerUser._id)) throw new Error("Not your request");
+  if (!isAssignedEngineer(req, engineerUser._id)) throw new Error("Not your request");
+  assertNotFrozen(req);
 
-  req.status = "Review";
-  await req.save();
+  const openTasks = await Task.countDocuments({ request: req._id, status: { $ne: "Complete" } });
+  if (openTasks > 0) throw new Error("All tasks must be complete before review");
+
+  await transitionRequest(req, "Review", {
+    actor: engineerUser._id,
+    reason: "Engineer marked the project ready for review",
+  });
 
   try {
     await saveAndEmitSystemForClients({
@@ -782,8 +856,8 @@ export const rateAndComplete = async (requestId, ratingPayload, auditMeta = {})
         meta: { requestId: req._id, roomId: req.chatRoom },
       });
     }
-    if (req.engineerAssigned) {
-      await createAndEmit(req.engineerAssigned, {
+    for (const engineerId of assignedEngineerIds(req)) {
+      await createAndEmit(engineerId, {
         type: "CLIENT_RATED",
         title: "Client submitted a rating",
         body: `Rating received for “${req.projectTitle || "Project"}”`,
@@ -811,23 +885,31 @@ export const closeRoomAndComplete = async (requestId, pmUser, auditMeta = {}) =>
   if (!req.ratings || !req.ratings.pm || !req.ratings.engineer) {
     throw new Error("Please ensure client ratings are submitted before closing.");
   }
+  assertTransition(req.status, "Complete");
+
+  // the CAS transition goes first: a second, concurrent close fails here (or finds the
+  // request already Complete) instead of releasing the workload slots twice
+  const completed = await transitionRequest(req, "Complete", { actor: pmUser._id, reason: "PM closed the room" });
+  if (!completed) return req;
 
   if (req.chatRoom) {
-    await (await ChatRoom.findById(req.chatRoom)).updateOne({
-      $set: {
-        isClosed: true,
-        reopenRequestedByClient: false,
-        reopenRequestedAt: null,
-        reopenRequestedBy: null,
-      },
-    });
+    await ChatRoom.updateOne(
+      { _id: req.chatRoom },
+      {
+        $set: {
+          isClosed: true,
+          reopenRequestedByClient: false,
+          reopenRequestedAt: null,
+          reopenRequestedBy: null,
+        },
+      }
+    );
   }
 
   if (req.pmAssigned) await adjustTaskCount(req.pmAssigned, -1);
-  if (req.engineerAssigned) await adjustTaskCount(req.engineerAssigned, -1);
-
-  req.status = "Complete";
-  await req.save();
+  for (const engineerId of await engineerSlotsFor(req)) {
+    await adjustTaskCount(engineerId, -1);
+  }
 
   try {
     getIO()?.to(req.chatRoom.toString()).emit("room:closed", {
@@ -880,6 +962,7 @@ export const clientRequestsReopen = async (roomId, authUser, auditMeta = {}) =>
   if (!isMember) throw new Error("Forbidden: not a member of this room");
 
   if (!room.isClosed) throw new Error("Room is not closed");
+  if (pr.status === "Cancelled") throw new Error("Project was cancelled");
 
   if (!room.reopenRequestedByClient) {
     room.reopenRequestedByClient = true;
@@ -932,19 +1015,22 @@ export const reopenRoomAndResume = async (requestId, pmUser, auditMeta = {}) =>
   const room = req.chatRoom ? await ChatRoom.findById(req.chatRoom) : null;
   if (!room) throw new Error("Room not found");
   if (!room.isClosed) return req;
+  assertNotFrozen(req);
+  assertTransition(req.status, "InProgress");
+
+  // as in closeRoomAndComplete: only the reopen that wins the CAS takes the workload slots back
+  const resumed = await transitionRequest(req, "InProgress", { actor: pmUser._id, reason: "PM reopened the room" });
+  if (!resumed) return req;
 
   await room.updateOne({ $set: { isClosed: false, reopenRequestedByClient: false } });
 
   if (req.pmAssigned) {
     await adjustTaskCount(req.pmAssigned, +1, { touchAssignDate: true });
   }
-  if (req.engineerAssigned) {
-    await adjustTaskCount(req.engineerAssigned, +1, { touchAssignDate: true });
+  for (const engineerId of await engineerSlotsFor(req)) {
+    await adjustTaskCount(engineerId, +1, { touchAssignDate: true });
   }
 
-  req.status = "InProgress";
-  await req.save();
-
   try {
     getIO()?.to(req.chatRoom.toString()).emit("room:reopened", {
       roomId: req.chatRoom.toString(),
@@ -974,3 +1060,379 @@ export const reopenRoomAndResume = async (requestId, pmUser, auditMeta = {}) =>
 
   return req;
 };
+
+/* ========================================================================== */
+/*                      Hold / resume / cancel (releases workload)             */
+/* ========================================================================== */
+
+/** Assigned PM, or Admin/SuperAdmin for requests nobody picked up. */
+export const canManageRequest = (req, user) =>
+  /admin/i.test(String(user?.role || "")) || !!req.pmAssigned?.equals(user?._id);
+
+/** Slots taken at PM claim and engineer accept; OnHold/Cancelled/Complete hold none. */
+async function releaseWorkload(req) {
+  if (req.pmAssigned) await adjustTaskCount(req.pmAssigned, -1);
+  for (const engineerId of await engineerSlotsFor(req)) {
+    await adjustTaskCount(engineerId, -1);
+  }
+}
+
+async function restoreWorkload(req) {
+  if (req.pmAssigned) await adjustTaskCount(req.pmAssigned, +1, { touchAssignDate: true });
+  for (const engineerId of await engineerSlotsFor(req)) {
+    await adjustTaskCount(engineerId, +1, { touchAssignDate: true });
+  }
+}
+
+async function setRoomClosed(req, isClosed) {
+  if (!req.chatRoom) return;
+  await ChatRoom.updateOne(
+    { _id: req.chatRoom },
+    {
+      $set: {
+        isClosed,
+        reopenRequestedByClient: false,
+        reopenRequestedAt: null,
+        reopenRequestedBy: null,
+      },
+    }
+  );
+  try {
+    getIO()?.to(req.chatRoom.toString()).emit(isClosed ? "room:closed" : "room:reopened", {
+      roomId: req.chatRoom.toString(),
+      status: req.status,
+      at: new Date().toISOString(),
+    });
+  } catch {}
+}
+
+const STATUS_CHANGE = {
+  OnHold:    { kind: "project_on_hold",   type: "PROJECT_ON_HOLD",   title: "Project on hold",   bubble: (t) => `Work on “${t}” is paused for now.` },
+  Resumed:   { kind: "project_resumed",   type: "PROJECT_RESUMED",   title: "Project resumed",   bubble: (t) => `Work on “${t}” has resumed.` },
+  Cancelled: { kind: "project_cancelled", type: "PROJECT_CANCELLED", title: "Project cancelled", bubble: (t) => `“${t}” has been cancelled.` },
+};
+
+/** Client bubble + staff inline notice + client email + staff notifications. */
+async function announceStatusChange(req, change, reason, refId) {
+  const c = STATUS_CHANGE[change];
+  const text = c.bubble(req.projectTitle || "your project") + (reason ? ` Reason: ${reason}` : "");
+
+  if (req.chatRoom) {
+    try {
+      await saveAndEmitSystemForClients({
+        roomId: req.chatRoom.toString(),
+        kind: c.kind,
+        text,
+        meta: { requestId: req._id, status: req.status },
+      });
+      emitSystem(req.chatRoom, { type: c.kind, status: req.status, reason });
+    } catch {}
+  }
+
+  (async () => {
+    try {
+      const reqLean = await ProjectRequest.findById(req._id)
+        .select("email clientId chatRoom firstName lastName projectTitle")
+        .lean();
+      const clientEmail = await resolveClientEmailStrong(reqLean);
+      if (clientEmail) {
+        await emailClientProjectStatusChanged({ ...reqLean, email: clientEmail }, change, reason);
+      } else {
+        console.warn(`[mail] ${c.type} SKIPPED — no client email found`, { requestId: String(req._id) });
+      }
+    } catch (e) {
+      console.warn(`[mail] ${c.type} email failed:`, e?.message);
+    }
+  })();
+
+  // staff on the project hear about it even when someone else made the call
+  for (const uid of [req.pmAssigned, ...assignedEngineerIds(req)].filter(Boolean)) {
+    try {
+      await createAndEmit(uid, {
+        type: c.type,
+        title: c.title,
+        body: `“${req.projectTitle || "Project"}”${reason ? ` — ${reason}` : ""}`,
+        link: links.chatRoom(req.chatRoom),
+        meta: { requestId: req._id, roomId: req.chatRoom, refId },
+      });
+    } catch {}
+  }
+}
+
+/** Pause a Pending/InProgress/Review project: freeze the room and free everyone's slot. */
+export const putRequestOnHold = async (requestId, user, { reason = "" } = {}, auditMeta = {}) => {
+  const req = await ProjectRequest.findById(requestId);
+  if (!req) throw new Error("Request not found");
+  if (!canManageRequest(req, user)) throw new Error("Only assigned PM or an admin can put a project on hold");
+  if (!String(reason).trim()) throw new Error("A reason is required");
+  if (req.status === "OnHold") return req;
+  assertTransition(req.status, "OnHold");
+
+  const from = req.status;
+  const moved = await transitionRequest(req, "OnHold", { actor: user._id, reason });
+  if (!moved) return req;
+
+  req.statusBeforeHold = from;
+  await req.save();
+
+  await releaseWorkload(req);
+  await setRoomClosed(req, true);
+
+  await logAudit({
+    action: "REQUEST_ON_HOLD",
+    actor: user._id,
+    target: req._id,
+    targetModel: "ProjectRequest",
+    request: req._id,
+    room: req.chatRoom,
+    meta: { from, reason, ...auditMeta },
+  });
+
+  await announceStatusChange(req, "OnHold", reason, `hold:${Date.now()}`);
+  return req;
+};
+
+/** Resume an on-hold project to where it was paused; Pending requests re-enter standby. */
+export const resumeRequest = async (requestId, user, { reason = "" } = {}, auditMeta = {}) => {
+  const req = await ProjectRequest.findById(requestId);
+  if (!req) throw new Error("Request not found");
+  if (!canManageRequest(req, user)) throw new Error("Only assigned PM or an admin can resume a project");
+  if (req.status !== "OnHold") throw new Error("Project is not on hold");
+
+  const to = req.statusBeforeHold || (req.pmAssigned ? "InProgress" : "Pending");
+  assertTransition(req.status, to);
+
+  const moved = await transitionRequest(req, to, { actor: user._id, reason });
+  if (!moved) return req;
+
+  req.statusBeforeHold = null;
+  await req.save();
+
+  await restoreWorkload(req);
+  await setRoomClosed(req, false);
+
+  await logAudit({
+    action: "REQUEST_RESUMED",
+    actor: user._id,
+    target: req._id,
+    targetModel: "ProjectRequest",
+    request: req._id,
+    room: req.chatRoom,
+    meta: { to, reason, ...auditMeta },
+  });
+
+  await announceStatusChange(req, "Resumed", reason, `resume:${Date.now()}`);
+
+  if (to === "Pending" && !req.pmAssigned) {
+    try { await autoAssignFromStandby(); } catch {}
+  }
+  return req;
+};
+
+/** Cancel for good: close the room and free slots (already free when cancelled from OnHold). */
+export const cancelRequest = async (requestId, user, { reason = "" } = {}, auditMeta = {}) => {
+  const req = await ProjectRequest.findById(requestId);
+  if (!req) throw new Error("Request not found");
+  if (!canManageRequest(req, user)) throw new Error("Only assigned PM or an admin can cancel a project");
+  if (!String(reason).trim()) throw new Error("A reason is required");
+  if (req.status === "Cancelled") return req;
+  assertTransition(req.status, "Cancelled");
+
+  const from = req.status;
+  const moved = await transitionRequest(req, "Cancelled", { actor: user._id, reason });
+  if (!moved) return req;
+
+  if (from !== "OnHold") await releaseWorkload(req);
+  req.statusBeforeHold = null;
+  await req.save();
+  await setRoomClosed(req, true);
+
+  await logAudit({
+    action: "REQUEST_CANCELLED",
+    actor: user._id,
+    target: req._id,
+    targetModel: "ProjectRequest",
+    request: req._id,
+    room: req.chatRoom,
+    meta: { from, reason, ...auditMeta },
+  });
+
+  await announceStatusChange(req, "Cancelled", reason, "cancel");
+
+  try {
+    await notifySuperAdmins({
+      type: "PROJECT_CANCELLED",
+      title: "Project cancelled",
+      body: `“${req.projectTitle || "Project"}” was cancelled: ${reason}`,
+      link: links.adminProject(req._id),
+      meta: { requestId: req._id },
+    });
+  } catch {}
+
+  return req;
+};
+
+/* ========================================================================== */
+/*                                PM handoff                                  */
+/* ========================================================================== */
+
+/**
+ * Move a request from its current PM to another PM.
+ * Callable by the current PM or an admin. The pmAssigned swap is a CAS on the
+ * old PM so two concurrent handoffs can't both win.
+ */
+export const handoffRequestToPm = async (requestId, toPmId, actor, { reason = "" } = {}, auditMeta = {}) => {
+  const req = await ProjectRequest.findById(requestId);
+  if (!req) throw new Error("Request not found");
+  if (!req.pmAssigned) throw new Error("Request has no PM yet");
+  if (!canManageRequest(req, actor)) throw new Error("Only assigned PM or an admin can hand off a project");
+  if (["Complete", "Cancelled"].includes(req.status)) {
+    throw new Error(`Cannot hand off a ${req.status} project`);
+  }
+
+  const toPm = await User.findById(toPmId).lean();
+  if (!toPm || toPm.role !== "PM") throw new Error("Target PM not found");
+  assertNotOutOfOffice(toPm);
+  if (req.pmAssigned.equals(toPm._id)) throw new Error("Project is already assigned to this PM");
+
+  const fromPmId = req.pmAssigned;
+  const res = await ProjectRequest.updateOne(
+    { _id: req._id, pmAssigned: fromPmId },
+    { $set: { pmAssigned: toPm._id } }
+  );
+  if (!res.modifiedCount) throw new Error("Project was reassigned concurrently; refresh and retry");
+  req.pmAssigned = toPm._id;
+
+  // OnHold requests hold no slots (see releaseWorkload)
+  if (req.status !== "OnHold") {
+    await adjustTaskCount(fromPmId, -1);
+    await adjustTaskCount(toPm._id, +1, { touchAssignDate: true });
+  }
+
+  // open tasks follow the project so they show up in the new PM's queues
+  await Task.updateMany(
+    { request: req._id, pm: fromPmId, status: { $ne: "Complete" } },
+    { $set: { pm: toPm._id } }
+  );
+
+  const roomId = req.chatRoom ? req.chatRoom.toString() : null;
+  if (roomId) {
+    await ChatRoom.updateOne({ _id: roomId }, { $pull: { members: fromPmId } });
+    await ChatRoom.updateOne({ _id: roomId }, { $addToSet: { members: toPm._id }, $set: { pm: toPm._id } });
+  }
+
+  const fromPm = await User.findById(fromPmId).select("firstName lastName").lean();
+  const nameOf = (u) => [u?.firstName, u?.lastName].filter(Boolean).join(" ");
+  const toName = nameOf(toPm) || "PM";
+  const fromName = nameOf(fromPm) || "";
+
+  await logAudit({
+    action: "PM_HANDOFF",
+    actor: actor._id,
+    target: req._id,
+    targetModel: "ProjectRequest",
+    request: req._id,
+    room: req.chatRoom,
+    meta: { from: fromPmId, to: toPm._id, reason, ...auditMeta },
+  });
+
+  try {
+    const io = getIO();
+    if (roomId) {
+      // old PM's live sockets stop receiving this room
+      io?.in(`user:${String(fromPmId)}`).socketsLeave([roomKey.all(roomId), roomKey.pms(roomId), roomKey.staff(roomId)]);
+
+      await saveAndEmitSystemForClients({
+        roomId,
+        kind: "pm_handoff",
+        text: `${toName} is now your PM${fromName ? `, taking over from ${fromName}` : ""}. Your chat history and files stay right here.`,
+        meta: { requestId: req._id, from: fromPmId, to: toPm._id },
+      });
+      emitSystem(roomId, {
+        type: "pm_handoff",
+        role: "PM",
+        from: { id: String(fromPmId), name: fromName },
+        to: { id: String(toPm._id), firstName: toPm.firstName || "", lastName: toPm.lastName || "" },
+        reason,
+      });
+      io?.to(roomId).emit("room:pm_assigned", {
+        roomId,
+        requestId: String(req._id),
+        pm: { id: String(toPm._id), firstName: toPm.firstName || "", lastName: toPm.lastName || "", email: toPm.email || "" },
+        at: new Date().toISOString(),
+      });
+    }
+
+    io?.to(`user:${String(toPm._id)}`).emit("pm:request_assigned", {
+      requestId: String(req._id),
+      clientName: `${req.firstName} ${req.lastName}`.trim(),
+      projectTitle: req.projectTitle,
+      roomId,
+    });
+    io?.to(`user:${String(fromPmId)}`).emit("pm:request_unassigned", { requestId: String(req._id), roomId });
+
+    const handoffRef = `handoff:${String(fromPmId)}:${String(toPm._id)}:${Date.now()}`;
+    await createAndEmit(toPm._id, {
+      type: "PM_HANDOFF_IN",
+      title: "Project handed to you",
+      body: `“${req.projectTitle || "Project"}”${fromName ? ` from ${fromName}` : ""}${reason ? ` — ${reason}` : ""}`,
+      link: links.chatRoom(req.chatRoom),
+      meta: { requestId: req._id, roomId: req.chatRoom, refId: handoffRef },
+    });
+    if (!fromPmId.equals(actor._id)) {
+      await createAndEmit(fromPmId, {
+        type: "PM_HANDOFF_OUT",
+        title: "Project reassigned",
+        body: `“${req.projectTitle || "Project"}” was moved to ${toName}${reason ? ` — ${reason}` : ""}`,
+        link: links.adminProject(req._id),
+        meta: { requestId: req._id, refId: handoffRef },
+      });
+    }
+  } catch {}
+
+  // ✉️ Client email (same style as PM assigned)
+  (async () => {
+    try {
+      const reqLean = await ProjectRequest.findById(req._id)
+        .select("email clientId chatRoom firstName lastName projectTitle pmAssigned engineerAssigned")
+        .lean();
+      const clientEmail = await resolveClientEmailStrong(reqLean);
+      if (clientEmail) {
+        await emailClientPmHandoff({ ...reqLean, email: clientEmail }, toName, fromName);
+      } else {
+        console.warn("[mail] PMHandoff SKIPPED — no client email found", { requestId: String(req._id) });
+      }
+    } catch (e) {
+      console.error("[mail] PMHandoff email error:", e?.message);
+    }
+  })();
+
+  return req;
+};
+
+/* ========================================================================== */
+/*                                   Tags                                      */
+/* ========================================================================== */
+
+/** Replace a request's tags (fed into engineer skill matching). */
+export const setRequestTags = async (requestId, tags, user, auditMeta = {}) => {
+  const req = await ProjectRequest.findById(requestId);
+  if (!req) throw new Error("Request not found");
+  if (!canManageRequest(req, user)) throw new Error("Only assigned PM or an admin can tag a project");
+
+  const next = normalizeTags(tags);
+  const before = [...(req.tags || [])];
+  req.tags = next;
+  await req.save();
+
+  await logAudit({
+    action: "REQUEST_TAGS_UPDATED",
+    actor: user._id,
+    target: req._id,
+    targetModel: "ProjectRequest",
+    request: req._id,
+    room: req.chatRoom || null,
+    meta: { before, after: next, ...auditMeta },
+  });
+  return req;
+};
@@ -0,0 +1,110 @@
+// src/services/read-receipt.service.js
+import mongoose from "mongoose";
+import { Message } from "../models/Message.js";
+import { RoomRead } from "../models/RoomRead.js";
+import { User } from "../models/User.js";
+import { getIO } from "../lib/io.js";
+
+/**
+ * Read receipts. Each member has one cursor per room (RoomRead): the _id of the last
+ * message they've read. Cursors only move forward ($max), so a late or out-of-order
+ * markRead never un-reads anything.
+ *
+ * Nothing here scans a room's history: unread counts walk the {room, _id} index from
+ * the cursor and stop at UNREAD_CAP, and seen-by is a range on {room, lastReadMessage}.
+ * Sending a message moves the sender's cursor past it, so their own messages are
+ * never in the unread range.
+ */
+export const UNREAD_CAP = 99;
+
+// what getMessages shows staff: no client-only bubbles, no system messages
+const staffVisibleFilter = () => ({ visibleTo: { $ne: "Client" }, senderType: { $ne: "System" } });
+
+const nameOf = (u) => [u?.firstName, u?.lastName].filter(Boolean).join(" ") || u?.email || "User";
+
+/** Move `userId`'s cursor in `roomId` up to `messageId` (never back). Returns { advanced, cursor }. */
+export async function advanceReadCursor(roomId, userId, messageId, at = new Date()) {
+  const upsert = () =>
+    RoomRead.findOneAndUpdate(
+      { room: roomId, user: userId },
+      { $max: { lastReadMessage: new mongoose.Types.ObjectId(String(messageId)), lastReadAt: at } },
+      { upsert: true, new: false }
+    ).lean();
+  // two first reads racing on the unique index: the loser retries as an update
+  const before = await upsert().catch((e) => (e?.code === 11000 ? upsert() : Promise.reject(e)));
+  const advanced = !before || String(before.lastReadMessage) < String(messageId);
+  return { advanced, cursor: { roomId: String(roomId), userId: String(userId), messageId: String(messageId), at } };
+}
+
+/**
+ * Mark a room read up to `messageId`, or up to its latest message when omitted.
+ * `client` limits that to what a client can see. Broadcasts "room:read" to the room
+ * (seen-by ticks) and to the reader's other sessions (list badges) when the cursor moved.
+ */
+export async function markRead(roomId, userId, { messageId = null, client = false } = {}) {
+  if (messageId && !mongoose.isValidObjectId(messageId)) throw new Error("messageId must be a message id");
+
+  const query = Message.findOne(messageId ? { _id: messageId, room: roomId } : { room: roomId });
+  if (client) query.forClient();
+  const last = await query.sort({ _id: -1 }).select("_id").lean();
+  if (!last) {
+    if (messageId) throw new Error("Message not found");
+    return { advanced: false, cursor: null };
+  }
+
+  const result = await advanceReadCursor(roomId, userId, last._id);
+  if (result.advanced) {
+    try {
+      getIO()?.to(String(roomId)).to(`user:${userId}`).emit("room:read", result.cursor);
+    } catch {}
+  }
+  return result;
+}
+
+/**
+ * Map roomId → { unread, unreadCapped } for one reader. At most UNREAD_CAP messages
+ * are counted per room; unreadCapped says there are more ("99+").
+ */
+export async function unreadCounts(roomIds, userId, { client = false } = {}) {
+  const ids = roomIds.filter(Boolean).map(String);
+  if (!ids.length) return new Map();
+
+  const cursors = await RoomRead.find({ user: userId, room: { $in: ids } }).select("room lastReadMessage").lean();
+  const cursorOf = new Map(cursors.map((c) => [String(c.room), c.lastReadMessage]));
+
+  const counts = await Promise.all(
+    ids.map(async (roomId) => {
+      const q = { room: roomId, sender: { $ne: userId }, deletedAt: null };
+      const cursor = cursorOf.get(roomId);
+      if (cursor) q._id = { $gt: cursor };
+      const query = Message.countDocuments(q).limit(UNREAD_CAP + 1);
+      if (client) query.forClient();
+      else query.where(staffVisibleFilter());
+      const n = await query;
+      return [roomId, { unread: Math.min(n, UNREAD_CAP), unreadCapped: n > UNREAD_CAP }];
+    })
+  );
+  return new Map(counts);
+}
+
+/** Members (other than the sender) whose cursor is at or past the message. */
+export async function seenBy(message) {
+  const reads = await RoomRead.find({
+    room: message.room,
+    lastReadMessage: { $gte: message._id },
+    ...(message.sender ? { user: { $ne: message.sender } } : {}),
+  })
+    .select("user lastReadAt")
+    .lean();
+  if (!reads.length) return [];
+
+  const users = await User.find({ _id: { $in: reads.map((r) => r.user) } }).select("firstName lastName email role").lean();
+  const byId = new Map(users.map((u) => [String(u._id), u]));
+  return reads
+    .filter((r) => byId.has(String(r.user)))
+    .map((r) => {
+      const u = byId.get(String(r.user));
+      return { userId: r.user, name: nameOf(u), role: u.role, lastReadAt: r.lastReadAt };
+    })
+    .sort((a, b) => new Date(a.lastReadAt) - new Date(b.lastReadAt));
+}
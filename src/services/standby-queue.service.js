@@ -0,0 +1,213 @@
+// src/services/standby-queue.service.js
+import { ProjectRequest } from "../models/ProjectRequest.js";
+import { config } from "../config/env.js";
+import { getIO, roomKey } from "../lib/io.js";
+import { estimatePmAvailability } from "./pm-selection.service.js";
+
+/**
+ * The standby queue: Pending requests with a room and no PM, in priority-lane order
+ * with aging (queueAt, see priority.service.js; backfilled from createdAt at boot).
+ * autoAssignFromStandby takes the head of this same query, so positions shown to
+ * clients are the order they will actually be picked in.
+ */
+export const standbyFilter = () => ({
+  status: "Pending",
+  chatRoom: { $ne: null },
+  $or: [{ pmAssigned: null }, { pmAssigned: { $exists: false } }],
+});
+
+export const STANDBY_SORT = { queueAt: 1, createdAt: 1, _id: 1 };
+
+/* ------------------------------ throughput ------------------------------ */
+
+let throughputCache = { at: 0, value: null };
+
+/**
+ * Assignments per minute over the recent window, falling back to the last 7 days
+ * when the window is quiet. Cached for a minute — it changes slowly and the queue
+ * broadcast runs on every scheduler tick.
+ */
+export async function assignmentThroughput(now = new Date()) {
+  if (throughputCache.value && now - throughputCache.at < 60_000) return throughputCache.value;
+
+  const windowMin = Math.max(1, config.standby.throughputWindowMin);
+  const countSince = (minutes) =>
+    ProjectRequest.countDocuments({ pmAssignedAt: { $gte: new Date(now.getTime() - minutes * 60_000) } });
+
+  let count = await countSince(windowMin);
+  let minutes = windowMin;
+  if (!count) {
+    minutes = 7 * 24 * 60;
+    count = await countSince(minutes);
+  }
+
+  const value = { perMinute: count / minutes, assignments: count, windowMin: minutes };
+  throughputCache = { at: now.getTime(), value };
+  return value;
+}
+
+/* ---------------------------------- queue ---------------------------------- */
+
+const ENTRY_FIELDS = "projectTitle firstName lastName email chatRoom createdAt intakeSource priority priorityReasons queueAt";
+
+/**
+ * ETA = when a PM can start taking work (now, or the next working-hours start)
+ *       + position / recent assignments-per-minute. null when we can't honestly say.
+ */
+function etaFor(position, { now, throughput, availability }) {
+  const start = availability.availableNow ? now : availability.eta;
+  if (start && throughput.perMinute > 0) {
+    return new Date(start.getTime() + Math.ceil(position / throughput.perMinute) * 60_000);
+  }
+  if (start && !availability.availableNow && position === 1) {
+    return start; // off hours, first in line: the next PM's start is the honest answer
+  }
+  return null;
+}
+
+function toEntry(r, position, ctx) {
+  const { now } = ctx;
+  const etaAt = etaFor(position, ctx);
+  return {
+    requestId: r._id,
+    roomId: r.chatRoom,
+    projectTitle: r.projectTitle || "Untitled",
+    client: [r.firstName, r.lastName].filter(Boolean).join(" "),
+    email: r.email,
+    intakeSource: r.intakeSource || null,
+    priority: r.priority || "normal",
+    priorityReasons: r.priorityReasons || [],
+    waitingSince: r.createdAt,
+    waitingMinutes: Math.floor((now - new Date(r.createdAt)) / 60_000),
+    position,
+    etaAt,
+    etaMinutes: etaAt ? Math.max(1, Math.round((etaAt - now) / 60_000)) : null,
+  };
+}
+
+/**
+ * Keyset filter for the entries ahead of `r` in STANDBY_SORT order. Missing queueAt
+ * sorts first (ascending), the same as the picker sees it.
+ */
+function aheadOf(r) {
+  if (!r.queueAt) {
+    return {
+      $or: [
+        { queueAt: null, createdAt: { $lt: r.createdAt } },
+        { queueAt: null, createdAt: r.createdAt, _id: { $lt: r._id } },
+      ],
+    };
+  }
+  return {
+    $or: [
+      { queueAt: null },
+      { queueAt: { $lt: r.queueAt } },
+      { queueAt: r.queueAt, createdAt: { $lt: r.createdAt } },
+      { queueAt: r.queueAt, createdAt: r.createdAt, _id: { $lt: r._id } },
+    ],
+  };
+}
+
+/** Current queue (first `limit` entries) with a position and ETA per entry. */
+export async function getStandbyQueue({ now = new Date(), limit = 500 } = {}) {
+  const [items, total, throughput, availability] = await Promise.all([
+    ProjectRequest.find(standbyFilter()).sort(STANDBY_SORT).limit(limit).select(ENTRY_FIELDS).lean(),
+    ProjectRequest.countDocuments(standbyFilter()),
+    assignmentThroughput(now),
+    estimatePmAvailability(now),
+  ]);
+
+  const ctx = { now, throughput, availability };
+  return {
+    generatedAt: now,
+    total,
+    throughput,
+    pmAvailability: availability,
+    entries: items.map((r, i) => toEntry(r, i + 1, ctx)),
+  };
+}
+
+/**
+ * Position/ETA of a single request, or null once it has left the queue. Counts the
+ * entries ahead of it instead of listing the queue, so any position is exact.
+ */
+export async function getQueuePosition(requestId, { now = new Date() } = {}) {
+  const r = await ProjectRequest.findOne({ _id: requestId, ...standbyFilter() }).select(ENTRY_FIELDS).lean();
+  if (!r) return null;
+
+  const [ahead, total, throughput, availability] = await Promise.all([
+    ProjectRequest.countDocuments({ $and: [standbyFilter(), aheadOf(r)] }),
+    ProjectRequest.countDocuments(standbyFilter()),
+    assignmentThroughput(now),
+    estimatePmAvailability(now),
+  ]);
+  return { ...toEntry(r, ahead + 1, { now, throughput, availability }), total };
+}
+
+/** Client-facing sentence for a queue entry (used by follow-ups and auto-replies). */
+export function describePosition(entry) {
+  if (!entry) return "We're connecting you to a Project Manager now.";
+  const place = entry.position === 1 ? "You're next in line" : `You're number ${entry.position} in line`;
+  if (!entry.etaMinutes) return `${place}. We'll let you know as soon as a PM joins.`;
+  const wait =
+    entry.etaMinutes < 60
+      ? `about ${entry.etaMinutes} minute${entry.etaMinutes === 1 ? "" : "s"}`
+      : `about ${Math.round(entry.etaMinutes / 60)} hour${Math.round(entry.etaMinutes / 60) === 1 ? "" : "s"}`;
+  return `${place} — estimated wait ${wait}.`;
+}
+
+/* -------------------------------- broadcast -------------------------------- */
+
+// roomId → last payload signature, so clients only hear about real changes
+const lastSent = new Map();
+
+const payloadOf = (e, total) => ({
+  requestId: String(e.requestId),
+  roomId: String(e.roomId),
+  position: e.position,
+  total,
+  etaAt: e.etaAt,
+  etaMinutes: e.etaMinutes,
+});
+
+/**
+ * Push "queue:position" to room:<id>:clients for every waiting request whose
+ * position or ETA changed, and "queue:left" to rooms that dropped out of the queue.
+ * `force` resends to everyone (e.g. after a restart or when a client joins).
+ */
+export async function broadcastQueuePositions({ force = false } = {}) {
+  const io = getIO();
+  if (!io) return;
+
+  const q = await getStandbyQueue();
+  const seen = new Set();
+
+  for (const e of q.entries) {
+    const roomId = String(e.roomId);
+    seen.add(roomId);
+    const payload = payloadOf(e, q.total);
+    const sig = `${payload.position}|${payload.etaMinutes}`;
+    if (!force && lastSent.get(roomId) === sig) continue;
+    lastSent.set(roomId, sig);
+    io.to(roomKey.clients(roomId)).emit("queue:position", payload);
+  }
+
+  for (const roomId of [...lastSent.keys()]) {
+    if (seen.has(roomId)) continue;
+    lastSent.delete(roomId);
+    // past the listed page is still queued, not gone
+    if (await ProjectRequest.exists({ ...standbyFilter(), chatRoom: roomId })) continue;
+    io.to(roomKey.clients(roomId)).emit("queue:left", { roomId });
+  }
+}
+
+/** Send the current position to one room right away (e.g. client just joined). */
+export async function emitQueuePositionForRoom(roomId) {
+  const io = getIO();
+  if (!io) return;
+  const req = await ProjectRequest.findOne({ ...standbyFilter(), chatRoom: roomId }).select("_id").lean();
+  const e = req && (await getQueuePosition(req._id));
+  if (!e) return;
+  lastSent.set(String(roomId), `${e.position}|${e.etaMinutes}`);
+  io.to(roomKey.clients(roomId)).emit("queue:position", payloadOf(e, e.total));
+}
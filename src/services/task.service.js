@@ -1,13 +1,17 @@
 import mongoose from "mongoose";
+import { config } from "../config/env.js";
 
 import { Task } from "../models/Task.js";
-import { ProjectRequest } from "../models/ProjectRequest.js";
+import { ProjectRequest, assignedEngineerIds } from "../models/ProjectRequest.js";
 import { ChatRoom } from "../models/ChatRoom.js";
 import { User } from "../models/User.js";
 import { Message } from "../models/Message.js";
 
 import { logAudit } from "./audit.service.js";
-import { getIO } from "../lib/io.js";
+import { assertTransition, assertNotFrozen, transitionRequest, InvalidTransitionError } from "./lifecycle.service.js";
+import { getIO, roomKey, saveAndEmitSystemForClients } from "../lib/io.js";
+import { adjustTaskCount } from "../utils/userStatus.js";
+import { assertNotOutOfOffice } from "../utils/availability.js";
 
 // 🔔 in-app + socket notifications
 import { createAndEmit, notifySuperAdmins, links } from "./notify.service.js";
@@ -83,6 +87,20 @@ async function resolveClientEmailStrong(reqLean) {
   return null;
 }
 
+/** When a Pending assignment stops waiting: explicit respondBy, else assignedAt + configured window. */
+function responseDeadlineFor(task) {
+  if (task.respondBy) return new Date(task.respondBy);
+  const hours = config.tasks.responseWindowHours;
+  if (!hours || hours <= 0) return null;
+  const from = task.assignedAt || task.createdAt;
+  return from ? new Date(new Date(from).getTime() + hours * 3600_000) : null;
+}
+
+const isResponseOverdue = (task, now = new Date()) => {
+  const due = responseDeadlineFor(task);
+  return !!due && due < now;
+};
+
 /** Local helpers to avoid importing from project.service (prevents circular deps). */
 async function getSuperAdmins() {
   return User.find({ role: { $in: ["SuperAdmin", "Admin"] }, email: { $exists: true } })
@@ -102,24 +120,23 @@ async function getPMEmails() {
 /* ========================================================================== */
 
 /**
- * PM creates the single task for a request and assigns the engineer.
+ * PM creates a task on a request and assigns its engineer.
+ * A request can hold many tasks, each with its own engineer.
  * Sends rich HTML "Engineer Assigned" to the client when resolvable.
  */
 export const createTaskForRequest = async (
-  { requestId, pmUser, engineerId, title, description, deadline, pmDeadline },
+  { requestId, pmUser, engineerId, title, description, deadline, pmDeadline, respondBy },
   auditMeta = {}
 ) => {
   const req = await ProjectRequest.findById(requestId);
   if (!req) throw new Error("Request not found");
   if (!req.pmAssigned?.equals(pmUser._id)) throw new Error("Only assigned PM can create task");
+  assertNotFrozen(req);
+  assertNotOutOfOffice(await User.findById(engineerId).select("firstName lastName outOfOffice").lean());
 
-  // single-engineer constraint
-  if (req.engineerAssigned && !req.engineerAssigned.equals(engineerId)) {
-    throw new Error("Request already has a different engineer");
-  }
-
-  // enforce engineer assignment now
-  req.engineerAssigned = engineerId;
+  // track every engineer on the request; the first one stays the legacy `engineerAssigned`
+  if (!req.engineerAssigned) req.engineerAssigned = engineerId;
+  req.engineersAssigned.addToSet(engineerId);
   await req.save();
 
   // ✉️ Client: Engineer Assigned (rich HTML)
@@ -157,6 +174,7 @@ export const createTaskForRequest = async (
     title,
     description,
     deadline: chosenDeadline || null,
+    respondBy: respondBy || null,
   });
 
   // 🔵 INLINE system bubble in room
@@ -220,10 +238,17 @@ export const createTaskForRequest = async (
 export const engineerAcceptTask = async (taskId, engineerUser, auditMeta = {}) => {
   const task = await Task.findById(taskId);
   if (!task) throw new Error("Task not found");
-  if (!task.engineer.equals(engineerUser._id)) throw new Error("Not your task");
+  if (!task.engineer?.equals(engineerUser._id)) throw new Error("Not your task");
+  if (task.status === "Pending" && isResponseOverdue(task)) {
+    const err = new Error("This assignment has expired");
+    err.status = 409;
+    throw err;
+  }
 
   const req = await ProjectRequest.findById(task.request);
   if (!req) throw new Error("Request not found for task");
+  assertNotFrozen(req);
+  assertTransition(req.status, "InProgress");
 
   // Add engineer to room on accept
   let roomKey = null;
@@ -237,24 +262,33 @@ export const engineerAcceptTask = async (taskId, engineerUser, auditMeta = {}) =
     }
   }
 
-  // Status bookkeeping
-  const alreadyInProgress = String(task.status || "").toLowerCase() === "inprogress";
-  if (!alreadyInProgress) {
+  // Status bookkeeping: move the project first so a failed transition leaves no counter behind
+  try {
+    await transitionRequest(req, "InProgress", {
+      actor: engineerUser._id,
+      reason: "Engineer accepted the task",
+      meta: { taskId: task._id },
+    });
+  } catch (e) {
+    // lost the race: another accept already started the project
+    if (!(e instanceof InvalidTransitionError) || e.from !== "InProgress") throw e;
+  }
+
+  // claim the task so a repeated accept counts the engineer's workload once
+  const claimed = await Task.updateOne(
+    { _id: task._id, status: { $ne: "InProgress" } },
+    { $set: { status: "InProgress" } }
+  );
+  task.status = "InProgress";
+  if (claimed.modifiedCount) {
     await User.updateOne(
       { _id: engineerUser._id },
       { $inc: { numberOfTask: 1 }, $set: { isBusy: true } }
     );
-    if (!req.__engineerAccepted) {
-      req.__engineerAccepted = true;
+    if (!req.engineerAcceptedAt) {
+      req.engineerAcceptedAt = new Date();
     }
   }
-
-  task.status = "InProgress";
-  await task.save();
-
-  if (req.status !== "InProgress") {
-    req.status = "InProgress";
-  }
   await req.save();
 
   // ---- HTML EMAIL FAN-OUT ---------------------------------------------------
@@ -354,34 +388,98 @@ export const engineerAcceptTask = async (taskId, engineerUser, auditMeta = {}) =
 };
 
 /**
- * Engineer completes the task → move request to Review (if not already),
- * drop a system message, and notify PM + SuperAdmins.
+ * Engineer completes their task. Once EVERY task on the request is complete,
+ * move the request to Review, drop a system message, and email the client.
+ * Until then only the PM is told how many tasks remain.
  */
 export const engineerCompleteTask = async (taskId, engineerUser, auditMeta = {}) => {
   const task = await Task.findById(taskId);
   if (!task) throw new Error("Task not found");
-  if (!task.engineer.equals(engineerUser._id)) throw new Error("Not your task");
+  if (!task.engineer?.equals(engineerUser._id)) throw new Error("Not your task");
+  if (task.status === "Pending") throw new Error("Accept the task before completing it");
+
+  const req = await ProjectRequest.findById(task.request);
+  if (!req) throw new Error("Request not found for task");
+  assertNotFrozen(req);
+
+  const alreadySubmitted = req.status === "Review" || req.status === "Complete";
+  // fail before saving when this looks like the last task and the project can't be submitted
+  const othersOpen = await Task.countDocuments({ request: req._id, _id: { $ne: task._id }, status: { $ne: "Complete" } });
+  if (!alreadySubmitted && othersOpen === 0) assertTransition(req.status, "Review");
 
   task.status = "Complete";
   await task.save();
 
-  const req = await ProjectRequest.findById(task.request);
-  if (!req) throw new Error("Request not found for task");
+  // counted after saving, so of two last tasks finishing together at least one sees zero;
+  // the CAS in transitionRequest lets exactly one of them submit the project
+  const [remaining, totalTasks] = await Promise.all([
+    Task.countDocuments({ request: req._id, status: { $ne: "Complete" } }),
+    Task.countDocuments({ request: req._id }),
+  ]);
 
   let movedToReview = false;
-  if (req.status !== "Review" && req.status !== "Complete") {
-    req.status = "Review";
-    await req.save();
-    movedToReview = true;
+  if (!alreadySubmitted && remaining === 0) {
+    try {
+      movedToReview = await transitionRequest(req, "Review", {
+        actor: engineerUser._id,
+        reason: "All tasks completed",
+        meta: { taskId: task._id },
+      });
+    } catch (e) {
+      // lost the race: the other completion already submitted it
+      if (!(e instanceof InvalidTransitionError) || !["Review", "Complete"].includes(e.from)) throw e;
+    }
+  }
+
+  await logAudit({
+    action: "TASK_COMPLETED",
+    actor: engineerUser._id,
+    target: task._id,
+    targetModel: "Task",
+    request: task.request,
+    room: req.chatRoom,
+    meta: { remainingTasks: remaining, ...auditMeta },
+  });
+
+  // the completion that submitted the project tells everyone
+  if (!movedToReview && !alreadySubmitted && remaining === 0) return task;
+
+  // Other tasks still open → PM heads-up only, project stays InProgress
+  if (!movedToReview) {
+    try {
+      if (req.chatRoom) {
+        emitSystem(req.chatRoom, {
+          type: "task_completed",
+          role: "Engineer",
+          taskId: String(task._id),
+          title: task.title,
+          remaining,
+          total: totalTasks,
+        });
+      }
+      if (req.pmAssigned) {
+        await createAndEmit(req.pmAssigned, {
+          type: "TASK_COMPLETED",
+          title: "Task completed",
+          body: `“${task.title}” is done — ${remaining} of ${totalTasks} task(s) still open on “${req.projectTitle || "Project"}”.`,
+          link: links.chatRoom?.(req.chatRoom?.toString?.()) || "",
+          meta: { requestId: req._id, taskId: task._id, roomId: req.chatRoom },
+        });
+      }
+    } catch { /* noop */ }
+    return task;
   }
 
   try {
-    const [pmDoc, engDoc] = await Promise.all([
+    const engineerIds = assignedEngineerIds(req);
+    const [pmDoc, engDocs] = await Promise.all([
       req.pmAssigned ? User.findById(req.pmAssigned).lean() : null,
-      req.engineerAssigned ? User.findById(req.engineerAssigned).lean() : null,
+      engineerIds.length ? User.find({ _id: { $in: engineerIds } }).select("firstName lastName").lean() : [],
     ]);
     const pmName  = [pmDoc?.firstName, pmDoc?.lastName].filter(Boolean).join(" ") || "PM";
-    const engName = [engDoc?.firstName, engDoc?.lastName].filter(Boolean).join(" ") || "Engineer";
+    const engName =
+      engDocs.map((e) => [e.firstName, e.lastName].filter(Boolean).join(" ")).filter(Boolean).join(", ") ||
+      "Engineer";
 
     const reqLean = await ProjectRequest.findById(req._id)
       .select("email clientId chatRoom firstName lastName projectTitle pmAssigned engineerAssigned")
@@ -400,18 +498,8 @@ export const engineerCompleteTask = async (taskId, engineerUser, auditMeta = {})
     console.error("[mail] Submitted→Review email error:", e?.message);
   }
 
-  await logAudit({
-    action: "TASK_COMPLETED",
-    actor: engineerUser._id,
-    target: task._id,
-    targetModel: "Task",
-    request: task.request,
-    room: req.chatRoom,
-    meta: auditMeta,
-  });
-
   // 🔔 Notify chat room and persist inline system notice
-  if (movedToReview && req.chatRoom) {
+  if (req.chatRoom) {
     const roomId = req.chatRoom.toString();
     try {
       getIO()?.to(roomId).emit("project:review", {
@@ -464,6 +552,345 @@ export const engineerCompleteTask = async (taskId, engineerUser, auditMeta = {})
   return task;
 };
 
+/* ========================================================================== */
+/*                  Decline / expiry → back to the PM's queue                 */
+/* ========================================================================== */
+
+/**
+ * Hand a Pending task back to its PM as Unassigned, recording who let it go and why.
+ * The engineer leaves the request's engineer list unless they hold other tasks on it.
+ */
+async function returnTaskToPm(task, { engineerId, reason, expired, actor }, auditMeta = {}) {
+  const res = await Task.updateOne(
+    { _id: task._id, status: "Pending", engineer: engineerId },
+    {
+      $set: { status: "Unassigned", engineer: null, respondBy: null },
+      $push: { declines: { engineer: engineerId, reason, expired, at: new Date() } },
+    }
+  );
+  if (!res.modifiedCount) return false; // accepted, reassigned or already returned meanwhile
+
+  const req = await ProjectRequest.findById(task.request);
+  if (req) {
+    const stillOn = await Task.exists({ request: req._id, engineer: engineerId });
+    if (!stillOn) {
+      req.engineersAssigned.pull(engineerId);
+      if (String(req.engineerAssigned || "") === String(engineerId)) {
+        req.engineerAssigned = req.engineersAssigned[0] || null;
+      }
+      await req.save();
+    }
+  }
+
+  await logAudit({
+    action: expired ? "TASK_EXPIRED" : "TASK_DECLINED",
+    actor: actor || null,
+    target: task._id,
+    targetModel: "Task",
+    request: task.request,
+    room: req?.chatRoom || null,
+    meta: { engineer: engineerId, reason, ...auditMeta },
+  });
+
+  try {
+    const eng = await User.findById(engineerId).select("firstName lastName").lean();
+    const engName = [eng?.firstName, eng?.lastName].filter(Boolean).join(" ") || "Engineer";
+    await createAndEmit(task.pm, {
+      type: expired ? "TASK_EXPIRED" : "TASK_DECLINED",
+      title: expired ? "Assignment expired" : "Engineer declined a task",
+      body: expired
+        ? `${engName} didn’t respond to “${task.title}” on “${req?.projectTitle || "Project"}”. It’s back in your unassigned queue.`
+        : `${engName} declined “${task.title}” on “${req?.projectTitle || "Project"}”: ${reason}`,
+      link: links.engineerTask(task.request),
+      meta: {
+        requestId: task.request,
+        taskId: task._id,
+        engineerId,
+        refId: `${engineerId}:${(task.declines?.length || 0) + 1}`,
+      },
+    });
+    getIO()?.to(`user:${String(task.pm)}`).emit("task:declined", {
+      taskId: String(task._id),
+      requestId: String(task.request),
+      engineerId: String(engineerId),
+      expired,
+      reason,
+    });
+  } catch { /* noop */ }
+
+  return true;
+}
+
+/** Engineer turns down a Pending assignment. */
+export const engineerDeclineTask = async (taskId, engineerUser, { reason = "" } = {}, auditMeta = {}) => {
+  const task = await Task.findById(taskId);
+  if (!task) throw new Error("Task not found");
+  if (!task.engineer?.equals(engineerUser._id)) throw new Error("Not your task");
+  if (task.status !== "Pending") throw new Error("Only pending assignments can be declined");
+  if (!String(reason).trim()) throw new Error("Please give a reason");
+
+  const ok = await returnTaskToPm(
+    task,
+    { engineerId: engineerUser._id, reason: String(reason).trim(), expired: false, actor: engineerUser._id },
+    auditMeta
+  );
+  if (!ok) throw new Error("Task is no longer pending");
+  return Task.findById(taskId).lean();
+};
+
+/**
+ * Return every Pending assignment whose response deadline passed. Safe to run
+ * repeatedly (the CAS in returnTaskToPm skips tasks someone already handled).
+ */
+export const expireUnansweredTasks = async (now = new Date(), { limit = 100 } = {}) => {
+  const hours = config.tasks.responseWindowHours;
+  const or = [{ respondBy: { $ne: null, $lt: now } }];
+  if (hours > 0) {
+    or.push({ respondBy: null, assignedAt: { $lt: new Date(now.getTime() - hours * 3600_000) } });
+  }
+
+  const due = await Task.find({ status: "Pending", engineer: { $ne: null }, $or: or })
+    .sort({ respondBy: 1, assignedAt: 1 })
+    .limit(limit);
+
+  let expired = 0;
+  for (const task of due) {
+    const ok = await returnTaskToPm(task, {
+      engineerId: task.engineer,
+      reason: "No response before the deadline",
+      expired: true,
+      actor: null,
+    });
+    if (ok) expired++;
+  }
+  return { checked: due.length, expired };
+};
+
+/** PM's queue of tasks waiting for an engineer. */
+export const listUnassignedTasks = async (pmUser) =>
+  Task.find({ pm: pmUser._id, status: "Unassigned" })
+    .sort({ updatedAt: -1 })
+    .populate("request", "projectTitle firstName lastName status chatRoom")
+    .lean();
+
+/** PM gives an Unassigned task to an engineer (new response window starts). */
+export const assignTaskToEngineer = async ({ taskId, pmUser, engineerId, respondBy }, auditMeta = {}) => {
+  const task = await Task.findById(taskId);
+  if (!task) throw new Error("Task not found");
+  if (!task.pm.equals(pmUser._id)) throw new Error("Only the task's PM can assign it");
+  if (task.status !== "Unassigned") throw new Error("Task is not waiting for an engineer");
+
+  const req = await ProjectRequest.findById(task.request);
+  if (!req) throw new Error("Request not found for task");
+  assertNotFrozen(req);
+
+  const eng = await User.findById(engineerId).lean();
+  if (!eng || eng.role !== "Engineer") throw new Error("Engineer not found");
+  assertNotOutOfOffice(eng);
+
+  task.engineer = eng._id;
+  task.status = "Pending";
+  task.assignedAt = new Date();
+  task.respondBy = respondBy || null;
+  await task.save();
+
+  if (!req.engineerAssigned) req.engineerAssigned = eng._id;
+  req.engineersAssigned.addToSet(eng._id);
+  await req.save();
+
+  await logAudit({
+    action: "TASK_REASSIGNED",
+    actor: pmUser._id,
+    target: task._id,
+    targetModel: "Task",
+    request: req._id,
+    room: req.chatRoom,
+    meta: { engineer: eng._id, respondBy: task.respondBy, ...auditMeta },
+  });
+
+  try {
+    await createAndEmit(eng._id, {
+      type: "ENGINEER_ASSIGNED",
+      title: "You’ve been assigned a project",
+      body: `“${task.title}” on “${req.projectTitle || "Project"}”`,
+      link: links.engineerTask(req._id),
+      meta: { requestId: req._id, taskId: task._id, refId: `assign:${task.assignedAt.getTime()}` },
+    });
+    getIO()?.to(`user:${String(eng._id)}`).emit("task:assigned", {
+      taskId: task._id,
+      title: task.title,
+      requestId: String(req._id),
+      roomId: req.chatRoom || null,
+      roomKey: null,
+    });
+  } catch { /* noop */ }
+
+  return task;
+};
+
+/* ========================================================================== */
+/*                        Engineer replace / remove                           */
+/* ========================================================================== */
+
+/**
+ * PM replaces (toEngineerId) or removes an engineer from a request.
+ * - open tasks move to the replacement as Pending, so the new engineer accepts them
+ *   (and takes the workload slot) through engineerAcceptTask as usual
+ * - the old engineer gives back one slot per task they had accepted on this request
+ * - the old engineer leaves the room; every party is told
+ * Removing without a replacement is only allowed when they have no open tasks.
+ */
+export const replaceEngineerOnRequest = async (
+  { requestId, pmUser, fromEngineerId, toEngineerId = null, reason = "" },
+  auditMeta = {}
+) => {
+  const req = await ProjectRequest.findById(requestId);
+  if (!req) throw new Error("Request not found");
+  if (!req.pmAssigned?.equals(pmUser._id)) throw new Error("Only assigned PM can change engineers");
+  assertNotFrozen(req);
+  if (req.status === "Complete") throw new Error("Cannot change engineers on a Complete project");
+  if (!String(reason).trim()) throw new Error("A reason is required");
+
+  const fromId = String(fromEngineerId || "");
+  if (!assignedEngineerIds(req).some((e) => String(e) === fromId)) {
+    throw new Error("Engineer is not on this request");
+  }
+
+  let toEng = null;
+  if (toEngineerId) {
+    if (String(toEngineerId) === fromId) throw new Error("Replacement must be a different engineer");
+    toEng = await User.findById(toEngineerId).lean();
+    if (!toEng || toEng.role !== "Engineer") throw new Error("Replacement engineer not found");
+    assertNotOutOfOffice(toEng);
+  }
+
+  const [openTasks, heldSlots] = await Promise.all([
+    Task.find({ request: req._id, engineer: fromId, status: { $ne: "Complete" } }).select("_id title status").lean(),
+    Task.countDocuments({ request: req._id, engineer: fromId, status: { $in: ["InProgress", "Complete"] } }),
+  ]);
+  if (openTasks.length && !toEng) {
+    throw new Error("Engineer has open tasks; choose a replacement engineer");
+  }
+
+  // request arrays: drop the old engineer, keep the legacy single field pointing at someone current
+  req.engineersAssigned.pull(fromId);
+  if (toEng) req.engineersAssigned.addToSet(toEng._id);
+  if (String(req.engineerAssigned || "") === fromId) {
+    req.engineerAssigned = req.engineersAssigned[0] || null;
+  }
+  await req.save();
+
+  if (openTasks.length) {
+    await Task.updateMany(
+      { _id: { $in: openTasks.map((t) => t._id) } },
+      { $set: { engineer: toEng._id, status: "Pending", assignedAt: new Date(), respondBy: null } }
+    );
+  }
+
+  for (let i = 0; i < heldSlots; i++) await adjustTaskCount(fromId, -1);
+
+  const roomId = req.chatRoom ? req.chatRoom.toString() : null;
+  if (roomId) {
+    await ChatRoom.updateOne({ _id: roomId }, { $pull: { members: fromId } });
+    try {
+      getIO()?.in(`user:${fromId}`).socketsLeave([roomKey.all(roomId), roomKey.engineers(roomId), roomKey.staff(roomId)]);
+    } catch { /* noop */ }
+  }
+
+  const fromEng = await User.findById(fromId).select("firstName lastName").lean();
+  const nameOf = (u) => [u?.firstName, u?.lastName].filter(Boolean).join(" ");
+  const fromName = nameOf(fromEng) || "Engineer";
+  const toName = toEng ? nameOf(toEng) || "Engineer" : "";
+
+  await logAudit({
+    action: toEng ? "ENGINEER_REPLACED" : "ENGINEER_REMOVED",
+    actor: pmUser._id,
+    target: req._id,
+    targetModel: "ProjectRequest",
+    request: req._id,
+    room: req.chatRoom,
+    meta: {
+      from: fromId,
+      to: toEng?._id || null,
+      reason,
+      tasks: openTasks.map((t) => String(t._id)),
+      releasedSlots: heldSlots,
+      ...auditMeta,
+    },
+  });
+
+  // 🔵 room notices (staff inline + client bubble)
+  try {
+    if (roomId) {
+      emitSystem(roomId, {
+        type: toEng ? "engineer_replaced" : "engineer_removed",
+        role: "PM",
+        from: { id: fromId, firstName: fromEng?.firstName || "", lastName: fromEng?.lastName || "" },
+        to: toEng ? { id: String(toEng._id), firstName: toEng.firstName || "", lastName: toEng.lastName || "" } : null,
+        reason,
+      });
+      await saveAndEmitSystemForClients({
+        roomId,
+        kind: toEng ? "engineer_replaced" : "engineer_removed",
+        text: toEng
+          ? `${toName} is taking over from ${fromName} on your project.`
+          : `${fromName} has finished their part on your project.`,
+        meta: { requestId: req._id },
+      });
+    }
+  } catch { /* noop */ }
+
+  // 🔔 old engineer, new engineer (one per handed-over task), admins
+  const refId = `replace:${fromId}:${Date.now()}`;
+  try {
+    await createAndEmit(fromId, {
+      type: "ENGINEER_REMOVED",
+      title: "You were removed from a project",
+      body: `“${req.projectTitle || "Project"}” — ${reason}`,
+      link: "",
+      meta: { requestId: req._id, refId },
+    });
+    for (const t of openTasks) {
+      await createAndEmit(toEng._id, {
+        type: "ENGINEER_ASSIGNED",
+        title: "You’ve been assigned a project",
+        body: `“${t.title}” on “${req.projectTitle || "Project"}” (taking over from ${fromName})`,
+        link: links.engineerTask(req._id),
+        meta: { requestId: req._id, taskId: t._id, refId },
+      });
+    }
+    await notifySuperAdmins({
+      type: toEng ? "ENGINEER_REPLACED" : "ENGINEER_REMOVED",
+      title: toEng ? "Engineer replaced" : "Engineer removed",
+      body: toEng
+        ? `${toName} replaced ${fromName} on “${req.projectTitle || "Project"}”.`
+        : `${fromName} was removed from “${req.projectTitle || "Project"}”.`,
+      link: "",
+      meta: { requestId: req._id, engineerId: fromId, refId },
+    });
+  } catch { /* noop */ }
+
+  // ✉️ client hears about the new engineer the same way as a fresh assignment
+  if (toEng) {
+    try {
+      const pmName = nameOf(await User.findById(pmUser._id).select("firstName lastName").lean()) || "PM";
+      const reqLean = await ProjectRequest.findById(req._id)
+        .select("email clientId chatRoom firstName lastName projectTitle pmAssigned engineerAssigned")
+        .lean();
+      const clientEmail = await resolveClientEmailStrong(reqLean);
+      if (clientEmail) {
+        await emailClientEngineerAssigned({ ...reqLean, email: clientEmail }, toName, pmName);
+      } else {
+        console.warn("[mail] EngineerReplaced SKIPPED — no client email found", { requestId: String(req._id) });
+      }
+    } catch (e) {
+      console.error("[mail] EngineerReplaced email error:", e?.message);
+    }
+  }
+
+  return { request: req, tasks: openTasks.map((t) => t._id) };
+};
+
 /* ========================================================================== */
 /*                                Reads / Stats                               */
 /* ========================================================================== */
@@ -1,5 +1,8 @@
 import { User } from "../models/User.js";
 import { logAudit } from "./audit.service.js";
+import { normalizeSkills } from "../utils/skillMatch.js";
+import { isValidTimezone, normalizeWorkingHours, capacityOf } from "../utils/availability.js";
+import { annotatePresence } from "./presence.service.js";
 
 // Admin OR SuperAdmin can add PM/Engineer (NOT SuperAdmin)
 export const adminAddStaff = async ({ creator, email, role, phone, firstName, lastName, gender }, auditMeta = {}) => {
@@ -20,20 +23,20 @@ export const adminAddStaff = async ({ creator, email, role, phone, firstName, la
 
 export const listEngineers = async (
   { isBusy },
-  select = "firstName lastName email role isBusy numberOfTask lastActive online"
+  select = "firstName lastName email role isBusy numberOfTask skills maxConcurrent timezone workingHours outOfOffice"
 ) => {
   const query = { role: "Engineer" };
   if (typeof isBusy !== "undefined") query.isBusy = isBusy;
-  return User.find(query).select(select).lean();
+  return annotatePresence(await User.find(query).select(select).lean());
 };
 
 export const listPMs = async (
   { isBusy },
-  select = "firstName lastName email role isBusy numberOfTask lastActive online"
+  select = "firstName lastName email role isBusy numberOfTask skills maxConcurrent timezone workingHours outOfOffice"
 ) => {
   const query = { role: "PM" };
   if (typeof isBusy !== "undefined") query.isBusy = isBusy;
-  return User.find(query).select(select).lean();
+  return annotatePresence(await User.find(query).select(select).lean());
 };
 
 /* ------------------- ADDED HELPERS (keep existing above) ------------------- */
@@ -56,5 +59,69 @@ export const getMinimalByIds = async (ids = []) => {
 };
 
 export const listAllUsers = async () => {
-  return User.find({}).select("firstName lastName email role isBusy numberOfTask lastActive online").lean();
+  return annotatePresence(await User.find({}).select("firstName lastName email role isBusy numberOfTask").lean());
 }
+
+/* --------------------------------- skills --------------------------------- */
+
+/** Replace a PM/Engineer's skills list ([{ name, level 1-5 }]). */
+export const setUserSkills = async (userId, skills, actor, auditMeta = {}) => {
+  const next = normalizeSkills(skills);
+  const user = await User.findOne({ _id: userId, role: { $in: ["PM", "Engineer"] } });
+  if (!user) throw new Error("Staff member not found");
+
+  const before = (user.skills || []).map((s) => ({ name: s.name, level: s.level }));
+  user.skills = next;
+  await user.save();
+
+  await logAudit({
+    action: "USER_SKILLS_UPDATED",
+    actor: actor._id,
+    target: user._id,
+    targetModel: "User",
+    meta: { before, after: next, ...auditMeta },
+  });
+  return user.skills;
+};
+
+/* ------------------------ capacity & working hours ------------------------ */
+
+/**
+ * Update a PM/Engineer's timezone, weekly schedule and (admins only) maxConcurrent.
+ * maxConcurrent: null → deployment default, 0 → unlimited.
+ */
+export const setUserAvailability = async (
+  userId,
+  { timezone, workingHours, maxConcurrent } = {},
+  actor,
+  { allowCapacity = false } = {},
+  auditMeta = {}
+) => {
+  const user = await User.findOne({ _id: userId, role: { $in: ["PM", "Engineer"] } });
+  if (!user) throw new Error("Staff member not found");
+
+  const before = { timezone: user.timezone, workingHours: user.workingHours, maxConcurrent: user.maxConcurrent };
+
+  if (timezone !== undefined) {
+    if (!isValidTimezone(timezone)) throw new Error(`Unknown timezone: ${timezone}`);
+    user.timezone = String(timezone);
+  }
+  if (workingHours !== undefined) user.workingHours = normalizeWorkingHours(workingHours);
+  if (maxConcurrent !== undefined) {
+    if (!allowCapacity) throw new Error("Only an admin can change maxConcurrent");
+    const n = maxConcurrent === null ? null : Number(maxConcurrent);
+    if (n !== null && (!Number.isInteger(n) || n < 0)) throw new Error("maxConcurrent must be a whole number ≥ 0 or null");
+    user.maxConcurrent = n;
+  }
+  await user.save();
+
+  const after = { timezone: user.timezone, workingHours: user.workingHours, maxConcurrent: user.maxConcurrent };
+  await logAudit({
+    action: "USER_AVAILABILITY_UPDATED",
+    actor: actor._id,
+    target: user._id,
+    targetModel: "User",
+    meta: { before, after, ...auditMeta },
+  });
+  return { ...after, effectiveMaxConcurrent: capacityOf(user) };
+};
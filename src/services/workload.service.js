@@ -0,0 +1,151 @@
+// src/services/workload.service.js
+import { User } from "../models/User.js";
+import { ProjectRequest, assignedEngineerIds } from "../models/ProjectRequest.js";
+import { Task } from "../models/Task.js";
+import { logAudit } from "./audit.service.js";
+
+/**
+ * Workload reconciliation. numberOfTask/isBusy are moved with $inc along every flow
+ * (claim, accept, close, hold, handoff...) and drift whenever one of them fails
+ * halfway. This recomputes each user's true load from the records and reports (or
+ * corrects) the difference.
+ *
+ * A slot is held, per request that is Pending/InProgress/Review (hold, cancel and
+ * close release theirs):
+ *   PM        one for the request they're assigned to
+ *   Engineer  one per accepted (InProgress/Complete) task, as long as they're still on
+ *             the request; a legacy request with no tasks at all holds one for
+ *             engineerAssigned. Same rule as engineerSlotsFor in project.service.js.
+ */
+const WORKLOAD_STATUSES = ["Pending", "InProgress", "Review"];
+const STAFF_ROLES = ["PM", "Engineer"];
+const ACCEPTED_TASK_STATUSES = ["InProgress", "Complete"];
+
+const nameOf = (u) => [u?.firstName, u?.lastName].filter(Boolean).join(" ") || u?.email || "User";
+
+/** userId → { asPm, asEngineer, total }, optionally limited to requests involving `userIds`. */
+async function computeLoads({ userIds = null } = {}) {
+  const match = { status: { $in: WORKLOAD_STATUSES } };
+  if (userIds) {
+    match.$or = [
+      { pmAssigned: { $in: userIds } },
+      { engineerAssigned: { $in: userIds } },
+      { engineersAssigned: { $in: userIds } },
+    ];
+  }
+
+  const requests = await ProjectRequest.find(match).select("pmAssigned engineerAssigned engineersAssigned").lean();
+  // every task, not just accepted ones: a request whose tasks are all still Pending
+  // holds no engineer slot, it is not a legacy request
+  const tasks = await Task.find({ request: { $in: requests.map((r) => r._id) } })
+    .select("request engineer status")
+    .lean();
+
+  const tasksByRequest = new Map();
+  for (const t of tasks) {
+    const key = String(t.request);
+    if (!tasksByRequest.has(key)) tasksByRequest.set(key, []);
+    tasksByRequest.get(key).push(t);
+  }
+
+  const loads = new Map();
+  const add = (id, field) => {
+    const key = String(id);
+    const l = loads.get(key) || { asPm: 0, asEngineer: 0, total: 0 };
+    l[field] += 1;
+    l.total += 1;
+    loads.set(key, l);
+  };
+
+  for (const r of requests) {
+    if (r.pmAssigned) add(r.pmAssigned, "asPm");
+    const tasks = tasksByRequest.get(String(r._id)) || [];
+    if (!tasks.length) {
+      if (r.engineerAssigned) add(r.engineerAssigned, "asEngineer");
+      continue;
+    }
+    const onRequest = new Set(assignedEngineerIds(r).map(String));
+    for (const t of tasks) {
+      if (!ACCEPTED_TASK_STATUSES.includes(t.status)) continue;
+      if (t.engineer && onRequest.has(String(t.engineer))) add(t.engineer, "asEngineer");
+    }
+  }
+  return loads;
+}
+
+const EMPTY_LOAD = Object.freeze({ asPm: 0, asEngineer: 0, total: 0 });
+
+const isOff = (u, load) => (u.numberOfTask || 0) !== load.total || !!u.isBusy !== load.total > 0;
+
+/**
+ * Compare stored counters with the true load for all staff (and anyone else holding
+ * a count). With `fix`, each discrepancy is re-checked against a fresh read and then
+ * written with a compare-and-set on the old values, so a claim or accept that lands
+ * meanwhile is never overwritten — that user is reported as skipped and picked up by
+ * the next run. Every correction gets its own WORKLOAD_RECONCILED audit entry.
+ */
+export async function reconcileWorkload({ fix = false, actor = null, auditMeta = {} } = {}) {
+  const users = await User.find({
+    $or: [{ role: { $in: STAFF_ROLES } }, { numberOfTask: { $ne: 0 } }, { isBusy: true }],
+  })
+    .select("firstName lastName email role numberOfTask isBusy")
+    .lean();
+  const loads = await computeLoads();
+
+  const discrepancies = [];
+  for (const u of users) {
+    const load = loads.get(String(u._id)) || EMPTY_LOAD;
+    if (!isOff(u, load)) continue;
+    discrepancies.push({
+      user: { _id: u._id, name: nameOf(u), email: u.email, role: u.role },
+      recorded: { numberOfTask: u.numberOfTask || 0, isBusy: !!u.isBusy },
+      expected: { numberOfTask: load.total, isBusy: load.total > 0, asPm: load.asPm, asEngineer: load.asEngineer },
+      delta: load.total - (u.numberOfTask || 0),
+      fixed: false,
+      skipped: null,
+    });
+  }
+
+  if (fix) {
+    for (const d of discrepancies) await applyCorrection(d, actor, auditMeta);
+  }
+
+  return {
+    generatedAt: new Date(),
+    mode: fix ? "fix" : "report",
+    checked: users.length,
+    discrepancies,
+    fixed: discrepancies.filter((d) => d.fixed).length,
+  };
+}
+
+async function applyCorrection(d, actor, auditMeta) {
+  const id = d.user._id;
+  const fresh = (await computeLoads({ userIds: [id] })).get(String(id)) || EMPTY_LOAD;
+  if (fresh.total !== d.expected.numberOfTask) {
+    d.skipped = "load changed during reconciliation";
+    return;
+  }
+
+  // numberOfTask may be missing on old documents, so "0" matches missing too
+  const recordedCount = d.recorded.numberOfTask
+    ? { numberOfTask: d.recorded.numberOfTask }
+    : { numberOfTask: { $in: [0, null] } };
+  const res = await User.updateOne(
+    { _id: id, ...recordedCount, isBusy: d.recorded.isBusy ? true : { $ne: true } },
+    { $set: { numberOfTask: d.expected.numberOfTask, isBusy: d.expected.isBusy } }
+  );
+  if (!res.modifiedCount) {
+    d.skipped = "counters changed during reconciliation";
+    return;
+  }
+
+  d.fixed = true;
+  await logAudit({
+    action: "WORKLOAD_RECONCILED",
+    actor: actor?._id || null,
+    target: id,
+    targetModel: "User",
+    meta: { before: d.recorded, after: { numberOfTask: d.expected.numberOfTask, isBusy: d.expected.isBusy }, ...auditMeta },
+  });
+}
@@ -0,0 +1,144 @@
+import { config } from "../config/env.js";
+
+/**
+ * Capacity, working-hours and out-of-office checks shared by PM selection, engineer
+ * ranking and the standby ETA. Schedules are stored in the user's own timezone (User.workingHours).
+ */
+
+const WEEK_MIN = 7 * 24 * 60;
+const DAY_INDEX = { Sun: 0, Mon: 1, Tue: 2, Wed: 3, Thu: 4, Fri: 5, Sat: 6 };
+
+const formatters = new Map();
+function formatterFor(timeZone) {
+  if (!formatters.has(timeZone)) {
+    formatters.set(
+      timeZone,
+      new Intl.DateTimeFormat("en-US", { timeZone, weekday: "short", hour: "2-digit", minute: "2-digit", hourCycle: "h23" })
+    );
+  }
+  return formatters.get(timeZone);
+}
+
+export function isValidTimezone(tz) {
+  try {
+    formatterFor(String(tz));
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+const toMinutes = (hhmm) => {
+  const [h, m] = String(hhmm).split(":").map(Number);
+  return h * 60 + m;
+};
+
+/** Minute of the week (0 = Sunday 00:00) at `at` in `timeZone`; unknown zones fall back to UTC. */
+function weekMinute(at, timeZone) {
+  let parts;
+  try {
+    parts = formatterFor(timeZone || "UTC").formatToParts(at);
+  } catch {
+    parts = formatterFor("UTC").formatToParts(at);
+  }
+  const get = (t) => parts.find((p) => p.type === t)?.value;
+  return DAY_INDEX[get("weekday")] * 1440 + Number(get("hour")) * 60 + Number(get("minute"));
+}
+
+/** Weekly windows as [startMin, endMin) in week minutes; overnight windows wrap past Saturday. */
+function windowsOf(user) {
+  return (user?.workingHours || []).map((w) => {
+    const start = w.day * 1440 + toMinutes(w.start);
+    let end = w.day * 1440 + toMinutes(w.end);
+    if (end <= start) end += 1440; // "22:00"–"06:00"
+    return [start, end];
+  });
+}
+
+const inWindow = (m, [s, e]) => (m >= s && m < e) || (m + WEEK_MIN >= s && m + WEEK_MIN < e);
+
+/** True when the user has no schedule or `at` falls inside one of their windows. */
+export function isWithinWorkingHours(user, at = new Date()) {
+  const windows = windowsOf(user);
+  if (!windows.length) return true;
+  const m = weekMinute(at, user.timezone);
+  return windows.some((w) => inWindow(m, w));
+}
+
+/** Next instant (>= from) the user is inside working hours; `from` itself if already in. */
+export function nextWorkingStart(user, from = new Date()) {
+  const windows = windowsOf(user);
+  if (!windows.length) return from;
+  const now = weekMinute(from, user.timezone);
+  if (windows.some((w) => inWindow(now, w))) return from;
+
+  const ahead = Math.min(...windows.map(([s]) => (s - now + WEEK_MIN) % WEEK_MIN));
+  const at = new Date(from.getTime() + ahead * 60_000);
+  at.setUTCSeconds(0, 0);
+  // correct for a DST switch between now and then
+  const drift = (weekMinute(at, user.timezone) - ((now + ahead) % WEEK_MIN) + WEEK_MIN) % WEEK_MIN;
+  return drift ? new Date(at.getTime() - (drift > WEEK_MIN / 2 ? drift - WEEK_MIN : drift) * 60_000) : at;
+}
+
+/** Effective max concurrent projects (0 = unlimited). */
+export function capacityOf(user) {
+  if (typeof user?.maxConcurrent === "number") return user.maxConcurrent;
+  return user?.role === "Engineer" ? config.capacity.engineerMaxConcurrent : config.capacity.pmMaxConcurrent;
+}
+
+export function hasCapacity(user) {
+  const max = capacityOf(user);
+  return !max || (user?.numberOfTask || 0) < max;
+}
+
+/** Extra filter for an atomic claim so a concurrent claim can't push someone over their limit. */
+export function capacityFilter(user) {
+  const max = capacityOf(user);
+  return max ? { numberOfTask: { $lt: max } } : {};
+}
+
+/** Active out-of-office period at `at` (from may be null = already started). */
+export function isOutOfOffice(user, at = new Date()) {
+  const ooo = user?.outOfOffice;
+  if (!ooo?.until) return false;
+  const t = at.getTime();
+  return (!ooo.from || new Date(ooo.from).getTime() <= t) && t < new Date(ooo.until).getTime();
+}
+
+/** Manual assignment guard: refuse handing work to someone who is away. */
+export function assertNotOutOfOffice(user, at = new Date()) {
+  if (!isOutOfOffice(user, at)) return;
+  const name = [user.firstName, user.lastName].filter(Boolean).join(" ") || "This user";
+  const err = new Error(`${name} is out of office until ${new Date(user.outOfOffice.until).toISOString().slice(0, 10)}`);
+  err.status = 409;
+  throw err;
+}
+
+/** { available, reason, nextAvailableAt } for display and filtering. */
+export function availabilityOf(user, at = new Date()) {
+  if (isOutOfOffice(user, at)) {
+    const back = new Date(user.outOfOffice.until);
+    return { available: false, reason: "out of office", nextAvailableAt: nextWorkingStart(user, back) };
+  }
+  if (!hasCapacity(user)) {
+    return { available: false, reason: `at capacity (${user.numberOfTask || 0}/${capacityOf(user)})`, nextAvailableAt: null };
+  }
+  if (!isWithinWorkingHours(user, at)) {
+    return { available: false, reason: "outside working hours", nextAvailableAt: nextWorkingStart(user, at) };
+  }
+  return { available: true, reason: null, nextAvailableAt: at };
+}
+
+/** Validate a schedule from a request body. */
+export function normalizeWorkingHours(list) {
+  if (!Array.isArray(list)) throw new Error("workingHours must be an array");
+  const hhmm = /^([01]\d|2[0-3]):[0-5]\d$|^24:00$/;
+  return list.map((w, i) => {
+    const day = Number(w?.day);
+    if (!Number.isInteger(day) || day < 0 || day > 6) throw new Error(`workingHours[${i}].day must be 0-6`);
+    if (!hhmm.test(String(w?.start)) || w.start === "24:00") throw new Error(`workingHours[${i}].start must be HH:mm`);
+    if (!hhmm.test(String(w?.end))) throw new Error(`workingHours[${i}].end must be HH:mm`);
+    if (w.start === w.end) throw new Error(`workingHours[${i}] is empty`);
+    return { day, start: w.start, end: w.end };
+  });
+}
@@ -0,0 +1,14 @@
+import { ProjectRequest } from "../models/ProjectRequest.js";
+
+/**
+ * Client access to a request: either the public clientKey or the
+ * authenticated client that owns it (clientId).
+ */
+export const resolveClientRequest = async ({ requestId, clientKey, user }) => {
+  const req = await ProjectRequest.findById(requestId);
+  if (!req) throw new Error("Request not found");
+  const byKey = clientKey && req.clientKey === clientKey;
+  const byId = user?._id && req.clientId && String(req.clientId) === String(user._id);
+  if (!byKey && !byId) throw new Error("Unauthorized client");
+  return req;
+};
@@ -0,0 +1,10 @@
+/**
+ * Bayesian prior for star ratings, shared by PM assignment and engineer ranking:
+ * nobody starts at 5★ off one review, and unrated staff start at 4★ as if they had
+ * 3 reviews — so one 5★ review doesn't outrank fifty 4.8★ ones.
+ */
+export const RATING_PRIOR = { mean: 4, weight: 3 };
+
+/** Rating average pulled towards RATING_PRIOR. */
+export const bayesianAverage = (sum = 0, count = 0) =>
+  (sum + RATING_PRIOR.mean * RATING_PRIOR.weight) / (count + RATING_PRIOR.weight);
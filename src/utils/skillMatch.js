@@ -0,0 +1,54 @@
+const escapeRe = (s) => String(s).replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+/** Lower-cased free text of a request: title, description, tags and custom answers. */
+export function requestText(req) {
+  if (!req) return "";
+  const custom = (req.customFields || [])
+    .map((f) => (Array.isArray(f.value) ? f.value.join(" ") : typeof f.value === "string" ? f.value : ""))
+    .join(" ");
+  return [req.projectTitle, req.projectDescription, ...(req.tags || []), custom]
+    .filter(Boolean)
+    .join(" ")
+    .toLowerCase();
+}
+
+/**
+ * Which of a user's skills the text mentions. Multi-word skills match as phrases and
+ * symbols stay significant ("c++", "node.js"), so "c" never matches "c++".
+ * Returns { score, matched: [{ name, level }] } with score = sum of matched levels.
+ */
+export function matchSkills(skills = [], text = "") {
+  const matched = [];
+  for (const s of skills) {
+    const name = String(s?.name || "").trim().toLowerCase();
+    if (!name) continue;
+    const re = new RegExp(`(^|[^a-z0-9+#.])${escapeRe(name)}($|[^a-z0-9+#])`, "i");
+    if (re.test(text)) matched.push({ name, level: s.level || 3 });
+  }
+  return { score: matched.reduce((a, m) => a + m.level, 0), matched };
+}
+
+/** Validate a skills list from a request body: [{ name, level }] or ["name", …]. Last duplicate wins. */
+export function normalizeSkills(list) {
+  if (!Array.isArray(list)) throw new Error("skills must be an array");
+  const byName = new Map();
+  for (const raw of list) {
+    const s = typeof raw === "string" ? { name: raw } : raw || {};
+    const name = String(s.name || "").trim().toLowerCase();
+    if (!name || name.length > 40) throw new Error(`Invalid skill name: ${s.name ?? ""}`);
+    const level = s.level === undefined ? 3 : Number(s.level);
+    if (!Number.isInteger(level) || level < 1 || level > 5) throw new Error(`Skill ${name} needs a level from 1 to 5`);
+    byName.set(name, { name, level });
+  }
+  if (byName.size > 50) throw new Error("At most 50 skills");
+  return [...byName.values()];
+}
+
+/** Lower-cased, de-duplicated tags from an array or comma-separated string. */
+export function normalizeTags(tags) {
+  const list = Array.isArray(tags) ? tags : String(tags || "").split(",");
+  const out = [...new Set(list.map((t) => String(t).trim().toLowerCase()).filter(Boolean))];
+  if (out.some((t) => t.length > 40)) throw new Error("Tags must be at most 40 characters");
+  if (out.length > 30) throw new Error("At most 30 tags");
+  return out;
+}
@@ -12,3 +12,33 @@ export const syncUserBusyStatus = async (userId) => {
     await user.save();
   }
 };
+
+/**
+ * Move numberOfTask by delta and keep isBusy / lastDateTaskAssign in step.
+ * Never lets the counter go below zero.
+ */
+export async function adjustTaskCount(userId, delta, { touchAssignDate = false } = {}) {
+  if (!userId) return null;
+
+  let doc = await User.findByIdAndUpdate(
+    userId,
+    { $inc: { numberOfTask: delta } },
+    { new: true }
+  );
+
+  if (!doc) return null;
+
+  if (doc.numberOfTask <= 0) {
+    doc.numberOfTask = 0;
+    doc.isBusy = false;
+  } else {
+    doc.isBusy = true;
+  }
+
+  if (touchAssignDate && delta > 0) {
+    doc.lastDateTaskAssign = new Date();
+  }
+
+  await doc.save();
+  return doc;
+}